@@ -0,0 +1,103 @@
+// audio.js
+// Opt-in sonification of the main thread's engine events: soft notes for
+// node passes and arrivals, a strummed chord for click bursts. The palette
+// index a signal has reached picks the scale degree, its screen x the
+// stereo position, and the layer's soundGain (config.LAYERS) the volume,
+// so the depth layer plays quieter. Nothing is created before enable(),
+// which script.js only calls from the sound button's click, so browsers'
+// autoplay rules are met. At most SIGNAL_HARD_CAP notes ring at once (one
+// per signal that can exist); extra ones are skipped.
+
+import { config } from './config.js';
+
+// Frequency of the scale step `step` (0 = root), climbing an octave every
+// SOUND_SCALE.length steps.
+export function noteFreq(step) {
+    const scale = config.SOUND_SCALE;
+    const octave = Math.floor(step / scale.length);
+    const semitones = scale[step % scale.length] + 12 * octave;
+    return config.SOUND_ROOT_HZ * Math.pow(2, semitones / 12);
+}
+
+// Stereo position (-1..1) of a screen x.
+export function panFor(sx, width) {
+    const p = (sx / Math.max(1, width)) * 2 - 1;
+    return Math.max(-1, Math.min(1, p)) * config.SOUND_PAN_WIDTH;
+}
+
+export class Sonifier {
+    constructor(createContext = () => new AudioContext()) {
+        this.createContext = createContext;
+        this.ctx = null;
+        this.master = null;
+        this.enabled = false;
+        this.ringing = []; // end times of the notes still sounding
+    }
+
+    // Must run inside a user gesture the first time (autoplay rules).
+    enable() {
+        if (!this.ctx) {
+            this.ctx = this.createContext();
+            this.master = this.ctx.createGain();
+            this.master.gain.value = config.SOUND_VOLUME;
+            this.master.connect(this.ctx.destination);
+        }
+        this.enabled = true;
+        return this.ctx.resume();
+    }
+
+    disable() {
+        this.enabled = false;
+        if (this.ctx) this.ctx.suspend();
+    }
+
+    // Pauses the output while the page is hidden, without changing enabled.
+    setHidden(hidden) {
+        if (!this.ctx || !this.enabled) return;
+        if (hidden) this.ctx.suspend();
+        else this.ctx.resume();
+    }
+
+    // An engine event (see Engine.on); `width` is the viewport's, for panning.
+    handle(ev, width) {
+        if (!this.enabled || !this.ctx) return;
+        const layer = config.LAYERS.find(l => l.name === ev.layer);
+        const gain = (layer && layer.soundGain) ?? 1;
+        const pan = panFor(ev.sx, width);
+        if (ev.type === 'hop') {
+            this._note(noteFreq(ev.colorIdx), pan, gain * config.SOUND_HOP_GAIN, 0);
+        } else if (ev.type === 'arrive') {
+            this._note(noteFreq(ev.colorIdx), pan, gain, 0);
+        } else if (ev.type === 'burst') {
+            // Root, third and fifth steps of the scale, strummed upwards.
+            [0, 2, 4].forEach((step, i) => {
+                this._note(noteFreq(ev.colorIdx + step), pan, gain,
+                    i * config.SOUND_CHORD_STRUM_S);
+            });
+        }
+    }
+
+    _note(freq, pan, gain, delay) {
+        const ctx = this.ctx;
+        const now = ctx.currentTime;
+        this.ringing = this.ringing.filter(end => end > now);
+        if (this.ringing.length >= config.SIGNAL_HARD_CAP) return false;
+
+        const start = now + delay;
+        const end = start + config.SOUND_NOTE_S;
+        const osc = ctx.createOscillator();
+        osc.type = 'sine';
+        osc.frequency.value = freq;
+        const env = ctx.createGain();
+        env.gain.setValueAtTime(0, start);
+        env.gain.linearRampToValueAtTime(gain, start + config.SOUND_ATTACK_S);
+        env.gain.exponentialRampToValueAtTime(0.0001, end);
+        const panner = ctx.createStereoPanner();
+        panner.pan.value = pan;
+        osc.connect(env).connect(panner).connect(this.master);
+        osc.start(start);
+        osc.stop(end);
+        this.ringing.push(end);
+        return true;
+    }
+}
@@ -8,9 +8,27 @@ export const config = {
     SPACING_AREA_DIVISOR: 130,
     SPACING_MIN: 88,
     SPACING_MAX: 150,
-    JITTER: 0.36,              // node offset from its grid point (fraction of a cell)
+    LAYOUT: 'grid',            // node placement: 'grid', 'poisson', 'hex' or 'radial'
+    JITTER: 0.36,              // grid: node offset from its grid point (fraction of a cell)
+    POISSON_MIN_DIST: 0.82,    // poisson: closest allowed node distance (fraction of spacing)
+    LATTICE_JITTER: 0.12,      // hex / radial: node offset (fraction of the lattice step)
     EXTRA_EDGE_KEEP: 0.5,      // share of non-spanning-tree edges kept when thinning
     LONG_EDGE_FACTOR: 1.9,     // drop non-tree edges longer than spacing * factor
+    // Window resizes grow or trim the existing mesh instead of replacing it,
+    // unless the area-derived spacing changes by more than this factor.
+    RESIZE_INCREMENTAL: true,
+    RESIZE_SPACING_TOLERANCE: 1.25,
+    RESIZE_FADE_S: 0.8,        // crossfade of nodes and edges added or removed by a resize
+
+    // --- Shape mask (optional: the main mesh hints at a glyph or logo) -----
+    MASK_TEXT: '',             // e.g. 'VH'; drawn with MASK_FONT (wins over MASK_PATH)
+    MASK_FONT: '700 240px "Fira Sans", sans-serif',
+    MASK_PATH: '',             // SVG path data, e.g. the favicon's 'M18 44 L32 22 L46 44 Z'
+    MASK_VIEWBOX: [0, 0, 64, 64],
+    MASK_SIZE: 0.6,            // shape box as a fraction of the viewport (fitted)
+    MASK_INNER_SPACING: 0.45,  // node spacing inside the shape (fraction of spacing)
+    MASK_OUTLINE_KEEP: 1,      // share of non-tree outline edges kept when thinning
+    MASK_SIGNAL_CHANCE: 0.5,   // share of signals that trace the outline
 
     // --- Node drift (always kept below the computed no-crossing bound) ------
     DRIFT_MAX_FRAC: 0.085,     // max drift radius as a fraction of node spacing
@@ -18,13 +36,28 @@ export const config = {
     DRIFT_FREQ_MIN: 0.05,      // Hz
     DRIFT_FREQ_MAX: 0.12,
 
-    // --- Colours -------------------------------------------------------------
+    // --- Living topology (extra edges slowly rewire; the tree stays) -------
+    REWIRE_INTERVAL_S: 0.5,    // mean time between rewiring steps per layer (0 = frozen)
+    REWIRE_FADE_S: 2.5,        // fade-in / fade-out time of a rewired edge
+
+    // --- Node life (on-screen nodes are born and die; repaired locally) ----
+    LIFE_INTERVAL_S: 3,        // mean time between births / deaths per layer (0 = fixed)
+    LIFE_FADE_S: 2.5,          // fade-in of a newborn node, fade-out + implosion of a dying one
+    LIFE_BIRTH_GAP: 0.6,       // newborns need an empty circle this wide (x spacing)
+
+    // --- Colours (the dark theme; themes.js overrides them for the others) ----
+    // Preset: 'auto' follows prefers-color-scheme ('light' or 'dark'); the
+    // page's theme button overrides it. Also 'mono', 'contrast' and
+    // 'schedule' (colours follow the local time and date; schedule.js).
+    THEME: 'auto',
     BG_TOP: '#05070d',
     BG_BOTTOM: '#0b1120',
     BG_CENTER_GLOW: 'rgba(64, 105, 180, 0.07)',
     VIGNETTE: 'rgba(0, 0, 0, 0.38)',
-    EDGE_RGB: [126, 160, 215],
-    EDGE_ALPHA: 0.17,
+    // The light passes add up on the layer that paints the background, as
+    // on the transparent ones; a light background turns this off, as adding
+    // light to it would wash everything out to white.
+    BG_ADDITIVE: true,
     EDGE_WIDTH: 1,
     NODE_ALPHA_MIN: 0.35,
     NODE_ALPHA_MAX: 0.8,
@@ -34,14 +67,21 @@ export const config = {
     // screen (so neighbours harmonise) with per-node jitter on top.
     NODE_HUE_SPAN: 360,        // degrees of hue across the diagonal
     NODE_HUE_JITTER: 28,
+    NODE_HUE_SHIFT: 0,         // degrees added to every node's hue
     NODE_HUE_SAT: 0.55,
     NODE_HUE_LIGHT: 0.8,
+    NODE_GREY_LIGHT_MIN: 0.78, // lightness range of monochrome layers' nodes
+    NODE_GREY_LIGHT_MAX: 0.92,
     HUB_DEGREE: 6,             // nodes with at least this many links get a faint halo
     HUB_GLOW_ALPHA: 0.1,
-    HALO_COLOR: '#7fb4ff',
     HUB_BREATH_AMP: 0.5,       // px of slow radius breathing on hubs
     HUB_BREATH_FREQ: 0.18,     // Hz
 
+    // --- Schedule (the 'schedule' theme: time-of-day and seasonal looks) -------
+    SCHEDULE_UPDATE_S: 30,     // how often the colours move on (they change slowly)
+    SCHEDULE_FADE_H: 6,        // holiday palettes fade in and out over this many hours
+    SCHEDULE_SOUTH: false,     // southern hemisphere: the seasons shift by half a year
+
     // --- Twinkle ---------------------------------------------------------------
     TWINKLE_FREQ_MIN: 0.1,     // Hz
     TWINKLE_FREQ_MAX: 0.25,
@@ -55,6 +95,8 @@ export const config = {
 
     // --- Signals (packets routed along shortest paths) ---------------------------
     SIGNAL_MAX: 8,
+    SIGNAL_ROUTING: 'bfs',     // 'bfs' (fewest hops), 'dijkstra', 'walk' or 'kshortest'
+    ROUTE_K: 3,                // kshortest: routes to choose from
     SIGNAL_SPAWN_MIN_S: 0.45,
     SIGNAL_SPAWN_MAX_S: 1.1,
     SIGNAL_SPEED_MIN: 120,     // px / s
@@ -116,42 +158,128 @@ export const config = {
     STAR_ALPHA_MAX: 0.2,
     STAR_COLORS: ['#cfe4ff', '#eaf6ff', '#ffd9e8', '#d9ffe3', '#fff3c4'],
 
-    // --- Depth layer (blurred canvas behind the main one; monochrome & faint) --------
-    DEPTH_SPACING_SCALE: 0.55, // denser, smaller cells: reads as further away
-    DEPTH_RES_SCALE: 0.66,     // internal resolution of the depth canvas
-    DEPTH_EDGE_RGB: [205, 210, 220],
-    DEPTH_EDGE_ALPHA: 0.09,
-    DEPTH_NODE_SCALE: 0.8,
-    DEPTH_NODE_ALPHA: 0.5,
-    DEPTH_SIGNAL_COLORS: ['#eef1f6', '#c9cfd9', '#ffffff'], // greys only
-    DEPTH_BOKEH_COLORS: ['#e8ecf2', '#ffffff', '#c5cad2'],
-    DEPTH_BOKEH_ALPHA_SCALE: 0.7,
-    DEPTH_HALO_COLOR: '#dfe5ee',
-    DEPTH_LIT_SCALE: 0.55,     // trail brightness multiplier for the back layer
-    DEPTH_SIGNAL_MAX: 4,
-    DEPTH_SPAWN_MIN_S: 1.4,
-    DEPTH_SPAWN_MAX_S: 3,
-    DEPTH_SPEED_SCALE: 0.55,
-    DEPTH_RING_SCALE: 0.6,
-
-    // --- Camera: pointer parallax + sway + continuous slow rotation -------------------
+    // --- Layers (back to front; one canvas and one simulation each) -----------------
+    // `offset`, `rot` and `zoom` are the layer's multipliers of the camera
+    // offset and rotation and exponent of its zoom (deeper layers move less).
+    // `blur` is a CSS depth-of-field blur in px, `resScale` the canvas pixels
+    // per CSS px (omitted: the device pixel ratio) and `redrawEvery` draws the
+    // layer every n-th frame (Canvas2D only; behind a blur it is invisible).
+    // `backdrop` paints the background gradients, `vignette` darkens the
+    // corners, and the `interactive` layer takes the pointer, clicks and
+    // drags. Mesh looks: `edgeRgb`, `edgeAlpha`, `nodeScale`, `nodeAlpha`,
+    // `haloColor`, `litScale` (trail brightness), `ringScale`. Everything
+    // else is a Simulation option (see network.js); `mask: true` shapes the
+    // mesh with MASK_TEXT / MASK_PATH. `soundGain` scales the layer's notes.
+    LAYERS: [
+        {
+            // Blurred, monochrome and faint.
+            name: 'depth',
+            offset: 0.4,
+            rot: -0.6,             // counter-rotation enhances the depth illusion
+            zoom: 0.5,
+            blur: 5,
+            resScale: 0.66,
+            redrawEvery: 2,
+            backdrop: true,
+            spacingScale: 0.55,    // denser, smaller cells: reads as further away
+            mono: true,
+            palette: ['#eef1f6', '#c9cfd9', '#ffffff'], // greys only
+            signalMax: 4,
+            spawnMin: 1.4,
+            spawnMax: 3,
+            speedScale: 0.55,
+            dust: true,
+            bokeh: true,
+            bokehColors: ['#e8ecf2', '#ffffff', '#c5cad2'],
+            bokehAlphaScale: 0.7,
+            edgeRgb: [205, 210, 220],
+            edgeAlpha: 0.09,
+            nodeScale: 0.8,
+            nodeAlpha: 0.5,
+            haloColor: '#dfe5ee',
+            litScale: 0.55,
+            ringScale: 0.6,
+            soundGain: 0.35,
+        },
+        {
+            // Sharp, rainbow signals; transparent so the layers behind show.
+            name: 'main',
+            offset: 1,
+            rot: 1,
+            zoom: 1,
+            interactive: true,
+            vignette: true,
+            mask: true,
+            fgBokeh: true,
+            stars: true,
+            edgeRgb: [126, 160, 215],
+            edgeAlpha: 0.17,
+            haloColor: '#7fb4ff',
+        },
+    ],
+
+    // --- Camera: pointer parallax + sway + continuous slow rotation + zoom ------------
     PARALLAX_PX: 8,            // px of shift when the cursor reaches a screen edge
     PARALLAX_EASE: 3,          // lerp speed, 1/s
     SWAY_AMP: 5,               // px of slow always-on camera sway
     SWAY_FREQ: 0.022,          // Hz
     ROT_SPEED_DEG_S: 0.75,     // continuous rotation; one revolution in ~8 minutes
-    OFFSET_DUST: 0.25,         // per-layer multipliers of the camera offset
-    OFFSET_DEPTH: 0.4,
-    OFFSET_MAIN: 1,
-    OFFSET_FG: 1.6,
-    ROT_MAIN: 1,               // per-layer multipliers of the camera rotation
-    ROT_DEPTH: -0.6,           // counter-rotation enhances the depth illusion
+    OFFSET_DUST: 0.25,         // camera offset multipliers of dust / bokeh and of the
+    OFFSET_FG: 1.6,            // foreground bokeh (the layers' own are in LAYERS)
+    ZOOM_MIN: 0.92,            // camera zoom range; layouts cover the view at ZOOM_MIN
+    ZOOM_MAX: 2.5,
+    ZOOM_DUST: 0.25,           // zoom exponents of dust / bokeh and foreground bokeh
+    ZOOM_FG: 1.4,
+    ZOOM_BREATH_AMP: 0.02,     // slow always-on zoom breathing (fraction of the zoom)
+    ZOOM_BREATH_FREQ: 0.03,    // Hz
+    ZOOM_EASE: 1.2,            // 1/s; how fast zoomTo() glides
 
     // --- Pointer --------------------------------------------------------------------
     HOVER_RADIUS: 150,
     HOVER_NODE_BOOST: 0.6,     // extra brightness / radius for nodes near the cursor
     CLICK_RADIUS: 240,         // a click fires a burst from the nearest node within this
     CLICK_BURST: 3,            // signals emitted per click
+    DRAG_MIN_PX: 14,           // shorter drags count as clicks
+    DRAG_SAMPLE_PX: 8,         // spacing of the recorded pointer trail
+    POINTER_FORCE: 28,         // push at the cursor, px (negative pulls nodes in)
+    POINTER_RADIUS: 150,       // reach of the push (main layer)
+    POINTER_STIFFNESS: 60,     // spring towards the pushed spot and back home, 1/s^2
+    POINTER_DAMPING: 11,       // 1/s; below 2*sqrt(stiffness) it overshoots slightly
+    POINTER_MAX_FRAC: 0.3,     // cap on a node's room to move, as a fraction of spacing
+
+    // --- Touch (one finger: parallax; two: pinch to zoom, twist to rotate) ------------
+    TOUCH_RELEASE_EASE: 1.5,   // 1/s; how fast zoom and twist settle after lifting
+
+    // --- Keyboard (press ? on the page for the list) --------------------------------
+    KEY_NUDGE_PX: 6,           // camera shift per arrow-key press
+    KEY_NUDGE_MAX_PX: 24,      // total shift; stays inside the layers' 30px spare margin
+
+    // --- Sound (opt-in: silent until the visitor turns it on) ------------------------
+    SOUND: true,               // offer the sound button (where Web Audio exists)
+    SOUND_VOLUME: 0.2,         // master gain
+    SOUND_ROOT_HZ: 261.63,     // root of the scale (C4)
+    SOUND_SCALE: [0, 2, 4, 7, 9], // semitones above the root: major pentatonic
+    SOUND_ATTACK_S: 0.015,
+    SOUND_NOTE_S: 1.4,         // decay of one note
+    SOUND_HOP_GAIN: 0.3,       // node passes, relative to arrivals
+    SOUND_PAN_WIDTH: 0.7,      // stereo spread of screen x (1 = hard left / right)
+    SOUND_CHORD_STRUM_S: 0.035, // delay between the notes of a burst chord
 
+    // --- Rendering ------------------------------------------------------------------
     MAX_DPR: 2,
+    RENDERER: 'canvas2d',      // 'canvas2d' or 'webgl' (WebGL2; falls back to Canvas2D)
+    // Run the simulation and drawing in a Web Worker on OffscreenCanvases,
+    // keeping the main thread free for scrolling and input. Browsers
+    // without OffscreenCanvas stay on the main thread.
+    RENDER_IN_WORKER: false,
+    // Reloads within a tab resume the exact meshes the visitor saw
+    // (a Simulation snapshot kept in sessionStorage).
+    SESSION_SNAPSHOT: true,
+    // With RENDER_IN_WORKER the worker also sends a snapshot this often
+    // while animating: a reload may not wait for the one the page asks for
+    // as it is hidden.
+    SNAPSHOT_INTERVAL_S: 2,
+    // Any number or string makes every page load build the same meshes
+    // (each layer seeds its generator from it and its name); null: random.
+    SEED: null,
 };
@@ -0,0 +1,530 @@
+// engine.js
+// The animation engine behind the layer canvases: one simulation per
+// config.LAYERS entry, the camera (pointer parallax, sway, slow rotation,
+// zoom), the frame loop and reduced-motion handling. It never touches the
+// DOM, so the same code runs on the main thread or inside worker.js on
+// transferred OffscreenCanvases; script.js only forwards input through the
+// methods in ENGINE_METHODS. Simulation events from every layer are
+// re-emitted through on()/off().
+
+import { config } from './config.js';
+import { configMask } from './masks.js';
+import { SIM_EVENTS, Simulation } from './network.js';
+import { applyOverrides } from './params.js';
+import * as canvas2d from './renderer.js';
+import * as webgl from './renderer-gl.js';
+import { applyTheme } from './themes.js';
+
+// A layer canvas's drawing context and the backend that draws on it:
+// WebGL2 when RENDERER asks for it and the browser has it, else Canvas2D.
+function layerBackend(canvas) {
+    if (config.RENDERER === 'webgl') {
+        const gl = webgl.createContext(canvas);
+        if (gl) return { ctx: gl, draw: webgl };
+    }
+    return { ctx: canvas2d.createContext(canvas), draw: canvas2d };
+}
+
+// config.LAYERS keys that are Simulation options of the same name.
+const SIM_KEYS = [
+    'spacingScale', 'signalMax', 'spawnMin', 'spawnMax', 'speedScale', 'mono', 'palette',
+    'bokehColors', 'bokehAlphaScale', 'dust', 'bokeh', 'fgBokeh', 'stars',
+];
+
+// The Simulation options of a config.LAYERS entry.
+export function layerOptions(spec) {
+    const opts = { layer: spec.name, rotFactor: spec.rot, zoomFactor: spec.zoom };
+    for (const key of SIM_KEYS) {
+        if (spec[key] !== undefined) opts[key] = spec[key];
+    }
+    if (spec.mask) opts.mask = configMask();
+    if (config.SEED !== null) opts.seed = `${config.SEED}/${spec.name}`;
+    return opts;
+}
+
+// The public methods, i.e. the messages worker.js accepts.
+export const ENGINE_METHODS = [
+    'resize', 'pointerMove', 'pointerLeave', 'burst', 'dragStart', 'dragMove', 'dragEnd',
+    'dragCancel', 'pinch', 'pinchEnd', 'flares', 'nudge', 'zoomTo', 'setPaused',
+    'setReducedMotion', 'setTheme', 'setConfig',
+];
+
+// Simulation options that default to a config key, refreshed by
+// setConfig() on layers that do not set their own.
+const SIM_CONFIG = {
+    signalMax: 'SIGNAL_MAX', spawnMin: 'SIGNAL_SPAWN_MIN_S', spawnMax: 'SIGNAL_SPAWN_MAX_S',
+    layout: 'LAYOUT', maskSignals: 'MASK_SIGNAL_CHANCE', routing: 'SIGNAL_ROUTING',
+    rewire: 'REWIRE_INTERVAL_S', life: 'LIFE_INTERVAL_S',
+};
+
+const TAU = Math.PI * 2;
+
+const clampZoom = (z) => Math.max(config.ZOOM_MIN, Math.min(config.ZOOM_MAX, z));
+
+// Dedicated workers get requestAnimationFrame in current browsers; older
+// ones fall back to a 60 Hz timer.
+const requestFrame = typeof requestAnimationFrame === 'function'
+    ? (cb) => requestAnimationFrame(cb)
+    : (cb) => setTimeout(() => cb(performance.now()), 1000 / 60);
+const cancelFrame = typeof cancelAnimationFrame === 'function'
+    ? (id) => cancelAnimationFrame(id)
+    : (id) => clearTimeout(id);
+
+export class Engine {
+    // `canvases` has one canvas per config.LAYERS entry, in the same order
+    // (back to front). `saved` is a snapshot() from an earlier page load,
+    // resumed (and resized to the current viewport) instead of building
+    // fresh meshes.
+    constructor(canvases, reducedMotion = false, saved = null) {
+        this.layers = config.LAYERS.map((spec, i) => ({
+            spec, canvas: canvases[i], ...layerBackend(canvases[i]), sim: null,
+        }));
+        // Pointer, clicks and drags act on the interactive layer (the front
+        // one when none is marked).
+        this.mainLayer = this.layers.find(l => l.spec.interactive) || this.layers.at(-1);
+        this.reducedMotion = reducedMotion;
+        this.paused = false;
+        this.saved = saved;
+        this.view = {
+            w: 0,
+            h: 0,
+            dpr: 1,
+            pointer: { x: 0, y: 0, strength: 0, targetStrength: 0 },
+            parallax: { x: 0, y: 0, tx: 0, ty: 0 },
+            nudge: { x: 0, y: 0, tx: 0, ty: 0 },  // keyboard camera shift, px
+            // Two-finger zoom and twist, easing back once the fingers lift.
+            gesture: { zoom: 1, rot: 0, active: false, baseZoom: 1, baseRot: 0 },
+            // zoomTo(): eased zoom and focus, gliding to the target ones.
+            aim: { zoom: 1, x: 0, y: 0, tzoom: 1, tx: 0, ty: 0 },
+            offset: { x: 0, y: 0 },  // combined parallax + sway, in px
+            rot: 0,                  // camera rotation, radians
+            zoom: 1,                 // camera scale (layers apply powers of it)
+            focus: { x: 0, y: 0 },   // screen point that zooming in closes on
+        };
+        this.simMain = null;        // the interactive layer's simulation
+        this.listeners = new Map(); // event type -> Set of listeners
+        this.drag = null;           // pointer trail while a button is held
+        this.rafId = null;
+        this.rebuildTimer = 0;
+        this.scheduleTimer = 0;     // re-applies the 'schedule' theme
+        this.elapsed = 0;
+        this.last = 0;
+        this.frameNo = 0;           // for the layers' redrawEvery
+        this.frame = this.frame.bind(this);
+    }
+
+    _fitCanvases(w, h, dpr) {
+        const view = this.view;
+        view.w = w;
+        view.h = h;
+        view.dpr = dpr;
+        const aim = view.aim;
+        if (aim.tzoom <= 1) {
+            aim.x = aim.tx = w / 2;
+            aim.y = aim.ty = h / 2;
+        }
+        // Blurred layers can render at reduced resolution; the blur hides it.
+        for (const layer of this.layers) {
+            const scale = layer.spec.resScale ?? dpr;
+            layer.canvas.width = Math.max(1, Math.round(w * scale));
+            layer.canvas.height = Math.max(1, Math.round(h * scale));
+            layer.draw.fitContext(layer.ctx, scale);
+        }
+    }
+
+    _render(layer) {
+        layer.draw.renderLayer(layer.ctx, layer.sim, this.view, layer.spec);
+    }
+
+    _renderAll() {
+        for (const layer of this.layers) this._render(layer);
+    }
+
+    _rebuild() {
+        const { w, h } = this.view;
+        if (this.simMain && config.RESIZE_INCREMENTAL) {
+            for (const layer of this.layers) layer.sim.resize(w, h);
+        } else if (this.simMain) {
+            for (const layer of this.layers) layer.sim.rebuild(w, h);
+        } else if (this._restore()) {
+            for (const layer of this.layers) layer.sim.resize(w, h);
+        } else {
+            for (const layer of this.layers) {
+                layer.sim = new Simulation(w, h, layerOptions(layer.spec));
+            }
+            this._adopt();
+        }
+        if (this.reducedMotion || this.paused) this._renderAll();
+    }
+
+    // Takes on freshly made simulations: subscribes the engine to all their
+    // events (rebuilds and resizes keep the same objects, and their
+    // listeners).
+    _adopt() {
+        this.simMain = this.mainLayer.sim;
+        for (const { spec, sim } of this.layers) {
+            for (const type of SIM_EVENTS) sim.on(type, (ev) => this._emit(ev, spec));
+        }
+    }
+
+    _emit(ev, spec) {
+        const fns = this.listeners.get(ev.type);
+        if (!fns || fns.size === 0) return;
+        const p = canvas2d.layerToScreen(this.view, spec.offset, spec.rot, ev.x, ev.y,
+            spec.zoom);
+        ev.sx = p.x;
+        ev.sy = p.y;
+        for (const fn of [...fns]) fn(ev);
+    }
+
+    // Simulation events (see Simulation.on) from every layer; `ev.layer`
+    // (the config.LAYERS name) tells them apart and `ev.sx` / `ev.sy` add
+    // the screen position (CSS px). Returns a function that unsubscribes.
+    on(type, fn) {
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(fn);
+        return () => this.off(type, fn);
+    }
+
+    off(type, fn) {
+        const fns = this.listeners.get(type);
+        if (fns) fns.delete(fn);
+    }
+
+    _restore() {
+        const saved = this.saved;
+        this.saved = null;
+        if (!saved) return false;
+        try {
+            // Every layer must be there, under its config.LAYERS name.
+            const sims = this.layers.map(({ spec }) => Simulation.fromJSON(saved[spec.name], {
+                layer: spec.name, mask: spec.mask ? configMask() : null,
+            }));
+            this.layers.forEach((layer, i) => {
+                layer.sim = sims[i];
+                layer.sim.recolor(layer.spec); // saved under another theme, maybe
+            });
+            this._adopt();
+            return true;
+        } catch {
+            return false; // stale or foreign snapshot
+        }
+    }
+
+    // Every layer's state by name, for restoring on the next page load.
+    snapshot() {
+        if (!this.simMain) return null;
+        return Object.fromEntries(this.layers.map(l => [l.spec.name, l.sim.toJSON()]));
+    }
+
+    // CSS size and device pixel ratio of the canvases. The first call builds
+    // the simulations and starts the loop; later ones stretch the current
+    // frame at once and rebuild when the resizing settles.
+    resize(w, h, dpr) {
+        this._fitCanvases(w, h, dpr);
+        if (!this.simMain) {
+            this._rebuild();
+            if (!this.reducedMotion && !this.paused) this._start();
+            return;
+        }
+        if (!this.reducedMotion) this._renderAll();
+        clearTimeout(this.rebuildTimer);
+        this.rebuildTimer = setTimeout(() => this._rebuild(), 180);
+    }
+
+    pointerMove(x, y) {
+        const view = this.view;
+        view.pointer.x = x;
+        view.pointer.y = y;
+        view.pointer.targetStrength = 1;
+        // The scene shifts slightly away from the cursor for a depth effect.
+        view.parallax.tx = (0.5 - x / Math.max(1, view.w)) * 2;
+        view.parallax.ty = (0.5 - y / Math.max(1, view.h)) * 2;
+    }
+
+    pointerLeave() {
+        const view = this.view;
+        view.pointer.targetStrength = 0;
+        view.parallax.tx = 0;
+        view.parallax.ty = 0;
+    }
+
+    // Pops the main-layer node nearest to a screen point.
+    burst(x, y) {
+        if (this.reducedMotion || !this.simMain) return;
+        const p = this._toMain(x, y);
+        this.simMain.burstAt(p.x, p.y);
+    }
+
+    // Press, drag and release trace a route through the main mesh; a press
+    // that barely moves is a click and bursts instead. Trail points are
+    // mapped into layer space as they arrive, so they match what was under
+    // the pointer even while the camera turns.
+    dragStart(x, y) {
+        if (this.reducedMotion || !this.simMain) return;
+        this.drag = { x, y, lastX: x, lastY: y, moved: false, points: [] };
+        this._dragPoint(this.drag, x, y);
+    }
+
+    dragMove(x, y) {
+        const drag = this.drag;
+        if (!drag) return;
+        if (Math.hypot(x - drag.lastX, y - drag.lastY) < config.DRAG_SAMPLE_PX) return;
+        drag.moved = drag.moved || Math.hypot(x - drag.x, y - drag.y) >= config.DRAG_MIN_PX;
+        drag.lastX = x;
+        drag.lastY = y;
+        this._dragPoint(drag, x, y);
+    }
+
+    dragEnd(x, y) {
+        const drag = this.drag;
+        this.drag = null;
+        if (!drag || this.reducedMotion || !this.simMain) return;
+        if (!drag.moved) {
+            this.burst(drag.x, drag.y);
+            return;
+        }
+        this._dragPoint(drag, x, y);
+        this.simMain.sendAlong(drag.points);
+    }
+
+    dragCancel() {
+        this.drag = null;
+    }
+
+    // A screen point in the interactive layer's space.
+    _toMain(x, y) {
+        const spec = this.mainLayer.spec;
+        return canvas2d.screenToLayer(this.view, spec.offset, spec.rot, x, y, spec.zoom);
+    }
+
+    _dragPoint(drag, x, y) {
+        const p = this._toMain(x, y);
+        drag.points.push(p);
+        this.simMain.touchAt(p.x, p.y);
+    }
+
+    flares(count) {
+        if (this.reducedMotion || !this.simMain) return;
+        this.simMain.fireFlares(count);
+    }
+
+    // Two-finger gesture: `scale` and `twist` (radians) since the fingers
+    // went down. The zoom stays within ZOOM_MIN..ZOOM_MAX (the layouts
+    // cover the view down to ZOOM_MIN) and the twist adds to the
+    // autonomous rotation.
+    pinch(scale, twist) {
+        if (this.reducedMotion || !this.simMain) return;
+        const g = this.view.gesture;
+        if (!g.active) {
+            g.active = true;
+            g.baseZoom = g.zoom;
+            g.baseRot = g.rot;
+        }
+        g.zoom = clampZoom(g.baseZoom * scale);
+        g.rot = g.baseRot + twist;
+        if (this.paused) {
+            this._camera();
+            this._renderAll();
+        }
+    }
+
+    pinchEnd() {
+        this.view.gesture.active = false;
+    }
+
+    // Shifts the camera by a few pixels (arrow keys); the shift stays,
+    // within KEY_NUDGE_MAX_PX, and eases in like the parallax.
+    nudge(dx, dy) {
+        if (this.reducedMotion || !this.simMain) return;
+        const nudge = this.view.nudge, max = config.KEY_NUDGE_MAX_PX;
+        nudge.tx = Math.max(-max, Math.min(max, nudge.tx + dx));
+        nudge.ty = Math.max(-max, Math.min(max, nudge.ty + dy));
+        if (!this.paused) return;
+        // A paused frame moves at once.
+        nudge.x = nudge.tx;
+        nudge.y = nudge.ty;
+        this._camera();
+        this._renderAll();
+    }
+
+    // Glides the camera to `zoom`, closing in on the screen point (x, y)
+    // when zooming in; a zoom of 1 or less recentres. The zoom stays, on
+    // top of pinches and the breathing, until the next call.
+    zoomTo(x, y, zoom) {
+        if (this.reducedMotion || !this.simMain) return;
+        const aim = this.view.aim;
+        aim.tzoom = clampZoom(zoom);
+        const inward = aim.tzoom > 1;
+        aim.tx = inward ? Math.max(0, Math.min(this.view.w, x)) : this.view.w / 2;
+        aim.ty = inward ? Math.max(0, Math.min(this.view.h, y)) : this.view.h / 2;
+        if (!this.paused) return;
+        // A paused frame moves at once.
+        aim.zoom = aim.tzoom;
+        aim.x = aim.tx;
+        aim.y = aim.ty;
+        this._camera();
+        this._renderAll();
+    }
+
+    // Freezes the animation on the current frame, or resumes it.
+    setPaused(on) {
+        this.paused = on;
+        if (!this.simMain || this.reducedMotion) return;
+        if (on) this._stop();
+        else this._start();
+    }
+
+    // Switches to the themes.js preset `name`: the drawing caches are
+    // rebuilt and every layer's colours follow at once, mid-animation.
+    // 'schedule' is re-applied every SCHEDULE_UPDATE_S (paused or not), its
+    // colours moving on with the clock; the meshes are kept.
+    setTheme(name) {
+        clearInterval(this.scheduleTimer);
+        this.scheduleTimer = 0;
+        if (applyTheme(name) === 'schedule') {
+            this.scheduleTimer = setInterval(() => this._scheduleTick(),
+                config.SCHEDULE_UPDATE_S * 1000);
+        }
+        this._recolor();
+    }
+
+    // One step of the 'schedule' theme. Skipped while the page is hidden
+    // (a worker cannot tell, so it keeps going); a look that breaks the
+    // schema, say against a tuned setting, falls back to 'dark'.
+    _scheduleTick() {
+        if (typeof document !== 'undefined' && document.hidden) return;
+        try {
+            applyTheme('schedule');
+        } catch (err) {
+            console.warn(`${err.message}; switching to the dark theme`);
+            this.setTheme('dark');
+            return;
+        }
+        this._recolor();
+    }
+
+    // Live config changes (the ?tune panel): `values` are written like URL
+    // overrides (and ignored if they break the schema), the simulation
+    // options that follow config are refreshed and the colours redone.
+    // Everything else is read as it is used, but layout keys only take
+    // effect in a new mesh, so they pass `rebuild`.
+    setConfig(values, rebuild = false) {
+        if (applyOverrides(values).length > 0) return; // would break the schema
+        for (const { spec, sim } of this.layers) {
+            if (!sim) continue;
+            for (const [opt, key] of Object.entries(SIM_CONFIG)) {
+                if (spec[opt] === undefined) sim.opts[opt] = config[key];
+            }
+            if (rebuild) {
+                sim.opts.mask = spec.mask ? configMask() : null;
+                sim.rebuild(this.view.w, this.view.h);
+            }
+        }
+        if (this.scheduleTimer) this.setTheme('schedule'); // the Schedule settings apply at once
+        else this._recolor();
+    }
+
+    // Drops the drawing caches, which bake in colours, recolours every
+    // layer and repaints a frozen frame.
+    _recolor() {
+        canvas2d.clearCaches();
+        webgl.clearCaches();
+        for (const layer of this.layers) {
+            if (layer.sim) layer.sim.recolor(layer.spec);
+        }
+        if (this.simMain && (this.reducedMotion || this.paused)) this._renderAll();
+    }
+
+    setReducedMotion(on) {
+        this.reducedMotion = on;
+        this.drag = null;
+        if (!this.simMain) return;
+        if (on) {
+            this._stop();
+            this.view.offset.x = 0;
+            this.view.offset.y = 0;
+            this.view.rot = 0;
+            this.view.zoom = 1;
+            this._renderAll();
+        } else if (!this.paused) {
+            this._start();
+        }
+    }
+
+    frame(now) {
+        this.rafId = requestFrame(this.frame);
+        const dt = Math.min((now - this.last) / 1000, 0.1);
+        this.last = now;
+        this.elapsed += dt;
+        const view = this.view;
+
+        const pointerEase = Math.min(1, 5 * dt);
+        view.pointer.strength +=
+            (view.pointer.targetStrength - view.pointer.strength) * pointerEase;
+        const parallaxEase = Math.min(1, config.PARALLAX_EASE * dt);
+        view.parallax.x += (view.parallax.tx - view.parallax.x) * parallaxEase;
+        view.parallax.y += (view.parallax.ty - view.parallax.y) * parallaxEase;
+        view.nudge.x += (view.nudge.tx - view.nudge.x) * parallaxEase;
+        view.nudge.y += (view.nudge.ty - view.nudge.y) * parallaxEase;
+        const g = view.gesture;
+        if (!g.active) {
+            const release = Math.min(1, config.TOUCH_RELEASE_EASE * dt);
+            g.zoom += (1 - g.zoom) * release;
+            g.rot -= g.rot * release;
+        }
+        const aim = view.aim;
+        const zoomEase = Math.min(1, config.ZOOM_EASE * dt);
+        aim.zoom += (aim.tzoom - aim.zoom) * zoomEase;
+        aim.x += (aim.tx - aim.x) * zoomEase;
+        aim.y += (aim.ty - aim.y) * zoomEase;
+        this._camera();
+
+        // Nodes near the cursor make way (interactive layer only, like the
+        // hover).
+        const p = this._toMain(view.pointer.x, view.pointer.y);
+        this.simMain.setPointer(p.x, p.y, view.pointer.strength);
+        for (const layer of this.layers) layer.sim.update(dt);
+        // Behind a blur, redrawing a layer only every other frame is
+        // invisible and saves most of its fill cost. WebGL redraws every
+        // frame: it is cheap there, and its drawing buffer is not kept
+        // between frames.
+        for (const layer of this.layers) {
+            const every = layer.spec.redrawEvery ?? 1;
+            if (this.frameNo % every === 0 || layer.draw === webgl) this._render(layer);
+        }
+        this.frameNo++;
+    }
+
+    // Camera: eased pointer parallax, keyboard nudges, touch gestures and
+    // zoomTo() plus a slow autonomous sway, a continuous slow rotation and
+    // a gentle zoom breathing, so the scene keeps moving on its own.
+    _camera() {
+        // Rates are read from config every frame (URL overrides apply after
+        // this module loads).
+        const view = this.view;
+        const sway = TAU * config.SWAY_FREQ * this.elapsed;
+        view.offset.x = view.parallax.x * config.PARALLAX_PX + view.nudge.x
+            + Math.sin(sway + 0.9) * config.SWAY_AMP;
+        view.offset.y = view.parallax.y * config.PARALLAX_PX + view.nudge.y
+            + Math.sin(sway * 0.8 + 2.3) * config.SWAY_AMP * 0.7;
+        const spin = config.ROT_SPEED_DEG_S * Math.PI / 180 * this.elapsed;
+        view.rot = (spin + view.gesture.rot) % TAU;
+        const breath = 1 + Math.sin(TAU * config.ZOOM_BREATH_FREQ * this.elapsed)
+            * config.ZOOM_BREATH_AMP;
+        view.zoom = clampZoom(view.gesture.zoom * view.aim.zoom * breath);
+        view.focus.x = view.aim.x;
+        view.focus.y = view.aim.y;
+    }
+
+    _start() {
+        if (this.rafId !== null) return;
+        this.last = performance.now();
+        this.rafId = requestFrame(this.frame);
+    }
+
+    _stop() {
+        if (this.rafId !== null) cancelFrame(this.rafId);
+        this.rafId = null;
+    }
+}
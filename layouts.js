@@ -0,0 +1,144 @@
+// layouts.js
+// Node placement strategies for buildNetwork.
+//
+// Each generator fills the padded layout box of a frame with points at
+// roughly one node per spacing^2, so densities (and the coverage of the
+// rotation circle) match whichever strategy is picked. Everything after
+// placement — Delaunay, thinning, the drift bound — is shared.
+
+import { config } from './config.js';
+
+const TAU = Math.PI * 2;
+
+// The original look: one node per grid cell, jittered inside the cell.
+function grid(f, random) {
+    const points = [];
+    for (let r = -f.mR; r < f.rows + f.mR; r++) {
+        for (let c = -f.mC; c < f.cols + f.mC; c++) {
+            points.push({
+                x: (c + 0.5) * f.cellW + random.rand(-1, 1) * f.cellW * config.JITTER,
+                y: (r + 0.5) * f.cellH + random.rand(-1, 1) * f.cellH * config.JITTER,
+            });
+        }
+    }
+    return points;
+}
+
+// Blue noise (Bridson's Poisson-disk sampling): irregular but evenly spread,
+// no two nodes closer than the minimum distance. Grows outwards from the
+// screen centre and never leaves the crop circle, so no work is wasted.
+function poisson(f, random) {
+    const minDist = f.spacing * config.POISSON_MIN_DIST;
+    const cell = minDist / Math.SQRT2;
+    const gw = Math.max(1, Math.ceil((f.x1 - f.x0) / cell));
+    const gh = Math.max(1, Math.ceil((f.y1 - f.y0) / cell));
+    const grid = new Int32Array(gw * gh).fill(-1);
+    const points = [];
+    const active = [];
+
+    const inside = (x, y) => x >= f.x0 && x < f.x1 && y >= f.y0 && y < f.y1
+        && Math.hypot(x - f.cx, y - f.cy) <= f.crop;
+    const free = (x, y) => {
+        const gx = Math.floor((x - f.x0) / cell), gy = Math.floor((y - f.y0) / cell);
+        for (let j = Math.max(0, gy - 2); j <= Math.min(gh - 1, gy + 2); j++) {
+            for (let i = Math.max(0, gx - 2); i <= Math.min(gw - 1, gx + 2); i++) {
+                const k = grid[j * gw + i];
+                if (k < 0) continue;
+                const dx = points[k].x - x, dy = points[k].y - y;
+                if (dx * dx + dy * dy < minDist * minDist) return false;
+            }
+        }
+        return true;
+    };
+    const add = (x, y) => {
+        const gx = Math.floor((x - f.x0) / cell), gy = Math.floor((y - f.y0) / cell);
+        grid[gy * gw + gx] = points.length;
+        active.push(points.length);
+        points.push({ x, y });
+    };
+
+    add(f.cx + random.rand(-0.5, 0.5) * minDist, f.cy + random.rand(-0.5, 0.5) * minDist);
+    while (active.length > 0) {
+        const ai = Math.floor(random.next() * active.length);
+        const p = points[active[ai]];
+        let found = false;
+        for (let k = 0; k < 30; k++) {
+            const ang = random.rand(0, TAU);
+            const d = random.rand(minDist, minDist * 2);
+            const x = p.x + Math.cos(ang) * d, y = p.y + Math.sin(ang) * d;
+            if (inside(x, y) && free(x, y)) {
+                add(x, y);
+                found = true;
+                break;
+            }
+        }
+        if (!found) {
+            active[ai] = active[active.length - 1];
+            active.pop();
+        }
+    }
+    return points;
+}
+
+// Hexagonal lattice centred on the screen, with a light jitter so the
+// triangulation has no co-circular ties. The side is scaled so the area per
+// node equals spacing^2, like a grid cell.
+function hex(f, random) {
+    const side = f.spacing * Math.sqrt(2 / Math.sqrt(3));
+    const rowH = side * Math.sqrt(3) / 2;
+    const jitter = side * config.LATTICE_JITTER;
+    const points = [];
+    const j0 = Math.ceil((f.y0 - f.cy) / rowH), j1 = Math.floor((f.y1 - f.cy) / rowH);
+    for (let j = j0; j <= j1; j++) {
+        const off = (j & 1) ? side / 2 : 0;
+        const i0 = Math.ceil((f.x0 - f.cx - off) / side);
+        const i1 = Math.floor((f.x1 - f.cx - off) / side);
+        for (let i = i0; i <= i1; i++) {
+            points.push({
+                x: f.cx + i * side + off + random.rand(-1, 1) * jitter,
+                y: f.cy + j * rowH + random.rand(-1, 1) * jitter,
+            });
+        }
+    }
+    return points;
+}
+
+// Concentric rings around the screen centre; ring k holds about 2*pi*k
+// nodes, which keeps the density constant. Each ring starts at a random
+// angle so spokes do not line up.
+function radial(f, random) {
+    const step = f.spacing;
+    const jitter = step * config.LATTICE_JITTER;
+    const maxR = Math.min(f.crop, Math.max(
+        Math.hypot(f.x0 - f.cx, f.y0 - f.cy), Math.hypot(f.x1 - f.cx, f.y0 - f.cy),
+        Math.hypot(f.x0 - f.cx, f.y1 - f.cy), Math.hypot(f.x1 - f.cx, f.y1 - f.cy)));
+    const points = [{
+        x: f.cx + random.rand(-1, 1) * jitter,
+        y: f.cy + random.rand(-1, 1) * jitter,
+    }];
+    for (let k = 1; k * step <= maxR + step; k++) {
+        const count = Math.round(TAU * k);
+        const phase = random.rand(0, TAU);
+        for (let i = 0; i < count; i++) {
+            const ang = phase + i / count * TAU;
+            const rad = k * step + random.rand(-1, 1) * jitter;
+            const x = f.cx + Math.cos(ang) * rad;
+            const y = f.cy + Math.sin(ang) * rad;
+            if (x < f.x0 || x > f.x1 || y < f.y0 || y > f.y1) continue;
+            points.push({ x, y });
+        }
+    }
+    return points;
+}
+
+export const LAYOUTS = { grid, poisson, hex, radial };
+
+// Points for the frame `f` (see buildNetwork) using the named strategy.
+export function layoutPoints(name, f, random) {
+    const generate = LAYOUTS[name];
+    if (!generate) {
+        throw new Error(`Unknown layout "${name}"; expected one of `
+            + Object.keys(LAYOUTS).join(', '));
+    }
+    return generate(f, random);
+}
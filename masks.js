@@ -0,0 +1,67 @@
+// masks.js
+// Shape masks that make the mesh hint at a glyph or logo.
+//
+// A mask is { aspect, sample(u, v) }: u and v run from 0 to 1 across the
+// shape's bounding box and sample() returns its coverage there (0..1).
+// buildNetwork fits the box into the middle of the viewport, packs nodes
+// densely where the coverage is high and keeps the outline's edges.
+
+import { config } from './config.js';
+
+// Bitmap masks read the alpha channel of an ImageData-like object
+// ({ data: RGBA bytes, width, height }), so they also work without a DOM.
+export function maskFromImageData(image) {
+    const { data, width, height } = image;
+    return {
+        aspect: width / height,
+        sample(u, v) {
+            if (u < 0 || u >= 1 || v < 0 || v >= 1) return 0;
+            const x = Math.floor(u * width), y = Math.floor(v * height);
+            return data[(y * width + x) * 4 + 3] / 255;
+        },
+    };
+}
+
+function makeCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// SVG path data (e.g. the favicon's triangle) in the given viewBox,
+// filled and rasterised at `resolution` px along the longer side.
+export function maskFromPath(d, viewBox = [0, 0, 64, 64], resolution = 256) {
+    const [vx, vy, vw, vh] = viewBox;
+    const scale = resolution / Math.max(vw, vh);
+    const width = Math.max(1, Math.round(vw * scale));
+    const height = Math.max(1, Math.round(vh * scale));
+    const g = makeCanvas(width, height).getContext('2d');
+    g.setTransform(scale, 0, 0, scale, -vx * scale, -vy * scale);
+    g.fill(new Path2D(d));
+    return maskFromImageData(g.getImageData(0, 0, width, height));
+}
+
+// Text (e.g. initials) drawn with a CSS font onto an offscreen canvas; the
+// box hugs the rendered glyphs.
+export function maskFromText(text, font) {
+    const measure = makeCanvas(1, 1).getContext('2d');
+    measure.font = font;
+    const m = measure.measureText(text);
+    const ascent = m.actualBoundingBoxAscent, descent = m.actualBoundingBoxDescent;
+    const left = m.actualBoundingBoxLeft, right = m.actualBoundingBoxRight;
+    const width = Math.max(1, Math.ceil(left + right));
+    const height = Math.max(1, Math.ceil(ascent + descent));
+    const g = makeCanvas(width, height).getContext('2d');
+    g.font = font;
+    g.fillText(text, left, ascent);
+    return maskFromImageData(g.getImageData(0, 0, width, height));
+}
+
+// The mask configured in config.js, or null when none is set.
+export function configMask() {
+    if (config.MASK_TEXT) return maskFromText(config.MASK_TEXT, config.MASK_FONT);
+    if (config.MASK_PATH) return maskFromPath(config.MASK_PATH, config.MASK_VIEWBOX);
+    return null;
+}
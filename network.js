@@ -1,25 +1,22 @@
 // network.js
 // Builds the background graphs and runs the simulation state.
 //
-// Layout: nodes sit on a jittered grid (padded and cropped to cover the
-// full rotation circle of the viewport), connected by a Delaunay
-// triangulation that is thinned to a lighter web. Delaunay triangulations
+// Layout: nodes are placed by one of the strategies in layouts.js (a
+// jittered grid by default), padded and cropped to cover the full rotation
+// circle of the viewport, and connected by a Delaunay triangulation that is
+// thinned to a lighter web. Delaunay triangulations
 // are planar, and removing edges keeps them planar, so a mesh can never
 // contain crossing lines. A spanning tree is always kept whole, so every
-// node stays reachable for the routed signals.
+// node stays reachable for the routed signals; its edges only go with a
+// dying node, whose neighbours it is mended around at once.
 
 import { config } from './config.js';
+import { LAYOUTS, layoutPoints } from './layouts.js';
+import { createRandom, toRandom } from './random.js';
+import { route, routeTo } from './routing.js';
 
 const TAU = Math.PI * 2;
 
-function rand(min, max) {
-    return min + Math.random() * (max - min);
-}
-
-function pick(arr) {
-    return arr[Math.floor(Math.random() * arr.length)];
-}
-
 function pointSegDist(px, py, ax, ay, bx, by) {
     const abx = bx - ax, aby = by - ay;
     const len2 = abx * abx + aby * aby;
@@ -42,16 +39,19 @@ function hslToRgb(h, s, l) {
 }
 
 // --- Delaunay triangulation (Bowyer-Watson with a y-sweep) --------------------
-// Returns the unique edges [i, j] of the triangulation of the given points.
+// delaunayTriangles returns the triangles { a, b, c, cc } (point indices and
+// circumcircle) of the given points, delaunayEdges their unique edges [i, j].
 // Points are inserted bottom-up; triangles whose circumcircle lies entirely
 // below the sweep line can never be invalidated again and are retired from
 // the search set, which keeps large builds fast.
 
 const EDGE_KEY_BASE = 1 << 20; // supports up to ~a million vertices
 
-function delaunayEdges(points) {
+const edgeKey = (u, v) => (u < v ? u * EDGE_KEY_BASE + v : v * EDGE_KEY_BASE + u);
+
+function delaunayTriangles(points) {
     const n = points.length;
-    if (n < 2) return [];
+    if (n < 3) return [];
 
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
     for (const p of points) {
@@ -114,7 +114,7 @@ function delaunayEdges(points) {
         // The hole boundary = edges belonging to exactly one bad triangle.
         const counts = new Map();
         const addEdge = (u, v) => {
-            const key = u < v ? u * EDGE_KEY_BASE + v : v * EDGE_KEY_BASE + u;
+            const key = edgeKey(u, v);
             counts.set(key, (counts.get(key) || 0) + 1);
         };
         for (const t of bad) {
@@ -130,12 +130,14 @@ function delaunayEdges(points) {
         }
     }
 
+    // Triangles touching the super-triangle are not part of the result.
+    return finished.concat(active).filter(t => t.a < n && t.b < n && t.c < n);
+}
+
+function delaunayEdges(points) {
     const edgeSet = new Set();
-    for (const t of finished.concat(active)) {
-        if (t.a >= n || t.b >= n || t.c >= n) continue; // touches the super-triangle
-        for (const [u, v] of [[t.a, t.b], [t.b, t.c], [t.c, t.a]]) {
-            edgeSet.add(u < v ? u * EDGE_KEY_BASE + v : v * EDGE_KEY_BASE + u);
-        }
+    for (const t of delaunayTriangles(points)) {
+        edgeSet.add(edgeKey(t.a, t.b)).add(edgeKey(t.b, t.c)).add(edgeKey(t.c, t.a));
     }
     return [...edgeSet].map(key => [Math.floor(key / EDGE_KEY_BASE), key % EDGE_KEY_BASE]);
 }
@@ -164,14 +166,86 @@ class DSU {
     }
 }
 
+// --- Shape masks ------------------------------------------------------------------
+// See masks.js. The mask's box is fitted into the middle of the viewport.
+
+function fitMask(mask, width, height) {
+    const bw = Math.min(width, height * mask.aspect) * config.MASK_SIZE;
+    const bh = bw / mask.aspect;
+    const x0 = (width - bw) / 2, y0 = (height - bh) / 2;
+    return {
+        x0, y0, x1: x0 + bw, y1: y0 + bh,
+        at: (x, y) => mask.sample((x - x0) / bw, (y - y0) / bh),
+    };
+}
+
+// Replaces the layout inside the shape with blue noise at the finer inner
+// spacing. Coarse nodes crowding the new ones are dropped as well, so the
+// seam does not squeeze the clearance (and with it the drift bound).
+function maskPoints(points, fit, spacing, random) {
+    const inner = spacing * config.MASK_INNER_SPACING;
+    const dense = LAYOUTS.poisson({
+        spacing: inner, x0: fit.x0, y0: fit.y0, x1: fit.x1, y1: fit.y1,
+        cx: (fit.x0 + fit.x1) / 2, cy: (fit.y0 + fit.y1) / 2, crop: Infinity,
+    }, random).filter(p => fit.at(p.x, p.y) >= 0.5);
+    if (dense.length === 0) return points;
+
+    const bucket = new Map();
+    const key = (gx, gy) => gx * 65536 + gy;
+    for (const p of dense) {
+        const k = key(Math.floor(p.x / inner), Math.floor(p.y / inner));
+        if (!bucket.has(k)) bucket.set(k, []);
+        bucket.get(k).push(p);
+    }
+    const crowded = (p) => {
+        const gx = Math.floor(p.x / inner), gy = Math.floor(p.y / inner);
+        for (let j = gy - 1; j <= gy + 1; j++) {
+            for (let i = gx - 1; i <= gx + 1; i++) {
+                for (const q of bucket.get(key(i, j)) || []) {
+                    if (Math.hypot(p.x - q.x, p.y - q.y) < inner) return true;
+                }
+            }
+        }
+        return false;
+    };
+    const coarse = points.filter(p => fit.at(p.x, p.y) < 0.5 && !crowded(p));
+    return coarse.concat(dense.map(p => ({ x: p.x, y: p.y, inMask: true })));
+}
+
+// Marks the Delaunay edges on the outline of the shape: both ends inside,
+// with a triangle of inside nodes on one side of the edge only.
+function markOutline(nodes, all) {
+    const nbrs = nodes.map(() => []);
+    for (const e of all) {
+        if (!nodes[e.a].inMask || !nodes[e.b].inMask) continue;
+        nbrs[e.a].push(e.b);
+        nbrs[e.b].push(e.a);
+    }
+    for (const e of all) {
+        if (!nodes[e.a].inMask || !nodes[e.b].inMask) continue;
+        const a = nodes[e.a], b = nodes[e.b];
+        let left = false, right = false;
+        for (const c of nbrs[e.a]) {
+            if (!nbrs[e.b].includes(c)) continue;
+            const side = (b.x - a.x) * (nodes[c].y - a.y) - (b.y - a.y) * (nodes[c].x - a.x);
+            if (side > 0) left = true;
+            else right = true;
+        }
+        e.outline = left !== right;
+    }
+}
+
 // --- Network construction -------------------------------------------------------
 
-export function buildNetwork(width, height, spacingScale = 1, padX = 0, padY = 0,
-    cropRadius = 0, mono = false) {
-    const area = Math.max(1, width * height);
-    const spacing = Math.min(config.SPACING_MAX,
-        Math.max(config.SPACING_MIN, Math.sqrt(area / config.SPACING_AREA_DIVISOR)))
-        * spacingScale;
+// Spacing and the padded, cropped layout box for a viewport. `spacing`
+// overrides the area-derived spacing (incremental resizes keep the old one).
+function layoutFrame(width, height, spacingScale, padX, padY, cropRadius, spacing = 0) {
+    if (!spacing) {
+        const area = Math.max(1, width * height);
+        spacing = Math.min(config.SPACING_MAX,
+            Math.max(config.SPACING_MIN, Math.sqrt(area / config.SPACING_AREA_DIVISOR)))
+            * spacingScale;
+    }
 
     const cols = Math.max(2, Math.round(width / spacing));
     const rows = Math.max(2, Math.round(height / spacing));
@@ -184,162 +258,628 @@ export function buildNetwork(width, height, spacingScale = 1, padX = 0, padY = 0
     const mR = 1 + Math.ceil(padY / cellH);
 
     // For continuously rotating layers the padding spans the viewport's
-    // circumcircle; cropping the grid corners back to that circle keeps the
+    // circumcircle; cropping the layout corners back to that circle keeps the
     // node count (and build time) down without losing coverage.
     const crop = cropRadius > 0 ? cropRadius + Math.hypot(cellW, cellH) : Infinity;
-    const cx = width / 2, cy = height / 2;
-    const diag = Math.hypot(width, height);
 
-    const nodes = [];
-    for (let r = -mR; r < rows + mR; r++) {
-        for (let c = -mC; c < cols + mC; c++) {
-            const x = (c + 0.5) * cellW + rand(-1, 1) * cellW * config.JITTER;
-            const y = (r + 0.5) * cellH + rand(-1, 1) * cellH * config.JITTER;
-            if (Math.hypot(x - cx, y - cy) > crop) continue;
-            // Pastel rainbow tint (hue sweeps across the diagonal), or a
-            // near-white grey for monochrome layers.
-            const hue = ((x + y) / (2 * diag) * config.NODE_HUE_SPAN
-                + rand(-config.NODE_HUE_JITTER, config.NODE_HUE_JITTER) + 720) % 360;
-            const rgb = mono
-                ? hslToRgb(225, 0.05, rand(0.78, 0.92))
-                : hslToRgb(hue, config.NODE_HUE_SAT, config.NODE_HUE_LIGHT);
-            nodes.push({
-                x, y,           // current (drifted) position
-                hx: x, hy: y,   // home position
-                colorStr: `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`,
-                r: rand(config.NODE_RADIUS_MIN, config.NODE_RADIUS_MAX),
-                alpha: rand(config.NODE_ALPHA_MIN, config.NODE_ALPHA_MAX),
-                tw: rand(config.TWINKLE_FREQ_MIN, config.TWINKLE_FREQ_MAX) * TAU,
-                twPhase: rand(0, TAU),
-                dfx: rand(config.DRIFT_FREQ_MIN, config.DRIFT_FREQ_MAX) * TAU,
-                dfy: rand(config.DRIFT_FREQ_MIN, config.DRIFT_FREQ_MAX) * TAU,
-                dpx: rand(0, TAU), dpy: rand(0, TAU),
-                dpx2: rand(0, TAU), dpy2: rand(0, TAU),
-                deg: 0,
-                lit: 0,
-                hover: 0,
-            });
+    return {
+        width, height, spacing, cols, rows, cellW, cellH, mC, mR, crop,
+        cx: width / 2, cy: height / 2,
+        x0: -mC * cellW, y0: -mR * cellH,
+        x1: (cols + mC) * cellW, y1: (rows + mR) * cellH,
+    };
+}
+
+function inFrame(f, x, y) {
+    return x >= f.x0 && x <= f.x1 && y >= f.y0 && y <= f.y1
+        && Math.hypot(x - f.cx, y - f.cy) <= f.crop;
+}
+
+// A node's tint: pastel rainbow (its hue sweeps across the diagonal), or a
+// near-neutral grey of its own shade on monochrome layers. Recomputed from
+// the node's hue and shade when the theme changes (NODE_HUE_SHIFT turns
+// the whole rainbow).
+function nodeColor(n, mono) {
+    const light = config.NODE_GREY_LIGHT_MIN
+        + n.shade * (config.NODE_GREY_LIGHT_MAX - config.NODE_GREY_LIGHT_MIN);
+    const hue = (n.hue + config.NODE_HUE_SHIFT + 360) % 360;
+    const rgb = mono
+        ? hslToRgb(225, 0.05, light)
+        : hslToRgb(hue, config.NODE_HUE_SAT, config.NODE_HUE_LIGHT);
+    return `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+}
+
+function makeNode(x, y, inMask, diag, mono, rand) {
+    const hue = ((x + y) / (2 * diag) * config.NODE_HUE_SPAN
+        + rand(-config.NODE_HUE_JITTER, config.NODE_HUE_JITTER) + 720) % 360;
+    const shade = mono ? rand(0, 1) : 0;
+    const node = {
+        x, y,           // current (drifted) position
+        hx: x, hy: y,   // home position
+        hue, shade,
+        colorStr: '',
+        r: rand(config.NODE_RADIUS_MIN, config.NODE_RADIUS_MAX),
+        alpha: rand(config.NODE_ALPHA_MIN, config.NODE_ALPHA_MAX),
+        tw: rand(config.TWINKLE_FREQ_MIN, config.TWINKLE_FREQ_MAX) * TAU,
+        twPhase: rand(0, TAU),
+        dfx: rand(config.DRIFT_FREQ_MIN, config.DRIFT_FREQ_MAX) * TAU,
+        dfy: rand(config.DRIFT_FREQ_MIN, config.DRIFT_FREQ_MAX) * TAU,
+        dpx: rand(0, TAU), dpy: rand(0, TAU),
+        dpx2: rand(0, TAU), dpy2: rand(0, TAU),
+        px: 0, py: 0,   // pointer push (added to the drift, kept within `room`)
+        pvx: 0, pvy: 0, // its velocity
+        room: 0,        // provably safe displacement (see measureRooms)
+        deg: 0,
+        lit: 0,
+        hover: 0,
+        fade: 1,        // 0..1 while fading in (after a resize or birth) or out
+        fadeS: 0,       // fade-in duration; 0 means RESIZE_FADE_S
+        dying: false,   // fading out before leaving the graph (node life)
+        inMask,         // inside the shape mask
+        outline: false, // on a kept outline edge of the shape
+    };
+    node.colorStr = nodeColor(node, mono);
+    return node;
+}
+
+function makeEdge(nodes, a, b) {
+    const dx = nodes[a].hx - nodes[b].hx, dy = nodes[a].hy - nodes[b].hy;
+    return {
+        a, b, len: Math.sqrt(dx * dx + dy * dy), lit: 0, color: null, bucket: 0,
+        fade: 1,        // 0..1 while fading in (or out, when dying)
+        fadeS: 0,       // fade duration; 0 means RESIZE_FADE_S
+        outline: false,
+        tree: false,    // part of the spanning tree, never rewired away
+        dying: false,   // fading out before leaving the graph (living topology)
+    };
+}
+
+// Adjacency lists and degrees for a fresh edge list.
+function linkEdges(nodes, edges) {
+    const adj = nodes.map(() => []);
+    for (const n of nodes) {
+        n.deg = 0;
+        n.outline = false;
+    }
+    edges.forEach((e, i) => {
+        adj[e.a].push({ n: e.b, e: i });
+        adj[e.b].push({ n: e.a, e: i });
+        nodes[e.a].deg++;
+        nodes[e.b].deg++;
+        if (e.outline) nodes[e.a].outline = nodes[e.b].outline = true;
+    });
+    return adj;
+}
+
+// How far each node may stray from home without any crossing, stored as
+// `room`. If a node stays within r_p of home and an edge's ends within r_a
+// and r_b of theirs, every point of the edge stays within max(r_a, r_b) of
+// its home, so the node cannot touch the edge while r_p + max(r_a, r_b) is
+// below their home distance. Crossings can only start with a node passing
+// through an edge, so rooms of at most DRIFT_SAFETY (< 1/2) times each
+// node's clearance (to edges it is not on, and from its edges to nodes not
+// on them) keep the mesh planar. Callers pass every edge that may be shown
+// (the graph plus its spare edges), so living topology can swap edges
+// without invalidating the rooms. Clearances are capped where no room
+// needs more, which also rejects far-away pairs with a cheap bounding test.
+// Returns the smallest clearance.
+function measureRooms(nodes, edges, spacing) {
+    const cap = roomCap(spacing);
+    const near = new Float64Array(nodes.length).fill(cap);
+    scanClearances(nodes, edges, nodes.map((n, i) => i), cap, near);
+    let min = cap;
+    nodes.forEach((n, i) => {
+        n.room = near[i] * config.DRIFT_SAFETY;
+        min = Math.min(min, near[i]);
+    });
+    return min;
+}
+
+const roomCap = (spacing) => spacing
+    * Math.max(config.DRIFT_MAX_FRAC, config.POINTER_MAX_FRAC) / config.DRIFT_SAFETY;
+
+// Lowers `near` (capped clearances by node index) with every pair of one
+// of `edges` and a node of `ids` not on it.
+function scanClearances(nodes, edges, ids, cap, near) {
+    for (const e of edges) {
+        const a = nodes[e.a], b = nodes[e.b];
+        const mx = (a.hx + b.hx) / 2, my = (a.hy + b.hy) / 2;
+        const reach = e.len / 2 + cap;
+        for (const i of ids) {
+            if (e.a === i || e.b === i) continue;
+            const p = nodes[i];
+            const dx = p.hx - mx, dy = p.hy - my;
+            if (dx * dx + dy * dy > reach * reach) continue;
+            const d = pointSegDist(p.hx, p.hy, a.hx, a.hy, b.hx, b.hy);
+            if (d < near[i]) near[i] = d;
+            if (d < near[e.a]) near[e.a] = d;
+            if (d < near[e.b]) near[e.b] = d;
         }
     }
+}
+
+// measureRooms after nodes or edges changed only within `radius` of
+// (x, y) (a birth, a death or its hole filled). A pair closer than the
+// cap, one of them new, has its node within the cap of that disk or its
+// edge touching it, so only those nodes and the ends of those edges get
+// new rooms; they are measured against the nodes and edges in the box
+// around them and their edges, grown by the cap. Removed nodes and edges
+// only ever widened a clearance, so the rooms they leave stay safe.
+function remeasureRooms(nodes, edges, spacing, x, y, radius) {
+    const cap = roomCap(spacing);
+    const reach = radius + cap;
+    const redo = new Set(nodesNear(nodes, x, y, reach));
+    for (const e of edges) {
+        const a = nodes[e.a], b = nodes[e.b];
+        if (pointSegDist(x, y, a.hx, a.hy, b.hx, b.hy) <= reach) redo.add(e.a).add(e.b);
+    }
+    let x0 = Infinity, y0 = Infinity, x1 = -Infinity, y1 = -Infinity;
+    const grow = (n) => {
+        x0 = Math.min(x0, n.hx);
+        y0 = Math.min(y0, n.hy);
+        x1 = Math.max(x1, n.hx);
+        y1 = Math.max(y1, n.hy);
+    };
+    for (const i of redo) grow(nodes[i]);
+    for (const e of edges) {
+        if (redo.has(e.a) || redo.has(e.b)) {
+            grow(nodes[e.a]);
+            grow(nodes[e.b]);
+        }
+    }
+    const inBox = (n) => n.hx >= x0 - cap && n.hx <= x1 + cap && n.hy >= y0 - cap
+        && n.hy <= y1 + cap;
+    const ids = [];
+    nodes.forEach((n, i) => {
+        if (inBox(n)) ids.push(i);
+    });
+    const local = edges.filter(e => {
+        const a = nodes[e.a], b = nodes[e.b];
+        return Math.max(a.hx, b.hx) >= x0 - cap && Math.min(a.hx, b.hx) <= x1 + cap
+            && Math.max(a.hy, b.hy) >= y0 - cap && Math.min(a.hy, b.hy) <= y1 + cap;
+    });
+    const near = new Float64Array(nodes.length).fill(cap);
+    scanClearances(nodes, local, ids, cap, near);
+    for (const i of redo) nodes[i].room = near[i] * config.DRIFT_SAFETY;
+}
+
+// Largest drift radius every node has room for, so the breathing mesh
+// never crosses itself.
+function driftBound(nodes, edges, spacing) {
+    return Math.min(spacing * config.DRIFT_MAX_FRAC,
+        measureRooms(nodes, edges, spacing) * config.DRIFT_SAFETY);
+}
+
+// Triangulates the home positions (drifted positions are never used for
+// topology, so rebuilding a moving mesh is safe).
+function triangulate(nodes) {
+    return delaunayEdges(nodes.map(n => ({ x: n.hx, y: n.hy })))
+        .map(([a, b]) => makeEdge(nodes, a, b));
+}
+
+// Options: spacingScale, padX / padY (headroom around the viewport),
+// cropRadius (rotating layers: cover this circle), mono, layout (a key of
+// LAYOUTS), mask (from masks.js), seed (a seed or a generator from
+// createRandom(); the same seed always yields the same mesh) and rewire
+// (keep the dropped short Delaunay edges as `spare` for living topology).
+export function buildNetwork(width, height, opts = {}) {
+    const {
+        spacingScale = 1, padX = 0, padY = 0, cropRadius = 0,
+        mono = false, layout = config.LAYOUT, mask = null, seed = null, rewire = false,
+    } = opts;
+    const random = toRandom(seed);
+    const { rand, next } = random;
+    const frame = layoutFrame(width, height, spacingScale, padX, padY, cropRadius);
+    const { spacing } = frame;
+
+    let points = layoutPoints(layout, frame, random)
+        .filter(p => Math.hypot(p.x - frame.cx, p.y - frame.cy) <= frame.crop);
+    const fit = mask ? fitMask(mask, width, height) : null;
+    if (fit) points = maskPoints(points, fit, spacing, random);
+
+    const diag = Math.hypot(width, height);
+    const nodes = points.map(p => makeNode(p.x, p.y, p.inMask || false, diag, mono, rand));
 
     // Thin the triangulation: keep a spanning tree (connectivity), then a
-    // random share of the remaining short edges.
-    const all = delaunayEdges(nodes)
-        .map(([a, b]) => {
-            const dx = nodes[a].x - nodes[b].x, dy = nodes[a].y - nodes[b].y;
-            return { a, b, len: Math.sqrt(dx * dx + dy * dy), lit: 0, color: null, bucket: 0 };
-        })
-        .sort((e, f) => e.len - f.len);
+    // random share of the remaining short edges. A shape's outline edges go
+    // first, so they join the tree and are kept preferentially.
+    const all = triangulate(nodes);
+    if (fit) markOutline(nodes, all);
+    all.sort((e, f) => (f.outline - e.outline) || (e.len - f.len));
 
     const dsu = new DSU(nodes.length);
     const edges = [];
+    const spare = [];
     for (const e of all) {
         if (dsu.union(e.a, e.b)) {
-            edges.push(e); // tree edge: always kept
-        } else if (e.len <= spacing * config.LONG_EDGE_FACTOR
-            && Math.random() < config.EXTRA_EDGE_KEEP) {
+            e.tree = true; // tree edge: always kept
             edges.push(e);
+        } else if (e.outline) {
+            if (next() < config.MASK_OUTLINE_KEEP) edges.push(e);
+            else if (rewire) spare.push(e);
+        } else if (e.len <= spacing * config.LONG_EDGE_FACTOR) {
+            if (next() < config.EXTRA_EDGE_KEEP) edges.push(e);
+            else if (rewire) spare.push(e);
         }
     }
 
-    const adj = nodes.map(() => []);
-    edges.forEach((e, i) => {
-        adj[e.a].push({ n: e.b, e: i });
-        adj[e.b].push({ n: e.a, e: i });
-        nodes[e.a].deg++;
-        nodes[e.b].deg++;
+    const adj = linkEdges(nodes, edges);
+    const drift = driftBound(nodes, edges.concat(spare), spacing);
+    return { width, height, spacing, nodes, edges, adj, drift, spare, ghosts: [], ghostNodes: [] };
+}
+
+// Resizes a network in place of a full rebuild: nodes that still fit keep
+// their place relative to the centre, their colour and state; only the
+// uncovered margin gets new nodes, and only the seam is re-thinned.
+// Returns { net, nodeMap, edgeMap } (old index -> new index, -1 when
+// removed), or null when the spacing changed too much to keep the old
+// nodes. Edges and nodes that had to go linger as fading `ghosts` and
+// `ghostNodes`, which are drawn but no longer part of the graph; new nodes
+// and edges fade in, and new edges that would cross a ghost wait until it
+// has faded out.
+export function resizeNetwork(old, width, height, opts = {}) {
+    const {
+        spacingScale = 1, padX = 0, padY = 0, cropRadius = 0,
+        mono = false, layout = config.LAYOUT, seed = null, rewire = false,
+    } = opts;
+    const random = toRandom(seed);
+    const { rand, next } = random;
+    const fresh = layoutFrame(width, height, spacingScale, padX, padY, cropRadius);
+    const ratio = fresh.spacing / old.spacing;
+    const tolerance = config.RESIZE_SPACING_TOLERANCE;
+    if (ratio > tolerance || ratio < 1 / tolerance) return null;
+    const frame = layoutFrame(width, height, spacingScale, padX, padY, cropRadius, old.spacing);
+    const { spacing } = frame;
+
+    // The mesh stays anchored to the viewport's centre (like the page
+    // content and the camera rotation), so a phone rotation keeps nearly
+    // every node. A rigid shift changes neither planarity nor clearances.
+    const dx = (width - old.width) / 2, dy = (height - old.height) / 2;
+    const moved = new Set(old.nodes.concat(old.ghostNodes));
+    for (const g of old.ghosts) moved.add(g.na).add(g.nb);
+    for (const n of moved) {
+        n.hx += dx;
+        n.hy += dy;
+        n.x += dx;
+        n.y += dy;
+    }
+
+    // Keep the old nodes that still fit.
+    const nodeMap = new Int32Array(old.nodes.length).fill(-1);
+    const nodes = [];
+    const ghostNodes = old.ghostNodes.slice();
+    old.nodes.forEach((n, i) => {
+        if (!inFrame(frame, n.hx, n.hy)) {
+            ghostNodes.push(n);
+            return;
+        }
+        nodeMap[i] = nodes.length;
+        nodes.push(n);
+    });
+    const kept = nodes.length;
+
+    // Fill the uncovered margin: fresh layout points that keep a clear gap
+    // to every surviving node.
+    const gap = spacing * 0.7;
+    const bucket = new Map();
+    const key = (gx, gy) => gx * 65536 + gy;
+    for (const n of nodes) {
+        const k = key(Math.floor(n.hx / gap), Math.floor(n.hy / gap));
+        if (!bucket.has(k)) bucket.set(k, []);
+        bucket.get(k).push(n);
+    }
+    const covered = (p) => {
+        const gx = Math.floor(p.x / gap), gy = Math.floor(p.y / gap);
+        for (let j = gy - 1; j <= gy + 1; j++) {
+            for (let i = gx - 1; i <= gx + 1; i++) {
+                for (const n of bucket.get(key(i, j)) || []) {
+                    if (Math.hypot(p.x - n.hx, p.y - n.hy) < gap) return true;
+                }
+            }
+        }
+        return false;
+    };
+    const diag = Math.hypot(width, height);
+    for (const p of layoutPoints(layout, frame, random)) {
+        if (!inFrame(frame, p.x, p.y) || covered(p)) continue;
+        const n = makeNode(p.x, p.y, false, diag, mono, rand);
+        n.fade = 0;
+        nodes.push(n);
+    }
+
+    // Re-triangulate. Old edges that are still Delaunay edges survive as
+    // they are (with their trails); they seed the spanning tree (dying ones
+    // last, and revived if the tree needs them), which the seam then
+    // completes. Seam edges touching a new node are thinned like a fresh
+    // build; other pairs of old nodes were dropped before and only come back
+    // when the tree needs them. Short leftovers become the new spare.
+    const oldEdges = new Map();
+    old.edges.forEach((e, i) => {
+        const a = nodeMap[e.a], b = nodeMap[e.b];
+        if (a < 0 || b < 0) return;
+        oldEdges.set(edgeKey(a, b), i);
+    });
+    const edgeMap = new Int32Array(old.edges.length).fill(-1);
+    const dsu = new DSU(nodes.length);
+    const edges = [];
+    const seam = [];
+    const spare = [];
+    const survivors = [];
+    for (const e of triangulate(nodes)) {
+        const i = oldEdges.get(edgeKey(e.a, e.b));
+        if (i === undefined) {
+            seam.push(e);
+            continue;
+        }
+        const keep = old.edges[i];
+        keep.a = e.a;
+        keep.b = e.b;
+        survivors.push(i);
+    }
+    survivors.sort((i, j) => old.edges[i].dying - old.edges[j].dying);
+    for (const i of survivors) {
+        const keep = old.edges[i];
+        keep.tree = dsu.union(keep.a, keep.b);
+        if (keep.tree) keep.dying = false;
+        edgeMap[i] = edges.length;
+        edges.push(keep);
+    }
+    seam.sort((e, f) => e.len - f.len);
+    for (const e of seam) {
+        const touchesNew = e.a >= kept || e.b >= kept;
+        e.tree = dsu.union(e.a, e.b);
+        if (e.tree || (touchesNew && e.len <= spacing * config.LONG_EDGE_FACTOR
+            && next() < config.EXTRA_EDGE_KEEP)) {
+            e.fade = 0;
+            edges.push(e);
+        } else if (rewire && e.len <= spacing * config.LONG_EDGE_FACTOR) {
+            spare.push(e);
+        }
+    }
+
+    const ghosts = old.ghosts.slice();
+    old.edges.forEach((e, i) => {
+        if (edgeMap[i] >= 0) return;
+        ghosts.push({ na: old.nodes[e.a], nb: old.nodes[e.b], fade: e.fade });
     });
 
-    // Largest drift radius that provably cannot create a crossing: if every
-    // node stays closer to home than half its distance to the nearest
-    // non-incident edge, no segment can ever sweep across another.
-    // Clearances above the drift cap cannot change the result, so start the
-    // minimum there and reject far-away pairs with a cheap bounding test.
+    const adj = linkEdges(nodes, edges);
+    const drift = driftBound(nodes, edges.concat(spare), spacing);
+    // A new edge that could touch a ghost (they cross, or are closer than
+    // the rooms their ends may stray) starts below zero, reaching it (and
+    // showing) as the ghost fades out at the same rate.
     for (const e of edges) {
-        e.mx = (nodes[e.a].hx + nodes[e.b].hx) / 2;
-        e.my = (nodes[e.a].hy + nodes[e.b].hy) / 2;
+        if (e.fade !== 0) continue;
+        const a = nodes[e.a], b = nodes[e.b];
+        for (const g of ghosts) {
+            if (g.na === a || g.na === b || g.nb === a || g.nb === b) continue;
+            const reach = Math.max(a.room, b.room) + Math.max(g.na.room, g.nb.room);
+            if (segmentGap(a, b, g.na, g.nb) <= reach) e.fade = Math.min(e.fade, -g.fade);
+        }
     }
-    let minClearance = spacing * config.DRIFT_MAX_FRAC / config.DRIFT_SAFETY;
-    for (let i = 0; i < nodes.length; i++) {
-        const p = nodes[i];
-        for (const e of edges) {
-            if (e.a === i || e.b === i) continue;
-            const reach = e.len / 2 + minClearance;
-            const dx = p.hx - e.mx, dy = p.hy - e.my;
-            if (dx * dx + dy * dy > reach * reach) continue;
-            const d = pointSegDist(p.hx, p.hy,
-                nodes[e.a].hx, nodes[e.a].hy, nodes[e.b].hx, nodes[e.b].hy);
-            if (d < minClearance) minClearance = d;
+    return {
+        net: { width, height, spacing, nodes, edges, adj, drift, spare, ghosts, ghostNodes },
+        nodeMap,
+        edgeMap,
+    };
+}
+
+// --- Node life: local re-triangulation ---------------------------------------------
+// A birth or death changes the Delaunay triangulation only around the node
+// concerned, so it is repaired from a patch of nearby nodes instead of a
+// full build. Patch triangles whose circumcircle lies inside the patch are
+// empty of every node (all nodes in that disk are in the patch), so they
+// are exactly the global triangles there; a change that needs any other
+// triangle is skipped. The graph and spare edges thus stay a subset of one
+// triangulation, and planar.
+//
+// Cost: each birth, death or filled hole scans the patch and re-measures
+// the rooms around it, plus one pass over the node and edge arrays (about
+// 1-2 ms, at worst some 6 ms, on a full-HD depth layer). A frame does at
+// most one of them: a birth or death due while holes are filled waits.
+
+const PATCH_SPACINGS = 3; // patch radius, in node spacings
+
+function nodesNear(nodes, x, y, radius) {
+    const ids = [];
+    nodes.forEach((n, i) => {
+        const dx = n.hx - x, dy = n.hy - y;
+        if (dx * dx + dy * dy <= radius * radius) ids.push(i);
+    });
+    return ids;
+}
+
+// The verified triangles of the nodes `ids`, in node indices.
+function patchTriangles(nodes, ids, x, y, radius) {
+    const tris = delaunayTriangles(ids.map(i => ({ x: nodes[i].hx, y: nodes[i].hy })));
+    const out = [];
+    for (const t of tris) {
+        if (Math.hypot(t.cc.x - x, t.cc.y - y) + t.cc.r >= radius) continue;
+        out.push({ a: ids[t.a], b: ids[t.b], c: ids[t.c], cc: t.cc });
+    }
+    return out;
+}
+
+const triKey = (t) => [t.a, t.b, t.c].sort((p, q) => p - q).join();
+
+// The triangles around node `v`: its neighbours (`spokes`) and the edges
+// between consecutive ones (`rim`), or null unless they close all the way
+// round (every spoke shared by exactly two triangles).
+function fanOf(tris, v) {
+    const count = new Map();
+    const rim = [];
+    for (const t of tris) {
+        let p, q;
+        if (t.a === v) [p, q] = [t.b, t.c];
+        else if (t.b === v) [p, q] = [t.c, t.a];
+        else if (t.c === v) [p, q] = [t.a, t.b];
+        else continue;
+        rim.push([p, q]);
+        count.set(p, (count.get(p) || 0) + 1);
+        count.set(q, (count.get(q) || 0) + 1);
+    }
+    if (rim.length < 3 || [...count.values()].some(c => c !== 2)) return null;
+    return { spokes: [...count.keys()], rim };
+}
+
+// How a death at node `v` changes the triangulation: its closed fan, and
+// the diagonals that fill the hole once it is gone. Null when the patch
+// cannot tell for sure.
+function deathPlan(net, v) {
+    const n = net.nodes[v];
+    const radius = net.spacing * PATCH_SPACINGS;
+    const ids = nodesNear(net.nodes, n.hx, n.hy, radius);
+    const before = patchTriangles(net.nodes, ids, n.hx, n.hy, radius);
+    const fan = fanOf(before, v);
+    if (!fan) return null;
+    const rest = ids.filter(i => i !== v);
+    const known = new Set(before.map(triKey));
+    const hole = patchTriangles(net.nodes, rest, n.hx, n.hy, radius)
+        .filter(t => !known.has(triKey(t)));
+    if (hole.length !== fan.spokes.length - 2) return null;
+    const rimKeys = new Set(fan.rim.map(([p, q]) => edgeKey(p, q)));
+    const diagonals = new Map();
+    for (const t of hole) {
+        for (const [p, q] of [[t.a, t.b], [t.b, t.c], [t.c, t.a]]) {
+            if (!rimKeys.has(edgeKey(p, q))) diagonals.set(edgeKey(p, q), [p, q]);
+        }
+    }
+    return { ids, rest, rim: fan.rim, diagonals: [...diagonals.values()] };
+}
+
+// The hole a dead node leaves when deathPlan cannot tell (the patch around
+// it changed while it faded): the triangles of the patch without it whose
+// circumcircle held it, minus any edge that would cross one already there.
+function holeFill(net, v) {
+    const n = net.nodes[v];
+    const radius = net.spacing * PATCH_SPACINGS;
+    const rest = nodesNear(net.nodes, n.hx, n.hy, radius).filter(i => i !== v);
+    const local = new Set(rest);
+    const near = net.edges.concat(net.spare)
+        .filter(e => e.a !== v && e.b !== v && (local.has(e.a) || local.has(e.b)));
+    const known = new Set(near.map(e => edgeKey(e.a, e.b)));
+    const diagonals = new Map();
+    for (const t of patchTriangles(net.nodes, rest, n.hx, n.hy, radius)) {
+        if (Math.hypot(t.cc.x - n.hx, t.cc.y - n.hy) >= t.cc.r) continue;
+        for (const [p, q] of [[t.a, t.b], [t.b, t.c], [t.c, t.a]]) {
+            const key = edgeKey(p, q);
+            if (known.has(key) || near.some(e => edgesCross(net.nodes, e, { a: p, b: q }))) {
+                continue;
+            }
+            diagonals.set(key, [p, q]);
+        }
+    }
+    return { rest, diagonals: [...diagonals.values()] };
+}
+
+// Smallest home distance between one of `edges` and a node of `ids` not on
+// it: the local counterpart of driftBound's scan.
+function clearance(nodes, ids, edges) {
+    let min = Infinity;
+    for (const e of edges) {
+        const a = nodes[e.a], b = nodes[e.b];
+        for (const i of ids) {
+            if (i === e.a || i === e.b) continue;
+            min = Math.min(min, pointSegDist(nodes[i].hx, nodes[i].hy, a.hx, a.hy, b.hx, b.hy));
         }
     }
-    const drift = Math.min(spacing * config.DRIFT_MAX_FRAC,
-        minClearance * config.DRIFT_SAFETY);
+    return min;
+}
 
-    return { width, height, spacing, nodes, edges, adj, drift };
+function orient(a, b, c) {
+    return (b.hx - a.hx) * (c.hy - a.hy) - (b.hy - a.hy) * (c.hx - a.hx);
+}
+
+// Whether the segments a-b and c-d (home positions) cross.
+function segmentsCross(a, b, c, d) {
+    return (orient(c, d, a) > 0) !== (orient(c, d, b) > 0)
+        && (orient(a, b, c) > 0) !== (orient(a, b, d) > 0);
+}
+
+// Distance between the segments a-b and c-d (home positions).
+function segmentGap(a, b, c, d) {
+    if (segmentsCross(a, b, c, d)) return 0;
+    return Math.min(
+        pointSegDist(a.hx, a.hy, c.hx, c.hy, d.hx, d.hy),
+        pointSegDist(b.hx, b.hy, c.hx, c.hy, d.hx, d.hy),
+        pointSegDist(c.hx, c.hy, a.hx, a.hy, b.hx, b.hy),
+        pointSegDist(d.hx, d.hy, a.hx, a.hy, b.hx, b.hy));
+}
+
+// Whether two edges without a shared node cross (home positions).
+function edgesCross(nodes, e, f) {
+    if (e.a === f.a || e.a === f.b || e.b === f.a || e.b === f.b) return false;
+    return segmentsCross(nodes[e.a], nodes[e.b], nodes[f.a], nodes[f.b]);
 }
 
 // --- Floating particles (dust and bokeh) ------------------------------------------
 
-function makeFloaters(count, width, height, rMin, rMax, aMin, aMax, mode,
+function makeFloaters(random, count, width, height, rMin, rMax, aMin, aMax, mode,
     colors = config.BOKEH_COLORS) {
+    const { rand } = random;
     const items = [];
     for (let i = 0; i < count; i++) {
         const upward = mode === 'dust';
-        items.push({
+        const item = {
             x: rand(-40, width + 40),
             y: rand(-40, height + 40),
             r: rand(rMin, rMax),
             alpha: rand(aMin, aMax),
-            color: upward ? null : pick(colors),
+            tone: upward ? 0 : Math.floor(random.next() * colors.length), // colour index
+            color: null,
             vx: upward ? 0 : rand(-config.BOKEH_DRIFT, config.BOKEH_DRIFT),
             vy: upward
                 ? -rand(config.DUST_SPEED_MIN, config.DUST_SPEED_MAX)
                 : rand(-config.BOKEH_DRIFT, config.BOKEH_DRIFT),
             tw: rand(upward ? 0.2 : 0.04, upward ? 0.6 : 0.12) * TAU,
             twPhase: rand(0, TAU),
-        });
+        };
+        item.color = upward ? null : colors[item.tone];
+        items.push(item);
     }
     return items;
 }
 
-function updateFloaters(items, dt, width, height) {
+function updateFloaters(random, items, dt, width, height) {
     for (const f of items) {
         f.x += f.vx * dt;
         f.y += f.vy * dt;
         const m = f.r * 3 + 30;
         if (f.x < -m) f.x = width + m;
         if (f.x > width + m) f.x = -m;
-        if (f.y < -m) { f.y = height + m; f.x = rand(-40, width + 40); }
+        if (f.y < -m) { f.y = height + m; f.x = random.rand(-40, width + 40); }
         if (f.y > height + m) f.y = -m;
     }
 }
 
 // --- Stars: subtle particles flying slowly towards the viewer ----------------------
 
-function resetStar(s) {
+function resetStar(random, s) {
+    const { rand } = random;
     s.ux = rand(-1, 1);
     s.uy = rand(-1, 1);
     s.z = rand(0.85, 1);
     s.speed = rand(config.STAR_SPEED_MIN, config.STAR_SPEED_MAX);
     s.r = rand(config.STAR_R_MIN, config.STAR_R_MAX);
     s.alpha = rand(config.STAR_ALPHA_MIN, config.STAR_ALPHA_MAX);
-    s.color = pick(config.STAR_COLORS);
+    s.tone = Math.floor(random.next() * config.STAR_COLORS.length);
+    s.color = config.STAR_COLORS[s.tone];
 }
 
-function makeStars(width, height) {
+function makeStars(random, width, height) {
     const count = Math.min(config.STAR_MAX,
         Math.max(7, Math.round(width * height / config.STAR_AREA_PER)));
     const stars = [];
     for (let i = 0; i < count; i++) {
         const s = {};
-        resetStar(s);
-        s.z = rand(0.2, 1); // initial population spread through the whole depth
+        resetStar(random, s);
+        s.z = random.rand(0.2, 1); // initial population spread through the whole depth
         stars.push(s);
     }
     return stars;
 }
 
-function updateStars(stars, dt, width, height) {
+function updateStars(random, stars, dt, width, height) {
     const cx = width / 2, cy = height / 2;
     const focal = Math.min(width, height) * 0.5;
     for (const s of stars) {
@@ -352,19 +892,42 @@ function updateStars(stars, dt, width, height) {
         s.fade = Math.min(1, (1 - s.z) * 6) * Math.min(1, (s.z - 0.1) * 4);
         if (s.z < 0.12 || Math.abs(s.sx - cx) > width * 0.75
             || Math.abs(s.sy - cy) > height * 0.75) {
-            resetStar(s);
+            resetStar(random, s);
             s.fade = 0; // projected fresh on the next update
         }
     }
 }
 
+// --- Snapshots ---------------------------------------------------------------------
+
+// Bumped whenever the snapshot layout changes; older snapshots are refused
+// rather than half-restored.
+export const SNAPSHOT_VERSION = 7;
+const SNAPSHOT_FORMAT = 'network-simulation';
+
+// Rings, sparks and fading ghost edges hold node objects. In a snapshot they
+// become indices into net.nodes, or a bare position for nodes a resize
+// already removed (those no longer move).
+function nodeRef(index, node) {
+    const i = index.get(node);
+    return i === undefined ? { x: node.x, y: node.y } : i;
+}
+
+function nodeAt(nodes, ref) {
+    return typeof ref === 'number' ? nodes[ref] : { x: ref.x, y: ref.y };
+}
+
 // --- Simulation -------------------------------------------------------------------
 
+// Event types for Simulation.on().
+export const SIM_EVENTS = ['spawn', 'hop', 'arrive', 'burst', 'flare'];
+
 export class Simulation {
     constructor(width, height, opts = {}) {
         this.opts = Object.assign({
             spacingScale: 1,
-            rotFactor: config.ROT_MAIN,
+            rotFactor: 1,      // the layer's share of the camera rotation and zoom
+            zoomFactor: 1,
             signalMax: config.SIGNAL_MAX,
             spawnMin: config.SIGNAL_SPAWN_MIN_S,
             spawnMax: config.SIGNAL_SPAWN_MAX_S,
@@ -377,48 +940,474 @@ export class Simulation {
             bokeh: false,
             fgBokeh: false,
             stars: false,
+            layout: config.LAYOUT,
+            mask: null,        // shape mask from masks.js
+            maskSignals: config.MASK_SIGNAL_CHANCE,
+            routing: config.SIGNAL_ROUTING,
+            rewire: config.REWIRE_INTERVAL_S, // living topology; 0 freezes the edges
+            life: config.LIFE_INTERVAL_S,     // node births and deaths; 0 keeps the nodes
+            seed: null,        // any number or string makes the run reproducible
+            layer: 'main',     // reported with every event
         }, opts);
+        this.listeners = new Map();
+        this.pointer = null;
+        this.random = createRandom(this.opts.seed);
         this.time = 0;
         this.rebuild(width, height);
     }
 
-    rebuild(width, height) {
+    // Layout options shared by full rebuilds and incremental resizes.
+    _layoutOpts(width, height) {
         // Continuously rotating layers must cover the viewport's full
         // rotation circle; static layers only need sway/parallax headroom.
+        // Both are measured at the smallest zoom, where the layer shows the
+        // most (zooming out is centred; zooming in shows less).
         const slack = config.PARALLAX_PX + config.SWAY_AMP + 30;
-        const R = Math.hypot(width, height) / 2;
-        let padX = slack, padY = slack, cropRadius = 0;
+        const k = config.ZOOM_MIN ** this.opts.zoomFactor;
+        const R = Math.hypot(width, height) / 2 / k;
+        let padX = width / 2 / k - width / 2 + slack;
+        let padY = height / 2 / k - height / 2 + slack;
+        let cropRadius = 0;
         if (this.opts.rotFactor !== 0) {
             padX = R - width / 2 + slack;
             padY = R - height / 2 + slack;
             cropRadius = R + slack;
         }
+        return {
+            spacingScale: this.opts.spacingScale,
+            padX, padY, cropRadius,
+            mono: this.opts.mono,
+            layout: this.opts.layout,
+            mask: this.opts.mask,
+            seed: this.random,
+            rewire: this.opts.rewire > 0,
+        };
+    }
+
+    _makeParticles(width, height) {
+        const o = this.opts;
+        const area = width * height;
+        return {
+            dust: o.dust
+                ? makeFloaters(this.random, Math.round(area / config.DUST_AREA_PER_PARTICLE),
+                    width, height, 0.5, 1.5, 0.12, 0.4, 'dust')
+                : [],
+            bokeh: o.bokeh
+                ? makeFloaters(this.random, Math.max(3, Math.round(area / config.BOKEH_AREA_PER)),
+                    width, height, config.BOKEH_R_MIN, config.BOKEH_R_MAX,
+                    config.BOKEH_ALPHA_MIN * o.bokehAlphaScale,
+                    config.BOKEH_ALPHA_MAX * o.bokehAlphaScale,
+                    'bokeh', o.bokehColors)
+                : [],
+            fgBokeh: o.fgBokeh
+                ? makeFloaters(this.random, config.FG_BOKEH_COUNT, width, height,
+                    config.FG_BOKEH_R_MIN, config.FG_BOKEH_R_MAX,
+                    config.FG_BOKEH_ALPHA_MIN, config.FG_BOKEH_ALPHA_MAX, 'bokeh')
+                : [],
+            stars: o.stars ? makeStars(this.random, width, height) : [],
+        };
+    }
 
-        this.net = buildNetwork(width, height, this.opts.spacingScale,
-            padX, padY, cropRadius, this.opts.mono);
+    rebuild(width, height) {
+        this.net = buildNetwork(width, height, this._layoutOpts(width, height));
         this.signals = [];
         this.rings = [];
         this.sparks = [];
-        this.spawnIn = rand(0.2, 0.8);
-
-        this.dust = this.opts.dust
-            ? makeFloaters(Math.round(width * height / config.DUST_AREA_PER_PARTICLE),
-                width, height, 0.5, 1.5, 0.12, 0.4, 'dust')
-            : [];
-        this.bokeh = this.opts.bokeh
-            ? makeFloaters(Math.max(3, Math.round(width * height / config.BOKEH_AREA_PER)),
-                width, height, config.BOKEH_R_MIN, config.BOKEH_R_MAX,
-                config.BOKEH_ALPHA_MIN * this.opts.bokehAlphaScale,
-                config.BOKEH_ALPHA_MAX * this.opts.bokehAlphaScale,
-                'bokeh', this.opts.bokehColors)
-            : [];
-        this.fgBokeh = this.opts.fgBokeh
-            ? makeFloaters(config.FG_BOKEH_COUNT, width, height,
-                config.FG_BOKEH_R_MIN, config.FG_BOKEH_R_MAX,
-                config.FG_BOKEH_ALPHA_MIN, config.FG_BOKEH_ALPHA_MAX, 'bokeh')
-            : [];
-        this.stars = this.opts.stars ? makeStars(width, height) : [];
-        updateStars(this.stars, 0, width, height); // project initial positions
+        this.spawnIn = this.random.rand(0.2, 0.8);
+        this.rewireIn = this.opts.rewire;
+        this.lifeIn = this.opts.life;
+        this.population = this.net.nodes.length; // births and deaths keep it near this
+        Object.assign(this, this._makeParticles(width, height));
+        updateStars(this.random, this.stars, 0, width, height); // project initial positions
+    }
+
+    // Incremental alternative to rebuild() for window resizes and phone
+    // rotations: keeps the mesh, signals and particles and only grows or
+    // trims the margins (see resizeNetwork). Falls back to a full rebuild
+    // when the density would change too much, or for shape masks (the
+    // shape has to move with the viewport's centre).
+    resize(width, height) {
+        if (width === this.net.width && height === this.net.height) return;
+        const grown = this.opts.mask
+            ? null
+            : resizeNetwork(this.net, width, height, this._layoutOpts(width, height));
+        if (!grown) {
+            this.rebuild(width, height);
+            return;
+        }
+        this.net = grown.net;
+        this.population = this.net.nodes.length;
+        this._remapSignals(grown.nodeMap, grown.edgeMap);
+
+        // Particles stay where they are; only their counts follow the area.
+        const fresh = this._makeParticles(width, height);
+        for (const key of Object.keys(fresh)) {
+            this[key] = this[key].slice(0, fresh[key].length)
+                .concat(fresh[key].slice(this[key].length));
+        }
+        updateStars(this.random, this.stars, 0, width, height);
+    }
+
+    // Moves signals onto new node and edge indices (old index -> new, -1
+    // when removed; a null nodeMap keeps the nodes). A route that lost a
+    // node or edge ahead ends early at the last node it can still reach;
+    // one whose current hop vanished simply stops. A drawn route's trail
+    // keeps the travelled edges that are still there.
+    _remapSignals(nodeMap, edgeMap) {
+        for (const s of this.signals) {
+            const path = s.path.slice(s.leg).map(i => (nodeMap ? nodeMap[i] : i));
+            const edgeIdx = s.edgeIdx.slice(s.leg).map(i => edgeMap[i]);
+            let legs = 0;
+            while (legs < edgeIdx.length && edgeIdx[legs] >= 0 && path[legs + 1] >= 0) legs++;
+            if (path[0] < 0 || legs === 0) {
+                s.done = true;
+                continue;
+            }
+            if (s.trail) s.trail = s.trail.map(i => edgeMap[i]).filter(i => i >= 0);
+            s.path = path.slice(0, legs + 1);
+            s.edgeIdx = edgeIdx.slice(0, legs);
+            s.leg = 0;
+        }
+        this.signals = this.signals.filter(s => !s.done);
+    }
+
+    // Living topology, one step: an extra (non-tree) edge starts fading out,
+    // or a spare Delaunay edge starts fading in. The odds are even when the
+    // share of extras matches EXTRA_EDGE_KEEP and lean back towards it
+    // otherwise. Spare and graph edges all come from one triangulation and
+    // the drift bound covers both, so the mesh stays planar; tree edges
+    // never go, so it stays connected.
+    _rewire() {
+        const net = this.net;
+        const extras = [];
+        for (let i = 0; i < net.edges.length; i++) {
+            const e = net.edges[i];
+            if (!e.tree && !e.outline && !e.dying && e.fade >= 1) extras.push(i);
+        }
+        const total = extras.length + net.spare.length;
+        if (total === 0) return;
+        const share = extras.length / total, keep = config.EXTRA_EDGE_KEEP;
+        const drop = share * (1 - keep) / (share * (1 - keep) + (1 - share) * keep || 1);
+        if (net.spare.length === 0 || this.random.next() < drop) {
+            net.edges[this.random.pick(extras)].dying = true;
+            return;
+        }
+        const k = Math.floor(this.random.next() * net.spare.length);
+        const e = net.spare[k];
+        net.spare[k] = net.spare[net.spare.length - 1];
+        net.spare.pop();
+        if (net.nodes[e.a].dying || net.nodes[e.b].dying) return; // leaves with its node
+        Object.assign(e, {
+            lit: 0, color: null, fade: 0, fadeS: config.REWIRE_FADE_S, tree: false, dying: false,
+        });
+        const i = net.edges.length;
+        net.edges.push(e);
+        net.adj[e.a].push({ n: e.b, e: i });
+        net.adj[e.b].push({ n: e.a, e: i });
+        net.nodes[e.a].deg++;
+        net.nodes[e.b].deg++;
+        if (e.outline) net.nodes[e.a].outline = net.nodes[e.b].outline = true;
+    }
+
+    // Edges that finished fading out return to the spare pool.
+    _dropDeadEdges() {
+        const net = this.net;
+        const edgeMap = new Int32Array(net.edges.length);
+        const edges = [];
+        net.edges.forEach((e, i) => {
+            if (e.dying && e.fade <= 0) {
+                edgeMap[i] = -1;
+                Object.assign(e, { dying: false, fade: 1, fadeS: 0, lit: 0, color: null });
+                net.spare.push(e);
+            } else {
+                edgeMap[i] = edges.length;
+                edges.push(e);
+            }
+        });
+        net.edges = edges;
+        net.adj = linkEdges(net.nodes, edges);
+        this._remapSignals(null, edgeMap);
+    }
+
+    // --- Node life (see "Node life" above) ---
+
+    // One birth or death, leaning towards the population the mesh was built
+    // with.
+    _lifeStep() {
+        const births = 0.5 + (this.population - this.net.nodes.length) * 0.1;
+        if (this.random.next() < births) this._birth();
+        else this._death();
+    }
+
+    // New edges (spokes, a dying node's rim, hole fillers) change the rooms
+    // around the node at (x, y), within its patch.
+    _measureRooms(x, y) {
+        const net = this.net;
+        remeasureRooms(net.nodes, net.edges.concat(net.spare), net.spacing, x, y,
+            net.spacing * PATCH_SPACINGS);
+    }
+
+    // On-screen nodes passing `ok`: births and deaths stay inside the
+    // viewport, so the rotation circle's rim always stays covered.
+    _lifeSpots(ok) {
+        const net = this.net;
+        const ids = [];
+        net.nodes.forEach((n, i) => {
+            if (n.hx >= 0 && n.hx <= net.width && n.hy >= 0 && n.hy <= net.height && ok(n)) {
+                ids.push(i);
+            }
+        });
+        return ids;
+    }
+
+    // A node is born in a wide empty spot near a random on-screen node (one
+    // of the largest circumcircles there) and linked to its Delaunay
+    // neighbours.
+    _birth() {
+        const net = this.net;
+        const spots = this._lifeSpots(n => !n.dying);
+        if (spots.length === 0) return false;
+        const u = net.nodes[this.random.pick(spots)];
+        const radius = net.spacing * PATCH_SPACINGS;
+        const circles = patchTriangles(net.nodes, nodesNear(net.nodes, u.hx, u.hy, radius),
+            u.hx, u.hy, radius)
+            .map(t => t.cc)
+            .filter(c => c.r >= net.spacing * config.LIFE_BIRTH_GAP
+                && c.x >= 0 && c.x <= net.width && c.y >= 0 && c.y <= net.height)
+            .sort((c, d) => d.r - c.r);
+        return circles.slice(0, 3).some(c => this._bornAt(c.x, c.y));
+    }
+
+    // Skipped when a shown edge would have to go (the spot is not an empty
+    // face of the mesh), or when the drift bound would no longer hold.
+    _bornAt(x, y) {
+        const net = this.net;
+        const radius = net.spacing * PATCH_SPACINGS;
+        const ids = nodesNear(net.nodes, x, y, radius);
+        const v = net.nodes.length;
+        const node = makeNode(x, y, false, Math.hypot(net.width, net.height),
+            this.opts.mono, this.random.rand);
+        net.nodes.push(node);
+        ids.push(v);
+        const fan = fanOf(patchTriangles(net.nodes, ids, x, y, radius), v);
+        const spokes = fan ? fan.spokes.map(q => makeEdge(net.nodes, v, q)) : [];
+        const local = new Set(ids);
+        const crossed = (e) => spokes.some(f => edgesCross(net.nodes, e, f));
+        const nearEdges = net.edges.filter(e => local.has(e.a) || local.has(e.b));
+        const nearSpare = net.spare.filter(e => local.has(e.a) || local.has(e.b));
+        const dropped = new Set(nearSpare.filter(crossed));
+        const ok = fan
+            && fan.spokes.every(q => !net.nodes[q].inMask && !net.nodes[q].dying)
+            && !nearEdges.some(crossed)
+            && clearance(net.nodes, ids, spokes.concat(nearEdges,
+                nearSpare.filter(e => !dropped.has(e)))) * config.DRIFT_SAFETY >= net.drift;
+        if (!ok) {
+            net.nodes.pop();
+            return false;
+        }
+
+        // The shortest new edge joins the spanning tree; the others are
+        // thinned like a fresh build.
+        node.fade = 0;
+        node.fadeS = config.LIFE_FADE_S;
+        net.spare = net.spare.filter(e => !dropped.has(e));
+        spokes.sort((e, f) => e.len - f.len);
+        spokes.forEach((e, k) => {
+            const short = e.len <= net.spacing * config.LONG_EDGE_FACTOR;
+            e.tree = k === 0;
+            if (e.tree || (short && this.random.next() < config.EXTRA_EDGE_KEEP)) {
+                e.fade = 0;
+                e.fadeS = config.LIFE_FADE_S;
+                net.edges.push(e);
+            } else if (short) {
+                net.spare.push(e);
+            }
+        });
+        net.adj = linkEdges(net.nodes, net.edges);
+        this._measureRooms(x, y);
+        return true;
+    }
+
+    // A random on-screen node starts dying: its edges fade out, the rim of
+    // its fan (edges between its neighbours, which stay Delaunay without
+    // it) keeps the spanning tree whole, signals heading through it reroute
+    // and it implodes as it vanishes. _dropDeadNodes then fills the hole.
+    _death() {
+        const net = this.net;
+        const spots = this._lifeSpots(n => !n.dying && n.fade >= 1 && !n.inMask && !n.outline);
+        if (spots.length === 0) return false;
+        const v = this.random.pick(spots);
+        const plan = deathPlan(net, v);
+        if (!plan) return false;
+        const patch = new Set(plan.ids);
+        const known = new Map();
+        for (const e of net.edges.concat(net.spare)) {
+            if (patch.has(e.a) && patch.has(e.b)) known.set(edgeKey(e.a, e.b), e);
+        }
+        const rim = plan.rim.map(([p, q]) => known.get(edgeKey(p, q)) || makeEdge(net.nodes, p, q));
+        const diagonals = plan.diagonals.map(([p, q]) => makeEdge(net.nodes, p, q));
+        if (clearance(net.nodes, plan.ids, rim) * config.DRIFT_SAFETY < net.drift
+            || clearance(net.nodes, plan.rest, diagonals) * config.DRIFT_SAFETY < net.drift) {
+            return false;
+        }
+
+        const node = net.nodes[v];
+        node.dying = true;
+        for (const { e } of net.adj[v]) Object.assign(net.edges[e], { dying: true, tree: false });
+        net.spare = net.spare.filter(e => e.a !== v && e.b !== v);
+        this._mendTree(rim);
+        this._measureRooms(node.hx, node.hy);
+        this._rerouteAround(v);
+        this.rings.push({
+            node, t: config.RING_DURATION_S - config.LIFE_FADE_S,
+            color: this.random.pick(this.opts.palette), alphaScale: 1, implode: true,
+        });
+        return true;
+    }
+
+    // Signals about to pass through dying node `v` take the fewest-hop
+    // detour to their target, and those bound for it a fresh route from the
+    // node before it (the layer's routing picks the new target); failing
+    // that they end just before it. One already heading into it arrives
+    // there.
+    _rerouteAround(v) {
+        const net = this.net;
+        const ctx = { random: this.random, onScreen: (i) => this._onScreen(i), edgeOk: null };
+        for (const s of this.signals) {
+            const j = s.path.indexOf(v, s.leg + 1);
+            if (j < 0) continue;
+            const to = s.path[s.path.length - 1];
+            let detour = null;
+            if (j > s.leg + 1) {
+                detour = to !== v
+                    ? routeTo(net, s.path[j - 1], to, ctx)
+                    : route(this.opts.routing, net, s.path[j - 1], ctx);
+            }
+            const keep = j > s.leg + 1 ? j - 1 : j;
+            s.path = s.path.slice(0, keep + 1);
+            s.edgeIdx = s.edgeIdx.slice(0, keep);
+            if (detour) {
+                s.path.push(...detour.path.slice(1));
+                s.edgeIdx.push(...detour.edgeIdx);
+            }
+        }
+    }
+
+    // Rejoins the spanning tree after it lost edges, with the shortest
+    // `candidates` that connect its pieces (shown edges first; others fade
+    // in). Dying nodes stay out of it. Only candidates between two pieces
+    // are sorted: usually none or a handful, as the tree is mended at
+    // every death.
+    _mendTree(candidates) {
+        const net = this.net;
+        const dsu = new DSU(net.nodes.length);
+        for (const e of net.edges) if (e.tree) dsu.union(e.a, e.b);
+        const joins = candidates.filter(e => !net.nodes[e.a].dying && !net.nodes[e.b].dying
+            && dsu.find(e.a) !== dsu.find(e.b));
+        if (joins.length === 0) return;
+        const shown = new Set(net.edges);
+        const added = new Set();
+        joins.sort((e, f) => (shown.has(f) - shown.has(e)) || (e.len - f.len));
+        for (const e of joins) {
+            if (!dsu.union(e.a, e.b)) continue;
+            e.tree = true;
+            e.dying = false;
+            if (shown.has(e)) continue;
+            Object.assign(e, { lit: 0, color: null, fade: 0, fadeS: config.LIFE_FADE_S });
+            net.edges.push(e);
+            added.add(e);
+        }
+        if (added.size === 0) return;
+        net.spare = net.spare.filter(e => !added.has(e));
+        net.adj = linkEdges(net.nodes, net.edges);
+    }
+
+    // Nodes that finished dying leave the graph; the diagonals that now
+    // fill their holes in the triangulation become spare edges.
+    _dropDeadNodes() {
+        const net = this.net;
+        const dead = (i) => net.nodes[i].dying && net.nodes[i].fade <= 0;
+        const fill = new Map();
+        const holes = [];
+        net.nodes.forEach((n, v) => {
+            if (!dead(v)) return;
+            holes.push(n);
+            const plan = deathPlan(net, v) || holeFill(net, v);
+            for (const [p, q] of plan.diagonals) {
+                const e = makeEdge(net.nodes, p, q);
+                if (e.len > net.spacing * config.LONG_EDGE_FACTOR) continue;
+                if (clearance(net.nodes, plan.rest, [e]) * config.DRIFT_SAFETY < net.drift) {
+                    continue;
+                }
+                fill.set(edgeKey(p, q), e);
+            }
+        });
+
+        const nodeMap = new Int32Array(net.nodes.length).fill(-1);
+        const nodes = [];
+        net.nodes.forEach((n, i) => {
+            if (dead(i)) return;
+            nodeMap[i] = nodes.length;
+            nodes.push(n);
+        });
+        const alive = (e) => nodeMap[e.a] >= 0 && nodeMap[e.b] >= 0;
+        const edgeMap = new Int32Array(net.edges.length).fill(-1);
+        const edges = [];
+        net.edges.forEach((e, i) => {
+            if (!alive(e)) return;
+            edgeMap[i] = edges.length;
+            edges.push(e);
+        });
+        const spare = net.spare.concat([...fill.values()]).filter(alive);
+        for (const e of edges.concat(spare)) {
+            e.a = nodeMap[e.a];
+            e.b = nodeMap[e.b];
+        }
+        Object.assign(net, { nodes, edges, spare, adj: linkEdges(nodes, edges) });
+        this._remapSignals(nodeMap, edgeMap);
+        this._mendTree(edges.concat(spare));
+        for (const n of holes) this._measureRooms(n.hx, n.hy);
+    }
+
+    // Moves a node's push along a damped spring towards the pointer field's
+    // target (none outside POINTER_RADIUS, so it springs back home), then
+    // clamps drift plus push to the node's room.
+    _push(n, pointer, dt) {
+        let tx = 0, ty = 0;
+        if (pointer) {
+            const dx = n.hx - pointer.x, dy = n.hy - pointer.y;
+            const d2 = dx * dx + dy * dy, R = config.POINTER_RADIUS;
+            if (d2 < R * R && d2 > 1e-12) {
+                const d = Math.sqrt(d2);
+                const falloff = 1 - d / R;
+                const f = config.POINTER_FORCE * pointer.strength * falloff * falloff / d;
+                tx = dx * f;
+                ty = dy * f;
+            } else if (n.px === 0 && n.py === 0 && n.room >= this.net.drift) {
+                return; // at rest outside the field
+            }
+        }
+        const k = config.POINTER_STIFFNESS, c = config.POINTER_DAMPING;
+        n.pvx += (k * (tx - n.px) - c * n.pvx) * dt;
+        n.pvy += (k * (ty - n.py) - c * n.pvy) * dt;
+        n.px += n.pvx * dt;
+        n.py += n.pvy * dt;
+        if (tx === 0 && ty === 0 && Math.abs(n.px) + Math.abs(n.py)
+            + Math.abs(n.pvx) + Math.abs(n.pvy) < 0.01) {
+            n.px = n.py = n.pvx = n.pvy = 0;
+        }
+        const ox = n.x - n.hx + n.px, oy = n.y - n.hy + n.py;
+        const len = Math.hypot(ox, oy);
+        const scale = len > n.room ? n.room / len : 1;
+        n.x = n.hx + ox * scale;
+        n.y = n.hy + oy * scale;
+    }
+
+    // The pointer in layer coordinates, and how present it is (0..1). Nodes
+    // near it are pushed away (or pulled in, with a negative POINTER_FORCE)
+    // and spring back home when it leaves.
+    setPointer(x, y, strength) {
+        this.pointer = strength > 0.01 ? { x, y, strength } : null;
     }
 
     update(dt) {
@@ -430,24 +1419,75 @@ export class Simulation {
         const amp = net.drift * 0.7; // 0.7 * sqrt(2) < 1, so |offset| < drift
         const edgeDecay = Math.exp(-dt / config.EDGE_LIT_DECAY_S);
         const nodeDecay = Math.exp(-dt / config.NODE_LIT_DECAY_S);
+        const fadeStep = dt / config.RESIZE_FADE_S;
+        const pointer = this.pointer;
+        let deadNodes = false;
         for (const n of net.nodes) {
             n.x = n.hx + amp * (0.7 * Math.sin(n.dfx * t + n.dpx)
                 + 0.3 * Math.sin(n.dfx * 1.7 * t + n.dpx2));
             n.y = n.hy + amp * (0.7 * Math.sin(n.dfy * t + n.dpy)
                 + 0.3 * Math.sin(n.dfy * 1.7 * t + n.dpy2));
+            if (pointer || n.px !== 0 || n.py !== 0 || n.room < net.drift) {
+                this._push(n, pointer, dt);
+            }
             n.lit = n.lit > 0.001 ? n.lit * nodeDecay : 0;
+            if (n.dying) {
+                n.fade -= dt / config.LIFE_FADE_S;
+                if (n.fade <= 0) deadNodes = true;
+            } else if (n.fade < 1) {
+                n.fade = Math.min(1, n.fade + (n.fadeS ? dt / n.fadeS : fadeStep));
+            }
         }
+        let dead = false;
         for (const e of net.edges) {
             e.lit = e.lit > 0.001 ? e.lit * edgeDecay : 0;
+            if (e.dying) {
+                e.fade -= dt / config.REWIRE_FADE_S;
+                if (e.fade <= 0) dead = true;
+            } else if (e.fade < 1) {
+                e.fade = Math.min(1, e.fade + (e.fadeS ? dt / e.fadeS : fadeStep));
+            }
+        }
+        if (dead) this._dropDeadEdges();
+        if (this.opts.rewire > 0) {
+            this.rewireIn -= dt;
+            if (this.rewireIn <= 0) {
+                this._rewire();
+                this.rewireIn = this.random.rand(0.5, 1.5) * this.opts.rewire;
+            }
+        }
+        if (deadNodes) this._dropDeadNodes();
+        if (this.opts.life > 0) {
+            // One mesh repair per frame: a birth or death due while holes
+            // were being filled waits for the next one.
+            this.lifeIn -= dt;
+            if (this.lifeIn <= 0 && !deadNodes) {
+                this._lifeStep();
+                this.lifeIn = this.random.rand(0.5, 1.5) * this.opts.life;
+            }
+        }
+        // Crossfade after an incremental resize: removed edges and nodes
+        // fade out.
+        if (net.ghosts.length > 0) {
+            for (const g of net.ghosts) g.fade -= fadeStep;
+            net.ghosts = net.ghosts.filter(g => g.fade > 0);
+        }
+        if (net.ghostNodes.length > 0) {
+            for (const n of net.ghostNodes) n.fade -= fadeStep;
+            net.ghostNodes = net.ghostNodes.filter(n => n.fade > 0);
         }
 
         // Signals.
         this.spawnIn -= dt;
         if (this.spawnIn <= 0 && this.signals.length < this.opts.signalMax) {
             this._spawnSignal();
-            this.spawnIn = rand(this.opts.spawnMin, this.opts.spawnMax);
+            this.spawnIn = this.random.rand(this.opts.spawnMin, this.opts.spawnMax);
+        }
+        for (const s of this.signals) {
+            this._advanceSignal(s, dt);
+            // A drawn route's rainbow trail grows behind its signal.
+            if (s.trail) for (const i of s.trail) net.edges[i].lit = 1;
         }
-        for (const s of this.signals) this._advanceSignal(s, dt);
         this.signals = this.signals.filter(s => !s.done);
 
         // Arrival effects.
@@ -457,97 +1497,104 @@ export class Simulation {
         this.sparks = this.sparks.filter(s => s.t < config.SPARK_DURATION_S);
 
         // Particles.
-        updateFloaters(this.dust, dt, net.width, net.height);
-        updateFloaters(this.bokeh, dt, net.width, net.height);
-        updateFloaters(this.fgBokeh, dt, net.width, net.height);
-        updateStars(this.stars, dt, net.width, net.height);
+        updateFloaters(this.random, this.dust, dt, net.width, net.height);
+        updateFloaters(this.random, this.bokeh, dt, net.width, net.height);
+        updateFloaters(this.random, this.fgBokeh, dt, net.width, net.height);
+        updateStars(this.random, this.stars, dt, net.width, net.height);
+    }
+
+    // Whether node `i` sits inside the viewport (home position).
+    _onScreen(i) {
+        const net = this.net;
+        const n = net.nodes[i];
+        return n.hx >= 0 && n.hx <= net.width && n.hy >= 0 && n.hy <= net.height;
     }
 
-    // Routes a packet along the shortest path from a source to a target a few
-    // hops away. With no arguments it picks a random visible source.
-    _spawnSignal(forcedFrom = null, gen = 0, inheritColorIdx = null) {
+    // Routes a packet from a source to a target a few hops away, using the
+    // layer's routing strategy (see routing.js). With no arguments it picks a
+    // random visible source. On a masked mesh some signals trace the shape,
+    // travelling along its outline only; `traced` forces (true) or forbids
+    // (false) that, null rolls for it. Returns the new signal, or false.
+    _spawnSignal(forcedFrom = null, gen = 0, inheritColorIdx = null, traced = null) {
         const net = this.net;
         if (this.signals.length >= config.SIGNAL_HARD_CAP) return false;
 
-        const onScreen = (i) => {
-            const n = net.nodes[i];
-            return n.hx >= 0 && n.hx <= net.width && n.hy >= 0 && n.hy <= net.height;
-        };
+        const onScreen = (i) => this._onScreen(i);
+        // Only masked meshes roll for it, so unmasked runs keep their sequence.
+        if (traced === null) {
+            traced = !!this.opts.mask && this.random.next() < this.opts.maskSignals;
+        }
 
         let from = forcedFrom;
         if (from === null) {
-            const visible = [];
-            for (let i = 0; i < net.nodes.length; i++) {
-                if (net.nodes[i].deg >= 2 && onScreen(i)) visible.push(i);
+            const sources = (outlineOnly) => {
+                const visible = [];
+                for (let i = 0; i < net.nodes.length; i++) {
+                    const n = net.nodes[i];
+                    if (n.deg >= 2 && !n.dying && onScreen(i)
+                        && (!outlineOnly || n.outline)) {
+                        visible.push(i);
+                    }
+                }
+                return visible;
+            };
+            let visible = traced ? sources(true) : [];
+            if (visible.length < 2) {
+                traced = false;
+                visible = sources(false);
             }
             if (visible.length < 2) return false;
-            from = pick(visible);
+            from = this.random.pick(visible);
         }
         if (net.adj[from].length === 0) return false;
 
-        const dist = new Int32Array(net.nodes.length).fill(-1);
-        const prev = new Int32Array(net.nodes.length).fill(-1);
-        const queue = [from];
-        dist[from] = 0;
-        for (let qi = 0; qi < queue.length; qi++) {
-            const u = queue[qi];
-            for (const { n } of net.adj[u]) {
-                if (dist[n] === -1) {
-                    dist[n] = dist[u] + 1;
-                    prev[n] = u;
-                    queue.push(n);
-                }
-            }
-        }
-
-        let candidates = [];
-        for (let i = 0; i < net.nodes.length; i++) {
-            if (dist[i] >= config.SIGNAL_HOPS_MIN && dist[i] <= config.SIGNAL_HOPS_MAX
-                && onScreen(i)) {
-                candidates.push(i);
-            }
-        }
-        if (candidates.length === 0) {
-            for (let i = 0; i < net.nodes.length; i++) {
-                if (dist[i] >= 2 && onScreen(i)) candidates.push(i);
-            }
-        }
-        if (candidates.length === 0) return false;
-        const to = pick(candidates);
-
-        const path = [to];
-        while (path[path.length - 1] !== from) {
-            path.push(prev[path[path.length - 1]]);
+        const ctx = { random: this.random, onScreen, edgeOk: null };
+        let found = null;
+        if (traced && net.nodes[from].outline) {
+            found = route(this.opts.routing, net, from, { ...ctx, edgeOk: (e) => e.outline });
         }
-        path.reverse();
-
-        const edgeIdx = [];
-        for (let i = 0; i < path.length - 1; i++) {
-            edgeIdx.push(net.adj[path[i]].find(l => l.n === path[i + 1]).e);
+        if (!found) {
+            traced = false;
+            found = route(this.opts.routing, net, from, ctx);
         }
+        if (!found) return false;
 
         // Signals cycle through this layer's palette, one step per node pass;
         // cascades continue the parent's sequence.
-        const palette = this.opts.palette;
         const colorIdx = inheritColorIdx !== null
             ? inheritColorIdx
-            : Math.floor(Math.random() * palette.length);
+            : Math.floor(this.random.next() * this.opts.palette.length);
+        return this._launch(found, colorIdx, gen, traced, false);
+    }
 
-        this.signals.push({
+    // Starts a signal along a route. `drawn` marks routes traced by a drag,
+    // whose trail stays lit until the signal arrives.
+    _launch({ path, edgeIdx }, colorIdx, gen, traced, drawn) {
+        const net = this.net;
+        const palette = this.opts.palette;
+        const signal = {
             path,
             edgeIdx,
             leg: 0,                              // index into edgeIdx
             t: 0,                                // 0..1 progress along the current leg
             wait: config.SIGNAL_LAUNCH_DELAY_S,  // charge-up pause before launch
-            speed: rand(config.SIGNAL_SPEED_MIN, config.SIGNAL_SPEED_MAX)
+            speed: this.random.rand(config.SIGNAL_SPEED_MIN, config.SIGNAL_SPEED_MAX)
                 * this.opts.speedScale,
             colorIdx,
             color: palette[colorIdx % palette.length],
             gen,
+            traced,
+            drawn,
+            trail: drawn ? [] : null,            // edges travelled so far, drawn routes only
             done: false,
-        });
+        };
+        this.signals.push(signal);
+        const from = path[0];
         net.nodes[from].lit = 1;
-        return true;
+        this._emit('spawn', from, signal.colorIdx, gen, {
+            to: path[path.length - 1], hops: edgeIdx.length, traced,
+        });
+        return signal;
     }
 
     _advanceSignal(s, dt) {
@@ -570,8 +1617,12 @@ export class Simulation {
                 s.t = 0;
                 const edge = net.edges[s.edgeIdx[s.leg]];
                 edge.lit = 1;
+                if (s.trail) s.trail.push(s.edgeIdx[s.leg]);
                 edge.color = s.color; // the trail keeps the colour it was travelled with
                 net.nodes[s.path[s.leg + 1]].lit = 1;
+                this._emit('hop', s.path[s.leg + 1], s.colorIdx, s.gen, {
+                    from: s.path[s.leg], edge: s.edgeIdx[s.leg],
+                });
                 // The flare takes the next palette colour at every node pass.
                 s.colorIdx = (s.colorIdx + 1) % this.opts.palette.length;
                 s.color = this.opts.palette[s.colorIdx];
@@ -586,12 +1637,13 @@ export class Simulation {
     }
 
     _arrive(node, nodeIdx, signal) {
+        this._emit('arrive', nodeIdx, signal.colorIdx, signal.gen, { traced: signal.traced });
         this._popAt(node, signal.color);
         // Sometimes the arrival relays a fresh signal onward: a small cascade
         // that continues the rainbow sequence.
         if (signal.gen < config.CASCADE_MAX_GEN
-            && Math.random() < config.CASCADE_CHANCE) {
-            this._spawnSignal(nodeIdx, signal.gen + 1, signal.colorIdx);
+            && this.random.next() < config.CASCADE_CHANCE) {
+            this._spawnSignal(nodeIdx, signal.gen + 1, signal.colorIdx, signal.traced);
         }
     }
 
@@ -602,6 +1654,7 @@ export class Simulation {
             node, t: -config.RING_ECHO_DELAY_S, color,
             alphaScale: config.RING_ECHO_ALPHA_SCALE,
         });
+        const { rand } = this.random;
         const base = rand(0, TAU);
         for (let i = 0; i < config.SPARK_COUNT; i++) {
             this.sparks.push({
@@ -613,31 +1666,242 @@ export class Simulation {
         }
     }
 
+    // Re-tints everything after a theme change (themes.js): nodes from the
+    // hue and shade they drew at birth, particles and signals by their
+    // index into the new palettes. `colors` brings the layer's `palette`
+    // and `bokehColors`; absent ones fall back to config's current ones.
+    // Arrival effects and trails keep their colour and fade out as usual.
+    recolor(colors = {}) {
+        const o = this.opts;
+        o.palette = colors.palette ?? config.SIGNAL_COLORS;
+        o.bokehColors = colors.bokehColors ?? config.BOKEH_COLORS;
+        for (const n of this.net.nodes) n.colorStr = nodeColor(n, o.mono);
+        const tint = (items, palette) => {
+            for (const f of items) f.color = palette[f.tone % palette.length];
+        };
+        tint(this.bokeh, o.bokehColors);
+        tint(this.fgBokeh, config.BOKEH_COLORS);
+        tint(this.stars, config.STAR_COLORS);
+        for (const sig of this.signals) sig.color = o.palette[sig.colorIdx % o.palette.length];
+    }
+
+    // A versioned, JSON-safe copy of the whole state: mesh, signals, arrival
+    // effects, particles, time and the generator's position, so a seeded
+    // simulation resumes exactly. The shape mask is not included (it may be
+    // a bitmap); pass it again to fromJSON.
+    toJSON() {
+        const net = this.net;
+        const index = new Map(net.nodes.map((n, i) => [n, i]));
+        const { mask, ...opts } = this.opts;
+        return {
+            format: SNAPSHOT_FORMAT,
+            version: SNAPSHOT_VERSION,
+            opts,
+            random: { seed: this.random.seed, state: this.random.getState() },
+            time: this.time,
+            spawnIn: this.spawnIn,
+            rewireIn: this.rewireIn,
+            lifeIn: this.lifeIn,
+            population: this.population,
+            net: {
+                width: net.width,
+                height: net.height,
+                spacing: net.spacing,
+                drift: net.drift,
+                nodes: net.nodes.map(n => ({ ...n })),
+                edges: net.edges.map(e => ({ ...e })),
+                spare: net.spare.map(e => ({ ...e })),
+                ghosts: net.ghosts.map(g => ({
+                    na: nodeRef(index, g.na), nb: nodeRef(index, g.nb), fade: g.fade,
+                })),
+                ghostNodes: net.ghostNodes.map(n => ({ ...n })),
+            },
+            signals: this.signals.map(sig => ({
+                ...sig, path: sig.path.slice(), edgeIdx: sig.edgeIdx.slice(),
+                trail: sig.trail && sig.trail.slice(),
+            })),
+            rings: this.rings.map(r => ({ ...r, node: nodeRef(index, r.node) })),
+            sparks: this.sparks.map(sp => ({ ...sp, node: nodeRef(index, sp.node) })),
+            dust: this.dust.map(d => ({ ...d })),
+            bokeh: this.bokeh.map(b => ({ ...b })),
+            fgBokeh: this.fgBokeh.map(b => ({ ...b })),
+            stars: this.stars.map(st => ({ ...st })),
+        };
+    }
+
+    // Restores a snapshot from toJSON (the object or its JSON string).
+    // `opts` override the saved options, e.g. to supply the shape mask.
+    static fromJSON(data, opts = {}) {
+        const snap = typeof data === 'string' ? JSON.parse(data) : data;
+        if (!snap || snap.format !== SNAPSHOT_FORMAT) {
+            throw new Error('Not a network simulation snapshot');
+        }
+        if (snap.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version ${snap.version}; `
+                + `expected ${SNAPSHOT_VERSION}`);
+        }
+        const sim = Object.create(Simulation.prototype);
+        sim.opts = { ...snap.opts, mask: null, ...opts };
+        sim.listeners = new Map();
+        sim.pointer = null;
+        sim.random = createRandom(snap.random.seed);
+        if (snap.random.state !== null) sim.random.setState(snap.random.state);
+        sim.time = snap.time;
+        sim.spawnIn = snap.spawnIn;
+        sim.rewireIn = snap.rewireIn;
+        sim.lifeIn = snap.lifeIn;
+        sim.population = snap.population;
+
+        const nodes = snap.net.nodes.map(n => ({ ...n }));
+        const edges = snap.net.edges.map(e => ({ ...e }));
+        const adj = linkEdges(nodes, edges);
+        sim.net = {
+            width: snap.net.width,
+            height: snap.net.height,
+            spacing: snap.net.spacing,
+            nodes,
+            edges,
+            adj,
+            drift: snap.net.drift,
+            spare: snap.net.spare.map(e => ({ ...e })),
+            ghosts: snap.net.ghosts.map(g => ({
+                na: nodeAt(nodes, g.na), nb: nodeAt(nodes, g.nb), fade: g.fade,
+            })),
+            ghostNodes: snap.net.ghostNodes.map(n => ({ ...n })),
+        };
+        sim.signals = snap.signals.map(sig => ({
+            ...sig, path: sig.path.slice(), edgeIdx: sig.edgeIdx.slice(),
+            trail: sig.trail && sig.trail.slice(),
+        }));
+        sim.rings = snap.rings.map(r => ({ ...r, node: nodeAt(nodes, r.node) }));
+        sim.sparks = snap.sparks.map(sp => ({ ...sp, node: nodeAt(nodes, sp.node) }));
+        for (const key of ['dust', 'bokeh', 'fgBokeh', 'stars']) {
+            sim[key] = snap[key].map(item => ({ ...item }));
+        }
+        return sim;
+    }
+
+    // --- Events ---
+    // Listeners get one plain object per event: { type, layer, time, node,
+    // x, y, colorIdx, color, gen } plus, per type:
+    //   spawn   a signal left `node`: to, hops, traced
+    //   hop     a signal reached `node` (also the last one): from, edge
+    //   arrive  a signal ended at `node`: traced
+    //   burst   a click popped `node` (its signals follow as spawns)
+    //   flare   a flare left `node`: to
+    // Indices refer to net.nodes / net.edges at that moment; positions are
+    // in layer space (renderer.js's screenToLayer maps the other way).
+    // on() returns a function that unsubscribes.
+    on(type, fn) {
+        if (!SIM_EVENTS.includes(type)) {
+            throw new Error(`Unknown simulation event "${type}"; expected one of `
+                + SIM_EVENTS.join(', '));
+        }
+        if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+        this.listeners.get(type).add(fn);
+        return () => this.off(type, fn);
+    }
+
+    off(type, fn) {
+        const fns = this.listeners.get(type);
+        if (fns) fns.delete(fn);
+    }
+
+    _emit(type, nodeIdx, colorIdx, gen, extra = null) {
+        const fns = this.listeners.get(type);
+        if (!fns || fns.size === 0) return;
+        const node = this.net.nodes[nodeIdx];
+        const palette = this.opts.palette;
+        const event = {
+            type, layer: this.opts.layer, time: this.time,
+            node: nodeIdx, x: node.x, y: node.y,
+            colorIdx, color: palette[colorIdx % palette.length], gen,
+            ...extra,
+        };
+        for (const fn of [...fns]) fn(event);
+    }
+
     // Fires a few flares from random visible nodes (used on button hover).
     fireFlares(count) {
         for (let i = 0; i < count; i++) {
-            this._spawnSignal(null, 1);
+            const signal = this._spawnSignal(null, 1);
+            if (signal) {
+                this._emit('flare', signal.path[0], signal.colorIdx, 1, {
+                    to: signal.path[signal.path.length - 1],
+                });
+            }
         }
     }
 
-    // Click / tap: pop the nearest node and burst signals out of it.
-    burstAt(x, y) {
+    // The linked, living node nearest to a layer point within CLICK_RADIUS,
+    // or -1.
+    _nearestNode(x, y) {
         const net = this.net;
         let best = -1, bestD2 = config.CLICK_RADIUS * config.CLICK_RADIUS;
         for (let i = 0; i < net.nodes.length; i++) {
             const n = net.nodes[i];
-            if (n.deg === 0) continue;
+            if (n.deg === 0 || n.dying) continue;
             const dx = n.x - x, dy = n.y - y;
             const d2 = dx * dx + dy * dy;
             if (d2 < bestD2) { bestD2 = d2; best = i; }
         }
+        return best;
+    }
+
+    // Click / tap: pop the nearest node and burst signals out of it.
+    burstAt(x, y) {
+        const net = this.net;
+        const best = this._nearestNode(x, y);
         if (best < 0) return false;
         const node = net.nodes[best];
         node.lit = 1;
-        this._popAt(node, pick(this.opts.palette));
+        const colorIdx = Math.floor(this.random.next() * this.opts.palette.length);
+        this._emit('burst', best, colorIdx, 0);
+        this._popAt(node, this.opts.palette[colorIdx]);
         for (let i = 0; i < config.CLICK_BURST; i++) {
             this._spawnSignal(best, 1);
         }
         return true;
     }
+
+    // Drag feedback: lights the node nearest a layer point. Returns its
+    // index, or -1.
+    touchAt(x, y) {
+        const i = this._nearestNode(x, y);
+        if (i >= 0) this.net.nodes[i].lit = 1;
+        return i;
+    }
+
+    // Snaps a pointer trail (layer points, in order) onto the mesh: each
+    // point's nearest node joins the route, and nodes that are not
+    // neighbours are joined by a fewest-hop path between them. Returns
+    // { path, edgeIdx }, or null when the trail touches fewer than two nodes.
+    routeThrough(points) {
+        const net = this.net;
+        const path = [], edgeIdx = [];
+        for (const p of points) {
+            const v = this._nearestNode(p.x, p.y);
+            const last = path[path.length - 1];
+            if (v < 0 || v === last) continue;
+            if (path.length === 0) {
+                path.push(v);
+                continue;
+            }
+            const gap = routeTo(net, last, v);
+            if (!gap) continue;
+            path.push(...gap.path.slice(1));
+            edgeIdx.push(...gap.edgeIdx);
+        }
+        return edgeIdx.length > 0 ? { path, edgeIdx } : null;
+    }
+
+    // Drag release: a signal travels exactly the traced route, its rainbow
+    // trail growing behind it. Returns the signal, or false.
+    sendAlong(points) {
+        if (this.signals.length >= config.SIGNAL_HARD_CAP) return false;
+        const found = this.routeThrough(points);
+        if (!found) return false;
+        const colorIdx = Math.floor(this.random.next() * this.opts.palette.length);
+        return this._launch(found, colorIdx, 0, false, true);
+    }
 }
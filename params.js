@@ -0,0 +1,163 @@
+// params.js
+// Config overrides from the page URL, e.g.
+// ?SIGNAL_MAX=14&ROT_SPEED_DEG_S=0&theme=mono&seed=42 (the query string or
+// the hash; the hash wins, unless it is a plain anchor such as #section,
+// with no '='). Keys are config keys in any case; each value is
+// checked against the type of the value config.js sets, and the result
+// against schema.js. settingsQuery() writes a set of overrides back into a
+// shareable query string.
+
+import { config } from './config.js';
+import { LAYOUTS } from './layouts.js';
+import { ROUTERS } from './routing.js';
+import { validateConfig } from './schema.js';
+import { pinConfig, THEME_CHOICES, themeValues } from './themes.js';
+
+// The values config.js set, before any override or theme.
+const DEFAULTS = { ...config };
+
+// String keys with a fixed set of values.
+export const CHOICES = {
+    THEME: THEME_CHOICES,
+    LAYOUT: Object.keys(LAYOUTS),
+    SIGNAL_ROUTING: Object.keys(ROUTERS),
+    RENDERER: ['canvas2d', 'webgl'],
+};
+
+const BOOLEANS = { true: true, 1: true, false: false, 0: false };
+
+// Parameters that switch page features rather than settings: `?tune` opens
+// the tuning panel (tune.js).
+export const PAGE_FLAGS = ['tune'];
+
+function parseNumber(raw) {
+    const v = raw.trim() === '' ? NaN : Number(raw);
+    if (!Number.isFinite(v)) throw new Error(`"${raw}" is not a number`);
+    return v;
+}
+
+// `raw` as the type of `key`'s default. Lists are comma-separated; number
+// lists (rgb triples, the mask viewbox, the sound scale) keep their length.
+// Throws with the reason when it does not fit.
+export function parseSetting(key, raw) {
+    const def = DEFAULTS[key];
+    if (def === null) return raw === '' ? null : raw; // SEED: any string
+    if (typeof def === 'number') return parseNumber(raw);
+    if (typeof def === 'boolean') {
+        if (!(raw.toLowerCase() in BOOLEANS)) throw new Error(`"${raw}" is not true or false`);
+        return BOOLEANS[raw.toLowerCase()];
+    }
+    if (typeof def === 'string') {
+        if (CHOICES[key] && !CHOICES[key].includes(raw)) {
+            throw new Error(`"${raw}" is not one of ${CHOICES[key].join(', ')}`);
+        }
+        return raw;
+    }
+    if (Array.isArray(def) && def.every(v => typeof v === 'number')) {
+        const list = raw.split(',').map(parseNumber);
+        if (list.length !== def.length) throw new Error(`needs ${def.length} numbers`);
+        return list;
+    }
+    if (Array.isArray(def) && def.every(v => typeof v === 'string')) {
+        const list = raw.split(',').map(v => v.trim()).filter(Boolean);
+        if (list.length === 0) throw new Error('needs at least one value');
+        return list;
+    }
+    throw new Error('cannot be set from the URL');
+}
+
+// Whether `key` holds a value parseSetting() can produce (LAYERS, a list
+// of objects, is edited in config.js only).
+export function settable(key) {
+    const def = DEFAULTS[key];
+    if (Array.isArray(def)) {
+        return def.every(v => typeof v === 'number') || def.every(v => typeof v === 'string');
+    }
+    return def === null || ['number', 'boolean', 'string'].includes(typeof def);
+}
+
+// The settable config values that differ from config.js, leaving out the
+// colours the current theme put there.
+export function changedSettings() {
+    const themed = themeValues();
+    const changed = {};
+    for (const key of Object.keys(DEFAULTS)) {
+        if (!settable(key) || Object.hasOwn(themed, key)) continue;
+        if (JSON.stringify(config[key]) === JSON.stringify(DEFAULTS[key])) continue;
+        changed[key] = config[key];
+    }
+    return changed;
+}
+
+// The overrides in a URL's query string and hash: { values, problems }.
+// `values` maps config keys to checked values; `problems` lists every
+// unknown key or invalid value as a message (those are left out). A hash
+// without '=' links to an anchor on the page and is not read.
+export function readOverrides(search = '', hash = '') {
+    const values = {};
+    const problems = [];
+    for (const part of [search, hash.includes('=') ? hash : '']) {
+        for (const [name, raw] of new URLSearchParams(part.replace(/^[?#]/, ''))) {
+            if (PAGE_FLAGS.includes(name)) continue;
+            const key = name.toUpperCase();
+            if (!Object.hasOwn(DEFAULTS, key)) {
+                problems.push(`${name}: unknown setting`);
+                continue;
+            }
+            try {
+                values[key] = parseSetting(key, raw);
+            } catch (err) {
+                problems.push(`${name}: ${err.message}`);
+            }
+        }
+    }
+    return { values, problems };
+}
+
+// The PAGE_FLAGS present in the query string or hash.
+export function readFlags(search = '', hash = '') {
+    const present = new Set();
+    for (const part of [search, hash]) {
+        const params = new URLSearchParams(part.replace(/^[?#]/, ''));
+        for (const flag of PAGE_FLAGS) if (params.has(flag)) present.add(flag);
+    }
+    return present;
+}
+
+// Writes `values` into config if it stays valid (schema.js), else leaves
+// it as it was. Returns the problems.
+function tryOverrides(values) {
+    const before = Object.fromEntries(Object.keys(values).map(k => [k, config[k]]));
+    Object.assign(config, values);
+    const problems = validateConfig();
+    if (problems.length > 0) Object.assign(config, before);
+    else pinConfig(values); // colours win over the theme presets too
+    return problems;
+}
+
+// Writes overrides into config, keeping it coherent: a set that breaks a
+// schema rule is retried key by key, and keys that still break one are
+// left out. Returns why, one message per problem (empty when all applied).
+export function applyOverrides(values) {
+    if (tryOverrides(values).length === 0) return [];
+    const problems = [];
+    for (const [key, value] of Object.entries(values)) {
+        problems.push(...tryOverrides({ [key]: value }).map(p => `${key} ignored: ${p}`));
+    }
+    return problems;
+}
+
+// `values` as a query string (without the '?'), keys in config.js order;
+// THEME and SEED are written as `theme` and `seed`. Values equal to the
+// defaults are left out.
+export function settingsQuery(values) {
+    const params = new URLSearchParams();
+    for (const key of Object.keys(DEFAULTS)) {
+        if (!Object.hasOwn(values, key)) continue;
+        const v = values[key];
+        if (JSON.stringify(v) === JSON.stringify(DEFAULTS[key])) continue;
+        const name = key === 'THEME' || key === 'SEED' ? key.toLowerCase() : key;
+        params.set(name, Array.isArray(v) ? v.join(',') : String(v));
+    }
+    return params.toString().replaceAll('%2C', ','); // lists stay readable
+}
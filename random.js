@@ -0,0 +1,52 @@
+// random.js
+// Seedable pseudo-random numbers for the simulation.
+//
+// Every random choice in the network goes through one of these generators,
+// so a seed plus the same sequence of update(dt) calls reproduces a run
+// exactly. Without a seed a generator simply wraps Math.random().
+
+// Seeds may be numbers or strings ("a nice one" is as good as 42); both are
+// hashed into a 32-bit state so similar seeds still give unrelated streams.
+function hashSeed(seed) {
+    const str = String(seed);
+    let h = 2166136261;
+    for (let i = 0; i < str.length; i++) {
+        h = Math.imul(h ^ str.charCodeAt(i), 16777619);
+    }
+    return h >>> 0;
+}
+
+// Seeded generators also expose their 32-bit state (getState / setState),
+// so a snapshot can resume the exact stream; unseeded ones report null.
+export function createRandom(seed = null) {
+    let next = Math.random;
+    let state = null;
+    if (seed !== null && seed !== undefined) {
+        // mulberry32: tiny, fast and plenty for visuals.
+        state = hashSeed(seed);
+        next = () => {
+            state = (state + 0x6d2b79f5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+    return {
+        seed,
+        next,
+        rand: (min, max) => min + next() * (max - min),
+        pick: (arr) => arr[Math.floor(next() * arr.length)],
+        getState: () => state,
+        setState: (value) => {
+            if (state !== null) state = value | 0;
+        },
+    };
+}
+
+// Accepts either a seed or an existing generator, so callers can share one
+// stream between several steps (building, then simulating).
+export function toRandom(seedOrRandom) {
+    return seedOrRandom && typeof seedOrRandom.next === 'function'
+        ? seedOrRandom
+        : createRandom(seedOrRandom);
+}
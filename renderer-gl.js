@@ -0,0 +1,564 @@
+// renderer-gl.js
+// WebGL2 backend with the same API as renderer.js (picked with RENDERER).
+// Nodes, halos, bokeh, signal heads, sparks and rings are instanced quads
+// shaded analytically, so no sprite textures are needed; edges, trails and
+// signal segments are batched into one triangle buffer per pass. The light
+// passes blend additively, which does not depend on draw order, so every
+// pass costs at most two draw calls (on a light background, where they are
+// laid on top instead, a pass's sprites cover its lines). Output is
+// premultiplied like Canvas2D.
+
+import { config } from './config.js';
+import {
+    bucketAlpha, easedLeg, haloStrength, layerCamera, layerStyle, nodeLook, ringLook,
+    screenToLayer, shimmerBuckets,
+} from './renderer.js';
+
+const states = new WeakMap();
+const colorCache = new Map();
+
+// Maps a layer-space point through the camera (see applyCamera in
+// renderer.js) into clip space.
+const CAMERA_GLSL = `
+uniform vec2 u_size;
+uniform vec2 u_offset;
+uniform vec2 u_rot;
+vec4 toClip(vec2 p) {
+    vec2 c = u_size * 0.5;
+    vec2 q = p - c;
+    vec2 s = c + u_offset + vec2(q.x * u_rot.x - q.y * u_rot.y, q.x * u_rot.y + q.y * u_rot.x);
+    return vec4(s.x / u_size.x * 2.0 - 1.0, 1.0 - s.y / u_size.y * 2.0, 0.0, 1.0);
+}`;
+
+// Shapes (a_shape.w): 0 solid disc, 1 halo (the halo sprite's gradient),
+// 2 signal head (white core into the colour), 3 ring stroked a_param px wide.
+const SPRITE_VS = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+layout(location = 1) in vec4 a_shape;
+layout(location = 2) in vec4 a_color;
+layout(location = 3) in float a_param;
+out vec2 v_px;
+out float v_radius;
+out float v_kind;
+out vec4 v_color;
+out float v_param;
+${CAMERA_GLSL}
+void main() {
+    v_px = a_corner * (a_shape.z + a_param * 0.5 + 1.0);
+    v_radius = a_shape.z;
+    v_kind = a_shape.w;
+    v_color = a_color;
+    v_param = a_param;
+    gl_Position = toClip(a_shape.xy + v_px);
+}`;
+
+const SPRITE_FS = `#version 300 es
+precision highp float;
+in vec2 v_px;
+in float v_radius;
+in float v_kind;
+in vec4 v_color;
+in float v_param;
+out vec4 outColor;
+void main() {
+    float d = length(v_px);
+    float a;
+    vec3 pm;
+    if (v_kind < 0.5) {
+        a = clamp(v_radius - d + 0.5, 0.0, 1.0);
+        pm = v_color.rgb * a;
+    } else if (v_kind < 1.5) {
+        a = 0.55 * max(0.0, 1.0 - d / v_radius);
+        pm = v_color.rgb * a;
+    } else if (v_kind < 2.5) {
+        float t = d / v_radius;
+        if (t < 0.25) {
+            a = mix(0.9, 0.55, t / 0.25);
+            pm = mix(vec3(0.9), v_color.rgb * 0.55, t / 0.25);
+        } else {
+            a = 0.55 * max(0.0, 1.0 - (t - 0.25) / 0.75);
+            pm = v_color.rgb * a;
+        }
+    } else {
+        a = clamp(v_param * 0.5 - abs(d - v_radius) + 0.5, 0.0, 1.0);
+        pm = v_color.rgb * a;
+    }
+    outColor = vec4(pm, a) * v_color.a;
+}`;
+
+// Line quads arrive expanded on the CPU; a_edge is (side -1..1, half width).
+const LINE_VS = `#version 300 es
+layout(location = 0) in vec2 a_pos;
+layout(location = 1) in vec4 a_color;
+layout(location = 2) in vec2 a_edge;
+out vec4 v_color;
+out float v_dist;
+out float v_half;
+${CAMERA_GLSL}
+void main() {
+    v_color = a_color;
+    v_dist = a_edge.x * (a_edge.y + 1.0);
+    v_half = a_edge.y;
+    gl_Position = toClip(a_pos);
+}`;
+
+const LINE_FS = `#version 300 es
+precision highp float;
+in vec4 v_color;
+in float v_dist;
+in float v_half;
+out vec4 outColor;
+void main() {
+    float a = clamp(v_half - abs(v_dist) + 0.5, 0.0, 1.0) * v_color.a;
+    outColor = vec4(v_color.rgb * a, a);
+}`;
+
+// Full-screen gradients: mode 0 runs top to bottom, mode 1 radially from
+// u_center between radii u_radii.x and u_radii.y. Colours are premultiplied.
+const BACKDROP_VS = `#version 300 es
+layout(location = 0) in vec2 a_corner;
+uniform vec2 u_size;
+out vec2 v_px;
+void main() {
+    v_px = vec2((a_corner.x + 1.0) * 0.5, (1.0 - a_corner.y) * 0.5) * u_size;
+    gl_Position = vec4(a_corner, 0.0, 1.0);
+}`;
+
+const BACKDROP_FS = `#version 300 es
+precision highp float;
+uniform vec2 u_size;
+uniform int u_mode;
+uniform vec2 u_center;
+uniform vec2 u_radii;
+uniform vec4 u_from;
+uniform vec4 u_to;
+in vec2 v_px;
+out vec4 outColor;
+void main() {
+    float t = u_mode == 0
+        ? v_px.y / u_size.y
+        : (length(v_px - u_center) - u_radii.x) / (u_radii.y - u_radii.x);
+    outColor = mix(u_from, u_to, clamp(t, 0.0, 1.0));
+}`;
+
+const SPRITE_STRIDE = 9;  // x, y, radius, kind, r, g, b, a, param
+const LINE_STRIDE = 8;    // x, y, r, g, b, a, side, half width
+
+// Forgets the parsed colours of the previous theme (Engine.setTheme).
+export function clearCaches() {
+    colorCache.clear();
+}
+
+// '#rrggbb', 'rgb(...)' / 'rgba(...)' strings or [r, g, b] byte arrays, as
+// straight-alpha floats.
+function parseColor(c) {
+    let v = colorCache.get(c);
+    if (v) return v;
+    if (Array.isArray(c)) {
+        v = [c[0] / 255, c[1] / 255, c[2] / 255, 1];
+    } else if (c[0] === '#') {
+        const n = parseInt(c.slice(1), 16);
+        v = [((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255, 1];
+    } else {
+        const p = c.slice(c.indexOf('(') + 1, c.indexOf(')')).split(',').map(Number);
+        v = [p[0] / 255, p[1] / 255, p[2] / 255, p.length > 3 ? p[3] : 1];
+    }
+    colorCache.set(c, v);
+    return v;
+}
+
+function premultiplied(c) {
+    const [r, g, b, a] = parseColor(c);
+    return [r * a, g * a, b * a, a];
+}
+
+function compile(gl, vsSource, fsSource) {
+    const program = gl.createProgram();
+    for (const [type, source] of [[gl.VERTEX_SHADER, vsSource], [gl.FRAGMENT_SHADER, fsSource]]) {
+        const shader = gl.createShader(type);
+        gl.shaderSource(shader, source);
+        gl.compileShader(shader);
+        if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+            throw new Error(`WebGL shader failed to compile: ${gl.getShaderInfoLog(shader)}`);
+        }
+        gl.attachShader(program, shader);
+    }
+    gl.linkProgram(program);
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+        throw new Error(`WebGL program failed to link: ${gl.getProgramInfoLog(program)}`);
+    }
+    const uniforms = {};
+    const count = gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS);
+    for (let i = 0; i < count; i++) {
+        const name = gl.getActiveUniform(program, i).name;
+        uniforms[name] = gl.getUniformLocation(program, name);
+    }
+    return { program, uniforms };
+}
+
+// Growable vertex data for one kind of batch.
+class Batch {
+    constructor(stride) {
+        this.stride = stride;
+        this.data = new Float32Array(stride * 256);
+        this.length = 0;
+    }
+
+    alloc(floats) {
+        if (this.length + floats > this.data.length) {
+            const grown = new Float32Array(Math.max(this.data.length * 2, this.length + floats));
+            grown.set(this.data.subarray(0, this.length));
+            this.data = grown;
+        }
+        const at = this.length;
+        this.length += floats;
+        return at;
+    }
+}
+
+function setup(gl) {
+    const quad = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+    const sprite = compile(gl, SPRITE_VS, SPRITE_FS);
+    sprite.vao = gl.createVertexArray();
+    sprite.buffer = gl.createBuffer();
+    gl.bindVertexArray(sprite.vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    gl.bindBuffer(gl.ARRAY_BUFFER, sprite.buffer);
+    const sb = SPRITE_STRIDE * 4;
+    for (const [loc, size, at] of [[1, 4, 0], [2, 4, 4], [3, 1, 8]]) {
+        gl.enableVertexAttribArray(loc);
+        gl.vertexAttribPointer(loc, size, gl.FLOAT, false, sb, at * 4);
+        gl.vertexAttribDivisor(loc, 1);
+    }
+
+    const line = compile(gl, LINE_VS, LINE_FS);
+    line.vao = gl.createVertexArray();
+    line.buffer = gl.createBuffer();
+    gl.bindVertexArray(line.vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, line.buffer);
+    const lb = LINE_STRIDE * 4;
+    for (const [loc, size, at] of [[0, 2, 0], [1, 4, 2], [2, 2, 6]]) {
+        gl.enableVertexAttribArray(loc);
+        gl.vertexAttribPointer(loc, size, gl.FLOAT, false, lb, at * 4);
+    }
+
+    const backdrop = compile(gl, BACKDROP_VS, BACKDROP_FS);
+    backdrop.vao = gl.createVertexArray();
+    gl.bindVertexArray(backdrop.vao);
+    gl.bindBuffer(gl.ARRAY_BUFFER, quad);
+    gl.enableVertexAttribArray(0);
+    gl.vertexAttribPointer(0, 2, gl.FLOAT, false, 0, 0);
+    gl.bindVertexArray(null);
+
+    gl.enable(gl.BLEND);
+    return {
+        gl,
+        sprite,
+        line,
+        backdrop,
+        sprites: new Batch(SPRITE_STRIDE),
+        lines: new Batch(LINE_STRIDE),
+        view: null,
+        cam: { x: 0, y: 0, cos: 1, sin: 0 },
+    };
+}
+
+const CONTEXT_OPTIONS = {
+    alpha: true,
+    premultipliedAlpha: true,
+    antialias: false,
+    depth: false,
+    stencil: false,
+};
+
+// Whether the shaders compile and link here, tried on a scratch canvas:
+// a canvas keeps the first kind of context it hands out, so a layer canvas
+// that got a WebGL2 context could no longer fall back to Canvas2D.
+function shadersBuild(canvas) {
+    const scratch = typeof OffscreenCanvas === 'function'
+        ? new OffscreenCanvas(1, 1) : canvas.ownerDocument.createElement('canvas');
+    const gl = scratch.getContext('webgl2', CONTEXT_OPTIONS);
+    if (!gl) return false;
+    try {
+        compile(gl, SPRITE_VS, SPRITE_FS);
+        compile(gl, LINE_VS, LINE_FS);
+        compile(gl, BACKDROP_VS, BACKDROP_FS);
+        return true;
+    } catch (err) {
+        console.warn(`${err.message}; drawing with Canvas2D instead`);
+        return false;
+    } finally {
+        const lose = gl.getExtension('WEBGL_lose_context');
+        if (lose) lose.loseContext();
+    }
+}
+
+// A WebGL2 context for a layer canvas, or null when the browser has none
+// or its shaders fail to build (Canvas2D takes over then).
+export function createContext(canvas) {
+    if (!shadersBuild(canvas)) return null;
+    const gl = canvas.getContext('webgl2', CONTEXT_OPTIONS);
+    if (!gl) return null;
+    states.set(gl, setup(gl));
+    return gl;
+}
+
+// Shaders work in CSS px and the viewport follows the drawing buffer, so
+// there is no transform to set.
+export function fitContext() {}
+
+// The zoom rides along in the rotation's cos / sin (a scaled rotation), and
+// u_offset moves the layer centre to where layerCamera puts it.
+function setCamera(st, view, offsetFactor, rotFactor, zoomFactor = 1) {
+    const cam = layerCamera(view, offsetFactor, rotFactor, zoomFactor);
+    st.cam.x = cam.ax - cam.cx;
+    st.cam.y = cam.ay - cam.cy;
+    st.cam.cos = Math.cos(cam.rot) * cam.k;
+    st.cam.sin = Math.sin(cam.rot) * cam.k;
+}
+
+function useProgram(st, p) {
+    const gl = st.gl;
+    gl.useProgram(p.program);
+    gl.bindVertexArray(p.vao);
+    gl.uniform2f(p.uniforms.u_size, st.view.w, st.view.h);
+    if (p.uniforms.u_offset) {
+        gl.uniform2f(p.uniforms.u_offset, st.cam.x, st.cam.y);
+        gl.uniform2f(p.uniforms.u_rot, st.cam.cos, st.cam.sin);
+    }
+}
+
+function setBlend(st, additive) {
+    const gl = st.gl;
+    gl.blendFunc(gl.ONE, additive ? gl.ONE : gl.ONE_MINUS_SRC_ALPHA);
+}
+
+function flushLines(st) {
+    const b = st.lines;
+    if (b.length === 0) return;
+    const gl = st.gl;
+    useProgram(st, st.line);
+    gl.bindBuffer(gl.ARRAY_BUFFER, st.line.buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, b.data.subarray(0, b.length), gl.DYNAMIC_DRAW);
+    gl.drawArrays(gl.TRIANGLES, 0, b.length / LINE_STRIDE);
+    b.length = 0;
+}
+
+function flushSprites(st) {
+    const b = st.sprites;
+    if (b.length === 0) return;
+    const gl = st.gl;
+    useProgram(st, st.sprite);
+    gl.bindBuffer(gl.ARRAY_BUFFER, st.sprite.buffer);
+    gl.bufferData(gl.ARRAY_BUFFER, b.data.subarray(0, b.length), gl.DYNAMIC_DRAW);
+    gl.drawArraysInstanced(gl.TRIANGLE_STRIP, 0, 4, b.length / SPRITE_STRIDE);
+    b.length = 0;
+}
+
+function flush(st) {
+    flushLines(st);
+    flushSprites(st);
+}
+
+function pushSprite(st, x, y, radius, kind, color, alpha, param = 0) {
+    if (!(alpha > 0) || !(radius > 0)) return;
+    const c = parseColor(color);
+    const i = st.sprites.alloc(SPRITE_STRIDE);
+    const to = st.sprites.data;
+    to[i] = x;
+    to[i + 1] = y;
+    to[i + 2] = radius;
+    to[i + 3] = kind;
+    to[i + 4] = c[0];
+    to[i + 5] = c[1];
+    to[i + 6] = c[2];
+    to[i + 7] = c[3] * alpha;
+    to[i + 8] = param;
+}
+
+// A segment as two triangles, widened for antialiasing and lengthened by
+// half its width at both ends (close to Canvas2D's round caps).
+function pushLine(st, ax, ay, bx, by, color, alpha, width) {
+    const dx = bx - ax, dy = by - ay;
+    const len = Math.hypot(dx, dy);
+    if (len < 1e-6 || !(alpha > 0)) return;
+    const c = parseColor(color);
+    const half = width / 2, ext = half + 1;
+    const ux = dx / len, uy = dy / len;
+    const nx = -uy * ext, ny = ux * ext;
+    const x0 = ax - ux * half, y0 = ay - uy * half;
+    const x1 = bx + ux * half, y1 = by + uy * half;
+    const a = c[3] * alpha;
+    const corners = [
+        [x0 + nx, y0 + ny, 1], [x0 - nx, y0 - ny, -1], [x1 + nx, y1 + ny, 1],
+        [x1 + nx, y1 + ny, 1], [x0 - nx, y0 - ny, -1], [x1 - nx, y1 - ny, -1],
+    ];
+    const i = st.lines.alloc(LINE_STRIDE * 6);
+    const to = st.lines.data;
+    for (let k = 0; k < 6; k++) {
+        const o = i + k * LINE_STRIDE;
+        to[o] = corners[k][0];
+        to[o + 1] = corners[k][1];
+        to[o + 2] = c[0];
+        to[o + 3] = c[1];
+        to[o + 4] = c[2];
+        to[o + 5] = a;
+        to[o + 6] = corners[k][2];
+        to[o + 7] = half;
+    }
+}
+
+function drawBackdrop(st, mode, from, to, cx = 0, cy = 0, r0 = 0, r1 = 1) {
+    const gl = st.gl, p = st.backdrop;
+    setBlend(st, false);
+    useProgram(st, p);
+    gl.uniform1i(p.uniforms.u_mode, mode);
+    gl.uniform2f(p.uniforms.u_center, cx, cy);
+    gl.uniform2f(p.uniforms.u_radii, r0, r1);
+    gl.uniform4fv(p.uniforms.u_from, premultiplied(from));
+    gl.uniform4fv(p.uniforms.u_to, premultiplied(to));
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+}
+
+function begin(gl, view) {
+    const st = states.get(gl);
+    st.view = view;
+    gl.viewport(0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    return st;
+}
+
+// Same passes and formulas as drawMesh in renderer.js.
+function drawMesh(st, sim, view, o) {
+    const net = sim.net;
+    const time = sim.time;
+    setCamera(st, view, o.offset, o.rot, o.zoom);
+
+    // Base mesh with the shimmer wave, quantised into the same buckets as
+    // the Canvas2D path so both backends look alike.
+    shimmerBuckets(net, time);
+    setBlend(st, false);
+    for (const e of net.edges) {
+        if (e.fade <= 0) continue; // waiting for a ghost to fade out
+        const a = net.nodes[e.a], b = net.nodes[e.b];
+        pushLine(st, a.x, a.y, b.x, b.y, o.edgeRgb, bucketAlpha(o, e.bucket) * e.fade,
+            config.EDGE_WIDTH);
+    }
+    for (const g of net.ghosts) {
+        pushLine(st, g.na.x, g.na.y, g.nb.x, g.nb.y, o.edgeRgb, o.edgeAlpha * g.fade,
+            config.EDGE_WIDTH);
+    }
+    flushLines(st);
+
+    // Nodes, brightened near the pointer (interactive layer only).
+    const p = o.hover
+        ? screenToLayer(view, o.offset, o.rot, view.pointer.x, view.pointer.y, o.zoom)
+        : null;
+    const pointerStrength = o.hover ? view.pointer.strength : 0;
+    for (const n of net.nodes.concat(net.ghostNodes)) {
+        const look = nodeLook(n, time, o, p, pointerStrength);
+        pushSprite(st, n.x, n.y, look.radius, 0, n.colorStr, look.alpha);
+    }
+    flushSprites(st);
+
+    // Light passes are additive (but see layerStyle).
+    setBlend(st, o.blend === 'lighter');
+
+    for (const e of net.edges) {
+        if (e.lit <= 0.02 || !e.color) continue;
+        const a = net.nodes[e.a], b = net.nodes[e.b];
+        pushLine(st, a.x, a.y, b.x, b.y, e.color, 0.15 * e.lit * o.litScale, 3.4);
+        pushLine(st, a.x, a.y, b.x, b.y, e.color, 0.7 * e.lit * o.litScale, 1.4);
+    }
+
+    for (const n of net.nodes) {
+        const strength = haloStrength(n);
+        if (strength < 0.02) continue;
+        const size = (24 + n.r * 7) * o.nodeScale;
+        pushSprite(st, n.x, n.y, size / 2, 1, o.haloColor, strength * o.nodeAlpha * n.fade);
+    }
+
+    for (const s of sim.signals) {
+        const a = net.nodes[s.path[s.leg]];
+        if (s.wait > 0) {
+            const charge = 1 - s.wait / config.SIGNAL_LAUNCH_DELAY_S;
+            const size = (10 + charge * 24) * o.nodeScale;
+            pushSprite(st, a.x, a.y, size / 2, 2, s.color, 0.25 + 0.5 * charge);
+            continue;
+        }
+        const b = net.nodes[s.path[s.leg + 1]];
+        const tt = easedLeg(s.t);
+        const hx = a.x + (b.x - a.x) * tt;
+        const hy = a.y + (b.y - a.y) * tt;
+        pushLine(st, a.x, a.y, hx, hy, s.color, 0.7 * o.litScale, 1.4);
+        pushSprite(st, hx, hy, 14 * o.nodeScale, 2, s.color, 0.9);
+        pushSprite(st, hx, hy, 1.7 * o.nodeScale, 0, '#eaf6ff', 1);
+    }
+
+    for (const spark of sim.sparks) {
+        const f = Math.min(1, spark.t / config.SPARK_DURATION_S);
+        const dist = config.SPARK_SPEED
+            * (1 - Math.exp(-config.SPARK_DECEL * spark.t)) / config.SPARK_DECEL;
+        pushSprite(st, spark.node.x + Math.cos(spark.angle) * dist,
+            spark.node.y + Math.sin(spark.angle) * dist,
+            1.3 * o.nodeScale, 0, spark.color, (1 - f) * (1 - f) * 0.9);
+    }
+
+    for (const ring of sim.rings) {
+        const r = ringLook(ring, o);
+        if (!r) continue;
+        pushSprite(st, ring.node.x, ring.node.y, r.radius, 3, ring.color, r.alpha, 1.6);
+    }
+
+    flush(st);
+    setBlend(st, false);
+}
+
+function drawParticles(st, view, items, offsetFactor, rotFactor, zoomFactor, additive, draw) {
+    if (items.length === 0) return;
+    setCamera(st, view, offsetFactor, rotFactor, zoomFactor);
+    setBlend(st, additive);
+    for (const item of items) draw(item);
+    flushSprites(st);
+}
+
+// Same passes as renderLayer in renderer.js.
+export function renderLayer(gl, sim, view, spec) {
+    const st = begin(gl, view);
+    const { w, h } = view;
+    const o = layerStyle(spec);
+    const additive = o.blend === 'lighter';
+    if (spec.backdrop) {
+        drawBackdrop(st, 0, config.BG_TOP, config.BG_BOTTOM);
+        drawBackdrop(st, 1, config.BG_CENTER_GLOW, 'rgba(0, 0, 0, 0)',
+            w / 2, h * 0.46, 0, Math.max(w, h) * 0.55);
+    }
+
+    const time = sim.time;
+    drawParticles(st, view, sim.dust, config.OFFSET_DUST, 0, config.ZOOM_DUST, false, (d) => {
+        pushSprite(st, d.x, d.y, d.r, 0, config.DUST_COLOR,
+            d.alpha * (0.7 + 0.3 * Math.sin(d.tw * time + d.twPhase)));
+    });
+    drawParticles(st, view, sim.bokeh, config.OFFSET_DUST, 0, config.ZOOM_DUST, additive, (f) => {
+        pushSprite(st, f.x, f.y, f.r, 1, f.color || '#9fc1ff',
+            f.alpha * (0.75 + 0.25 * Math.sin(f.tw * time + f.twPhase)));
+    });
+    drawMesh(st, sim, view, o);
+    drawParticles(st, view, sim.fgBokeh, config.OFFSET_FG, spec.rot, config.ZOOM_FG, additive,
+        (f) => pushSprite(st, f.x, f.y, f.r, 1, f.color || '#9fc1ff',
+            f.alpha * (0.75 + 0.25 * Math.sin(f.tw * time + f.twPhase))));
+    drawParticles(st, view, sim.stars, 0, 0, 0, additive, (s) => {
+        if (s.fade > 0) pushSprite(st, s.sx, s.sy, s.size, 0, s.color, s.alpha * s.fade);
+    });
+
+    if (spec.vignette) {
+        drawBackdrop(st, 1, 'rgba(0, 0, 0, 0)', config.VIGNETTE,
+            w / 2, h / 2, Math.min(w, h) * 0.42, Math.hypot(w, h) * 0.6);
+    }
+}
@@ -1,14 +1,16 @@
 // renderer.js
-// Draws the two layers: a blurred depth canvas (background gradient, dust,
-// bokeh, far mesh) and the main canvas (near mesh, signals, sparks,
-// foreground bokeh, vignette). Each layer gets its own camera offset and
-// rotation; rigid transforms keep every mesh crossing-free.
+// Draws the layers of config.LAYERS, one canvas each: the back one (by
+// default a blurred depth canvas) paints the background gradient, and
+// every layer draws whatever particles its simulation keeps (dust, bokeh,
+// foreground bokeh, stars) around its mesh, signals, sparks and rings; the
+// front one adds the vignette. Each layer gets its own camera offset,
+// rotation and zoom; rigid transforms keep every mesh crossing-free.
 
 import { config } from './config.js';
 
 const TAU = Math.PI * 2;
 const spriteCache = new Map();
-const bgCache = new WeakMap();
+let bgCache = new WeakMap();
 
 function hexToRgba(hex, alpha) {
     const v = parseInt(hex.slice(1), 16);
@@ -19,12 +21,36 @@ function rgba(rgb, alpha) {
     return `rgba(${rgb[0]}, ${rgb[1]}, ${rgb[2]}, ${alpha})`;
 }
 
+// Sprites are OffscreenCanvases inside the worker (no document there).
+function defaultSpriteCanvas(size) {
+    if (typeof document === 'undefined') return new OffscreenCanvas(size, size);
+    const s = document.createElement('canvas');
+    s.width = s.height = size;
+    return s;
+}
+
+let makeSpriteCanvas = defaultSpriteCanvas;
+
+// Replaces how sprite canvases are created: factory(size, key) returns
+// anything with a 2D getContext (tests pass a recording stand-in). No
+// argument restores the default. Cached sprites are dropped either way.
+export function setSpriteFactory(factory = defaultSpriteCanvas) {
+    makeSpriteCanvas = factory;
+    spriteCache.clear();
+}
+
+// Drops the cached sprites and background gradients, which bake in
+// config's colours (Engine.setTheme calls it).
+export function clearCaches() {
+    spriteCache.clear();
+    bgCache = new WeakMap();
+}
+
 // Pre-rendered radial gradients; much cheaper and softer than shadowBlur.
 function sprite(key, build) {
     let s = spriteCache.get(key);
     if (!s) {
-        s = document.createElement('canvas');
-        s.width = s.height = 64;
+        s = makeSpriteCanvas(64, key);
         build(s.getContext('2d'));
         spriteCache.set(key, s);
     }
@@ -52,7 +78,7 @@ function haloSprite(color) {
     });
 }
 
-function easeOutCubic(t) {
+export function easeOutCubic(t) {
     const u = 1 - t;
     return 1 - u * u * u;
 }
@@ -77,34 +103,72 @@ function gradients(ctx, w, h) {
     return g;
 }
 
-// Camera transform of one layer: translate by the layer's share of the
-// offset, rotate by its share of the rotation around the screen centre.
-function applyCamera(ctx, view, offsetFactor, rotFactor) {
-    ctx.translate(view.offset.x * offsetFactor, view.offset.y * offsetFactor);
-    const rot = view.rot * rotFactor;
-    if (rot !== 0) {
-        ctx.translate(view.w / 2, view.h / 2);
-        ctx.rotate(rot);
-        ctx.translate(-view.w / 2, -view.h / 2);
+// The Canvas2D context of a layer canvas (renderer-gl.js has the WebGL one).
+export function createContext(canvas) {
+    return canvas.getContext('2d');
+}
+
+// Draw in CSS px on a canvas whose backing store is `scale` times larger.
+export function fitContext(ctx, scale) {
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+}
+
+// The camera as one layer sees it: its share of the offset (`ox`, `oy`),
+// rotation (`rot`) and zoom (`k`, view.zoom to the power of the layer's
+// zoom factor, so deeper layers zoom less) and the screen point the layer
+// centre lands on (`ax`, `ay`). Zooming in keeps `view.focus` (a screen
+// point, the centre when absent) in place; zooming out is always centred,
+// which is what the layouts' coverage at ZOOM_MIN assumes.
+export function layerCamera(view, offsetFactor, rotFactor, zoomFactor = 1) {
+    const ox = view.offset.x * offsetFactor, oy = view.offset.y * offsetFactor;
+    const k = (view.zoom ?? 1) ** zoomFactor;
+    const cx = view.w / 2, cy = view.h / 2;
+    let ax = cx + ox, ay = cy + oy;
+    if (k > 1 && view.focus) {
+        ax += (1 - k) * (view.focus.x - ax);
+        ay += (1 - k) * (view.focus.y - ay);
+    }
+    return { ox, oy, rot: view.rot * rotFactor, k, cx, cy, ax, ay };
+}
+
+// Camera transform of one layer (see layerCamera).
+function applyCamera(ctx, view, offsetFactor, rotFactor, zoomFactor = 1) {
+    const cam = layerCamera(view, offsetFactor, rotFactor, zoomFactor);
+    ctx.translate(cam.ox, cam.oy);
+    if (cam.rot !== 0 || cam.k !== 1) {
+        ctx.translate(cam.ax - cam.ox, cam.ay - cam.oy);
+        if (cam.rot !== 0) ctx.rotate(cam.rot);
+        if (cam.k !== 1) ctx.scale(cam.k, cam.k);
+        ctx.translate(-cam.cx, -cam.cy);
     }
 }
 
 // Inverse of applyCamera, for mapping pointer positions into layer space.
-export function screenToLayer(view, offsetFactor, rotFactor, sx, sy) {
-    const qx = sx - view.offset.x * offsetFactor - view.w / 2;
-    const qy = sy - view.offset.y * offsetFactor - view.h / 2;
-    const rot = -view.rot * rotFactor;
-    const cos = Math.cos(rot), sin = Math.sin(rot);
+export function screenToLayer(view, offsetFactor, rotFactor, sx, sy, zoomFactor = 1) {
+    const cam = layerCamera(view, offsetFactor, rotFactor, zoomFactor);
+    const qx = sx - cam.ax, qy = sy - cam.ay;
+    const cos = Math.cos(-cam.rot) / cam.k, sin = Math.sin(-cam.rot) / cam.k;
+    return {
+        x: cam.cx + qx * cos - qy * sin,
+        y: cam.cy + qx * sin + qy * cos,
+    };
+}
+
+// applyCamera as a point mapping: where a layer point appears on screen.
+export function layerToScreen(view, offsetFactor, rotFactor, x, y, zoomFactor = 1) {
+    const cam = layerCamera(view, offsetFactor, rotFactor, zoomFactor);
+    const qx = x - cam.cx, qy = y - cam.cy;
+    const cos = Math.cos(cam.rot) * cam.k, sin = Math.sin(cam.rot) * cam.k;
     return {
-        x: view.w / 2 + qx * cos - qy * sin,
-        y: view.h / 2 + qx * sin + qy * cos,
+        x: cam.ax + qx * cos - qy * sin,
+        y: cam.ay + qx * sin + qy * cos,
     };
 }
 
 function drawDust(ctx, dust, time, view) {
     if (dust.length === 0) return;
     ctx.save();
-    applyCamera(ctx, view, config.OFFSET_DUST, 0);
+    applyCamera(ctx, view, config.OFFSET_DUST, 0, config.ZOOM_DUST);
     ctx.fillStyle = rgba(config.DUST_COLOR, 1);
     for (const d of dust) {
         ctx.globalAlpha = d.alpha * (0.7 + 0.3 * Math.sin(d.tw * time + d.twPhase));
@@ -115,11 +179,11 @@ function drawDust(ctx, dust, time, view) {
     ctx.restore();
 }
 
-function drawBokeh(ctx, items, time, view, offsetFactor, rotFactor) {
+function drawBokeh(ctx, items, time, view, offsetFactor, rotFactor, zoomFactor, blend) {
     if (items.length === 0) return;
     ctx.save();
-    applyCamera(ctx, view, offsetFactor, rotFactor);
-    ctx.globalCompositeOperation = 'lighter';
+    applyCamera(ctx, view, offsetFactor, rotFactor, zoomFactor);
+    ctx.globalCompositeOperation = blend;
     for (const f of items) {
         ctx.globalAlpha = f.alpha * (0.75 + 0.25 * Math.sin(f.tw * time + f.twPhase));
         ctx.drawImage(haloSprite(f.color || '#9fc1ff'),
@@ -130,10 +194,10 @@ function drawBokeh(ctx, items, time, view, offsetFactor, rotFactor) {
 
 // Subtle particles flying slowly towards the viewer; the simulation step
 // projects them (sx, sy, size, fade), this just draws the result.
-function drawStars(ctx, stars) {
+function drawStars(ctx, stars, blend) {
     if (stars.length === 0) return;
     ctx.save();
-    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalCompositeOperation = blend;
     for (const s of stars) {
         if (!(s.fade > 0)) continue;
         ctx.globalAlpha = s.alpha * s.fade;
@@ -147,21 +211,35 @@ function drawStars(ctx, stars) {
 
 // Per-hop easing: blends linear motion with smoothstep for a gentle
 // pulse-like rhythm as signals hop from node to node.
-function easedLeg(t) {
+export function easedLeg(t) {
     const s = t * t * (3 - 2 * t);
     return t + config.SIGNAL_EASE * (s - t);
 }
 
-function drawMesh(ctx, sim, view, o) {
-    const net = sim.net;
-    const time = sim.time;
+// The frame's look, shared by every backend (Canvas2D here, renderer-gl.js
+// and exportSVG) so they agree on what a frame shows.
 
-    ctx.save();
-    applyCamera(ctx, view, o.offset, o.rot);
-    ctx.lineCap = 'round';
+// How a layer's mesh is drawn, from its config.LAYERS entry.
+export function layerStyle(spec) {
+    return {
+        offset: spec.offset,
+        rot: spec.rot,
+        zoom: spec.zoom,
+        edgeRgb: spec.edgeRgb,
+        edgeAlpha: spec.edgeAlpha,
+        nodeAlpha: spec.nodeAlpha ?? 1,
+        nodeScale: spec.nodeScale ?? 1,
+        hover: !!spec.interactive,
+        ringScale: spec.ringScale ?? 1,
+        haloColor: spec.haloColor,
+        litScale: spec.litScale ?? 1,
+        // How the light passes go on: added, except on a light background.
+        blend: spec.backdrop && !config.BG_ADDITIVE ? 'source-over' : 'lighter',
+    };
+}
 
-    // Base mesh with a slow shimmer wave travelling across it. Edges are
-    // grouped into a few alpha buckets so strokes stay batched.
+// Slow shimmer wave across the mesh: sorts each edge into an alpha bucket.
+export function shimmerBuckets(net, time) {
     const B = config.SHIMMER_BUCKETS;
     const k = TAU / config.SHIMMER_WAVELENGTH;
     const phase = time * config.SHIMMER_SPEED * k;
@@ -171,59 +249,130 @@ function drawMesh(ctx, sim, view, o) {
         const s = (Math.sin(m * k - phase) + 1) / 2;
         e.bucket = Math.min(B - 1, Math.round(s * (B - 1)));
     }
+}
+
+export function bucketAlpha(o, bkt) {
+    const B = config.SHIMMER_BUCKETS;
+    return o.edgeAlpha * (1 + config.SHIMMER_DEPTH * ((bkt / (B - 1)) * 2 - 1));
+}
+
+// A node's opacity and radius this frame: twinkle, hub breathing and the
+// pointer's brightening (`p` is the pointer in layer space). Also records
+// the hover amount the halo pass reads. Returns a shared object.
+const look = { alpha: 0, radius: 0 };
+export function nodeLook(n, time, o, p, pointerStrength) {
+    const twinkle = 1 - config.TWINKLE_DEPTH * (0.5 + 0.5 * Math.sin(n.tw * time + n.twPhase));
+    let alpha = n.alpha * twinkle * o.nodeAlpha;
+    let radius = n.r * o.nodeScale;
+    if (n.deg >= config.HUB_DEGREE) {
+        radius += config.HUB_BREATH_AMP
+            * Math.sin(TAU * config.HUB_BREATH_FREQ * time + n.twPhase);
+    }
+    let hover = 0;
+    const hoverR = config.HOVER_RADIUS;
+    if (pointerStrength > 0.01) {
+        const dx = n.x - p.x, dy = n.y - p.y;
+        const d2 = dx * dx + dy * dy;
+        if (d2 < hoverR * hoverR) {
+            const falloff = 1 - Math.sqrt(d2) / hoverR;
+            hover = falloff * falloff * pointerStrength;
+            alpha = Math.min(1, alpha + hover * config.HOVER_NODE_BOOST);
+            radius += hover * config.HOVER_NODE_BOOST * 1.6;
+        }
+    }
+    n.hover = hover;
+    look.alpha = Math.min(1, alpha + n.lit * 0.6) * n.fade;
+    look.radius = Math.max(0.4, radius + n.lit * 0.8);
+    return look;
+}
+
+// Halo strength: hubs, recently routed nodes and nodes near the pointer.
+export function haloStrength(n) {
+    return Math.max(
+        n.deg >= config.HUB_DEGREE ? config.HUB_GLOW_ALPHA : 0,
+        n.lit * 0.5,
+        n.hover * 0.35);
+}
+
+// An arrival ring's radius and opacity this frame. Imploding rings (a
+// dying node's last breath) run from the outer radius inwards. Returns a
+// shared object; null while an echo ring is still waiting.
+const ringState = { radius: 0, alpha: 0 };
+export function ringLook(ring, o) {
+    if (ring.t < 0) return null;
+    const pr = Math.min(1, ring.t / config.RING_DURATION_S);
+    const grow = easeOutCubic(pr);
+    ringState.radius = (config.RING_RADIUS_FROM
+        + (config.RING_RADIUS_TO - config.RING_RADIUS_FROM) * (ring.implode ? 1 - grow : grow))
+        * o.nodeScale;
+    ringState.alpha = config.RING_ALPHA * (1 - pr) * (ring.alphaScale || 1) * o.ringScale;
+    return ringState;
+}
+
+function drawMesh(ctx, sim, view, o) {
+    const net = sim.net;
+    const time = sim.time;
+
+    ctx.save();
+    applyCamera(ctx, view, o.offset, o.rot, o.zoom);
+    ctx.lineCap = 'round';
+
+    // Base mesh with a slow shimmer wave travelling across it. Edges are
+    // grouped into a few alpha buckets so strokes stay batched.
+    const B = config.SHIMMER_BUCKETS;
+    shimmerBuckets(net, time);
+    ctx.lineWidth = config.EDGE_WIDTH;
     for (let bkt = 0; bkt < B; bkt++) {
         ctx.beginPath();
         let any = false;
         for (const e of net.edges) {
-            if (e.bucket !== bkt) continue;
+            if (e.bucket !== bkt || e.fade < 1) continue;
             const a = net.nodes[e.a], b = net.nodes[e.b];
             ctx.moveTo(a.x, a.y);
             ctx.lineTo(b.x, b.y);
             any = true;
         }
         if (!any) continue;
-        const wave = (bkt / (B - 1)) * 2 - 1;
-        ctx.strokeStyle = rgba(o.edgeRgb, o.edgeAlpha * (1 + config.SHIMMER_DEPTH * wave));
-        ctx.lineWidth = config.EDGE_WIDTH;
+        ctx.strokeStyle = rgba(o.edgeRgb, bucketAlpha(o, bkt));
+        ctx.stroke();
+    }
+    // The few edges crossfading after an incremental resize are stroked
+    // one by one: new edges fading in (those crossing a ghost wait below
+    // zero), removed ones (ghosts) fading out.
+    for (const e of net.edges) {
+        if (e.fade >= 1 || e.fade <= 0) continue;
+        const a = net.nodes[e.a], b = net.nodes[e.b];
+        ctx.beginPath();
+        ctx.moveTo(a.x, a.y);
+        ctx.lineTo(b.x, b.y);
+        ctx.strokeStyle = rgba(o.edgeRgb, bucketAlpha(o, e.bucket) * e.fade);
+        ctx.stroke();
+    }
+    for (const g of net.ghosts) {
+        ctx.beginPath();
+        ctx.moveTo(g.na.x, g.na.y);
+        ctx.lineTo(g.nb.x, g.nb.y);
+        ctx.strokeStyle = rgba(o.edgeRgb, o.edgeAlpha * g.fade);
         ctx.stroke();
     }
 
-    // Nodes, brightened near the pointer (main layer only).
+    // Nodes, brightened near the pointer (interactive layer only).
     const p = o.hover
-        ? screenToLayer(view, o.offset, o.rot, view.pointer.x, view.pointer.y)
+        ? screenToLayer(view, o.offset, o.rot, view.pointer.x, view.pointer.y, o.zoom)
         : null;
     const pointerStrength = o.hover ? view.pointer.strength : 0;
-    const hoverR = config.HOVER_RADIUS;
-    for (const n of net.nodes) {
-        const twinkle = 1 - config.TWINKLE_DEPTH * (0.5 + 0.5 * Math.sin(n.tw * time + n.twPhase));
-        let alpha = n.alpha * twinkle * o.nodeAlpha;
-        let radius = n.r * o.nodeScale;
-        if (n.deg >= config.HUB_DEGREE) {
-            radius += config.HUB_BREATH_AMP
-                * Math.sin(TAU * config.HUB_BREATH_FREQ * time + n.twPhase);
-        }
-        let hover = 0;
-        if (pointerStrength > 0.01) {
-            const dx = n.x - p.x, dy = n.y - p.y;
-            const d2 = dx * dx + dy * dy;
-            if (d2 < hoverR * hoverR) {
-                const falloff = 1 - Math.sqrt(d2) / hoverR;
-                hover = falloff * falloff * pointerStrength;
-                alpha = Math.min(1, alpha + hover * config.HOVER_NODE_BOOST);
-                radius += hover * config.HOVER_NODE_BOOST * 1.6;
-            }
-        }
-        n.hover = hover;
-        ctx.globalAlpha = Math.min(1, alpha + n.lit * 0.6);
+    for (const n of net.nodes.concat(net.ghostNodes)) {
+        const look = nodeLook(n, time, o, p, pointerStrength);
+        ctx.globalAlpha = look.alpha;
         ctx.fillStyle = n.colorStr;
         ctx.beginPath();
-        ctx.arc(n.x, n.y, Math.max(0.4, radius + n.lit * 0.8), 0, TAU);
+        ctx.arc(n.x, n.y, look.radius, 0, TAU);
         ctx.fill();
     }
     ctx.globalAlpha = 1;
 
     // Light passes are additive so overlapping glows blend nicely.
-    ctx.globalCompositeOperation = 'lighter';
+    ctx.globalCompositeOperation = o.blend;
 
     // Fading trails on recently travelled edges.
     for (const e of net.edges) {
@@ -246,13 +395,10 @@ function drawMesh(ctx, sim, view, o) {
     // Node halos: hubs, recently routed nodes and nodes near the pointer.
     const halo = haloSprite(o.haloColor);
     for (const n of net.nodes) {
-        const strength = Math.max(
-            n.deg >= config.HUB_DEGREE ? config.HUB_GLOW_ALPHA : 0,
-            n.lit * 0.5,
-            n.hover * 0.35);
+        const strength = haloStrength(n);
         if (strength < 0.02) continue;
         const size = (24 + n.r * 7) * o.nodeScale;
-        ctx.globalAlpha = strength * o.nodeAlpha;
+        ctx.globalAlpha = strength * o.nodeAlpha * n.fade;
         ctx.drawImage(halo, n.x - size / 2, n.y - size / 2, size, size);
     }
     ctx.globalAlpha = 1;
@@ -306,15 +452,11 @@ function drawMesh(ctx, sim, view, o) {
 
     // Expanding rings where a signal arrived (echo rings start delayed).
     for (const ring of sim.rings) {
-        if (ring.t < 0) continue;
-        const pr = Math.min(1, ring.t / config.RING_DURATION_S);
-        const radius = (config.RING_RADIUS_FROM
-            + (config.RING_RADIUS_TO - config.RING_RADIUS_FROM) * easeOutCubic(pr))
-            * o.nodeScale;
+        const r = ringLook(ring, o);
+        if (!r) continue;
         ctx.beginPath();
-        ctx.arc(ring.node.x, ring.node.y, radius, 0, TAU);
-        ctx.strokeStyle = hexToRgba(ring.color,
-            config.RING_ALPHA * (1 - pr) * (ring.alphaScale || 1) * o.ringScale);
+        ctx.arc(ring.node.x, ring.node.y, r.radius, 0, TAU);
+        ctx.strokeStyle = hexToRgba(ring.color, r.alpha);
         ctx.lineWidth = 1.6;
         ctx.stroke();
     }
@@ -323,53 +465,294 @@ function drawMesh(ctx, sim, view, o) {
     ctx.restore();
 }
 
-// The blurred far canvas: background gradient, dust, bokeh and the far mesh.
-export function renderDepth(ctx, sim, view) {
+// One layer's canvas (`spec` is its config.LAYERS entry): the background
+// gradient or a clear, far dust and bokeh, the mesh, foreground bokeh,
+// stars and the vignette, each where the layer has them.
+export function renderLayer(ctx, sim, view, spec) {
     const { w, h } = view;
-    const g = gradients(ctx, w, h);
-    ctx.fillStyle = g.lin;
-    ctx.fillRect(0, 0, w, h);
-    ctx.fillStyle = g.glow;
-    ctx.fillRect(0, 0, w, h);
+    if (spec.backdrop) {
+        const g = gradients(ctx, w, h);
+        ctx.fillStyle = g.lin;
+        ctx.fillRect(0, 0, w, h);
+        ctx.fillStyle = g.glow;
+        ctx.fillRect(0, 0, w, h);
+    } else {
+        ctx.clearRect(0, 0, w, h);
+    }
 
+    const o = layerStyle(spec);
     drawDust(ctx, sim.dust, sim.time, view);
-    drawBokeh(ctx, sim.bokeh, sim.time, view, config.OFFSET_DUST, 0);
-    drawMesh(ctx, sim, view, {
-        offset: config.OFFSET_DEPTH,
-        rot: config.ROT_DEPTH,
-        edgeRgb: config.DEPTH_EDGE_RGB,
-        edgeAlpha: config.DEPTH_EDGE_ALPHA,
-        nodeAlpha: config.DEPTH_NODE_ALPHA,
-        nodeScale: config.DEPTH_NODE_SCALE,
-        hover: false,
-        ringScale: config.DEPTH_RING_SCALE,
-        haloColor: config.DEPTH_HALO_COLOR,
-        litScale: config.DEPTH_LIT_SCALE,
-    });
+    drawBokeh(ctx, sim.bokeh, sim.time, view, config.OFFSET_DUST, 0, config.ZOOM_DUST, o.blend);
+    drawMesh(ctx, sim, view, o);
+    drawBokeh(ctx, sim.fgBokeh, sim.time, view, config.OFFSET_FG, spec.rot, config.ZOOM_FG,
+        o.blend);
+    drawStars(ctx, sim.stars, o.blend);
+
+    if (spec.vignette) {
+        // Soft vignette keeps the corners calm and the centre readable.
+        ctx.fillStyle = gradients(ctx, w, h).vig;
+        ctx.fillRect(0, 0, w, h);
+    }
 }
 
-// The sharp near canvas: main mesh, foreground bokeh and the vignette.
-export function renderMain(ctx, sim, view) {
+// --- SVG export -------------------------------------------------------------------
+
+// The overscan scale of blurred canvases in styles.css, which the SVG
+// reproduces with a transform; their CSS blur becomes a filter.
+const BLUR_CSS_SCALE = 1.05;
+
+const num = (v) => String(Math.round(v * 100) / 100);
+
+// A colour ('#rrggbb', 'rgb()' / 'rgba()' or an [r, g, b] array) as an
+// opaque SVG colour plus an opacity: print and design tools handle separate
+// opacities more reliably than rgba().
+function svgColor(color, alpha = 1) {
+    let rgb = color;
+    if (typeof color === 'string' && color[0] === '#') {
+        const v = parseInt(color.slice(1), 16);
+        rgb = [(v >> 16) & 255, (v >> 8) & 255, v & 255];
+    } else if (typeof color === 'string') {
+        const parts = color.slice(color.indexOf('(') + 1, color.indexOf(')')).split(',');
+        rgb = parts.slice(0, 3).map(Number);
+        if (parts.length > 3) alpha *= Number(parts[3]);
+    }
+    return { color: `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`, opacity: num(alpha) };
+}
+
+const fill = (color, alpha) => {
+    const c = svgColor(color, alpha);
+    return `fill="${c.color}" fill-opacity="${c.opacity}"`;
+};
+
+const stroke = (color, alpha, width) => {
+    const c = svgColor(color, alpha);
+    return `fill="none" stroke="${c.color}" stroke-opacity="${c.opacity}" stroke-width="${width}"`;
+};
+
+const stop = (offset, color, alpha) => {
+    const c = svgColor(color, alpha);
+    return `<stop offset="${num(offset)}" stop-color="${c.color}" stop-opacity="${c.opacity}"/>`;
+};
+
+function svgCamera(view, offsetFactor, rotFactor, zoomFactor = 1) {
+    const cam = layerCamera(view, offsetFactor, rotFactor, zoomFactor);
+    const rot = cam.rot * 180 / Math.PI;
+    const t = `translate(${num(cam.ox)} ${num(cam.oy)})`;
+    if (cam.k === 1) {
+        return t + (rot !== 0 ? ` rotate(${num(rot)} ${num(cam.cx)} ${num(cam.cy)})` : '');
+    }
+    return `${t} translate(${num(cam.ax - cam.ox)} ${num(cam.ay - cam.oy)})`
+        + (rot !== 0 ? ` rotate(${num(rot)})` : '')
+        + ` scale(${num(cam.k)}) translate(${num(-cam.cx)} ${num(-cam.cy)})`;
+}
+
+// Halo and signal-head sprites become radial gradients, one per colour.
+// Ids spell out the parsed channels, so no two colours can share one.
+function svgSprite(defs, kind, color) {
+    const { color: rgb, opacity } = svgColor(color);
+    const id = `${kind}-${rgb.match(/\d+/g).join('-')}-${Math.round(opacity * 100)}`;
+    if (!defs.has(id)) {
+        const stops = kind === 'head'
+            ? [stop(0, '#ffffff', 0.9), stop(0.25, color, 0.55), stop(1, color, 0)]
+            : [stop(0, color, 0.55), stop(1, color, 0)];
+        defs.set(id, `<radialGradient id="${id}">${stops.join('')}</radialGradient>`);
+    }
+    return `url(#${id})`;
+}
+
+const line = (a, b) => `M${num(a.x)} ${num(a.y)}L${num(b.x)} ${num(b.y)}`;
+
+// Additive ('lighter') elements blend with plus-lighter inside an isolated
+// group, like the light passes on their own canvas; a layer whose light
+// passes are not added (see layerStyle) puts them on top instead.
+const ADD = 'class="add"';
+
+function svgMesh(out, defs, sim, view, o) {
+    const net = sim.net;
+    const time = sim.time;
+    out.push(`<g transform="${svgCamera(view, o.offset, o.rot, o.zoom)}" stroke-linecap="round">`);
+
+    shimmerBuckets(net, time);
+    for (let bkt = 0; bkt < config.SHIMMER_BUCKETS; bkt++) {
+        const d = net.edges.filter(e => e.bucket === bkt && e.fade >= 1)
+            .map(e => line(net.nodes[e.a], net.nodes[e.b])).join('');
+        if (!d) continue;
+        out.push(`<path d="${d}" ${stroke(o.edgeRgb, bucketAlpha(o, bkt), config.EDGE_WIDTH)}/>`);
+    }
+    for (const e of net.edges) {
+        if (e.fade >= 1 || e.fade <= 0) continue;
+        out.push(`<path d="${line(net.nodes[e.a], net.nodes[e.b])}" `
+            + `${stroke(o.edgeRgb, bucketAlpha(o, e.bucket) * e.fade, config.EDGE_WIDTH)}/>`);
+    }
+    for (const g of net.ghosts) {
+        out.push(`<path d="${line(g.na, g.nb)}" `
+            + `${stroke(o.edgeRgb, o.edgeAlpha * g.fade, config.EDGE_WIDTH)}/>`);
+    }
+
+    const p = o.hover
+        ? screenToLayer(view, o.offset, o.rot, view.pointer.x, view.pointer.y, o.zoom)
+        : null;
+    const pointerStrength = o.hover ? view.pointer.strength : 0;
+    for (const n of net.nodes.concat(net.ghostNodes)) {
+        const look = nodeLook(n, time, o, p, pointerStrength);
+        out.push(`<circle cx="${num(n.x)}" cy="${num(n.y)}" r="${num(look.radius)}" `
+            + `${fill(n.colorStr, look.alpha)}/>`);
+    }
+
+    for (const e of net.edges) {
+        if (e.lit <= 0.02 || !e.color) continue;
+        const d = line(net.nodes[e.a], net.nodes[e.b]);
+        out.push(`<path ${ADD} d="${d}" ${stroke(e.color, 0.15 * e.lit * o.litScale, 3.4)}/>`);
+        out.push(`<path ${ADD} d="${d}" ${stroke(e.color, 0.7 * e.lit * o.litScale, 1.4)}/>`);
+    }
+
+    const halo = svgSprite(defs, 'halo', o.haloColor);
+    for (const n of net.nodes) {
+        const strength = haloStrength(n);
+        if (strength < 0.02) continue;
+        const size = (24 + n.r * 7) * o.nodeScale;
+        out.push(`<circle ${ADD} cx="${num(n.x)}" cy="${num(n.y)}" r="${num(size / 2)}" `
+            + `fill="${halo}" opacity="${num(strength * o.nodeAlpha * n.fade)}"/>`);
+    }
+
+    for (const s of sim.signals) {
+        const a = net.nodes[s.path[s.leg]];
+        const head = svgSprite(defs, 'head', s.color);
+        if (s.wait > 0) {
+            const charge = 1 - s.wait / config.SIGNAL_LAUNCH_DELAY_S;
+            const size = (10 + charge * 24) * o.nodeScale;
+            out.push(`<circle ${ADD} cx="${num(a.x)}" cy="${num(a.y)}" r="${num(size / 2)}" `
+                + `fill="${head}" opacity="${num(0.25 + 0.5 * charge)}"/>`);
+            continue;
+        }
+        const b = net.nodes[s.path[s.leg + 1]];
+        const tt = easedLeg(s.t);
+        const h = { x: a.x + (b.x - a.x) * tt, y: a.y + (b.y - a.y) * tt };
+        out.push(`<path ${ADD} d="${line(a, h)}" ${stroke(s.color, 0.7 * o.litScale, 1.4)}/>`);
+        out.push(`<circle ${ADD} cx="${num(h.x)}" cy="${num(h.y)}" r="${num(14 * o.nodeScale)}" `
+            + `fill="${head}" opacity="0.9"/>`);
+        out.push(`<circle ${ADD} cx="${num(h.x)}" cy="${num(h.y)}" r="${num(1.7 * o.nodeScale)}" `
+            + `${fill('#eaf6ff', 1)}/>`);
+    }
+
+    for (const spark of sim.sparks) {
+        const f = Math.min(1, spark.t / config.SPARK_DURATION_S);
+        const dist = config.SPARK_SPEED
+            * (1 - Math.exp(-config.SPARK_DECEL * spark.t)) / config.SPARK_DECEL;
+        const x = spark.node.x + Math.cos(spark.angle) * dist;
+        const y = spark.node.y + Math.sin(spark.angle) * dist;
+        out.push(`<circle ${ADD} cx="${num(x)}" cy="${num(y)}" r="${num(1.3 * o.nodeScale)}" `
+            + `${fill(spark.color, (1 - f) * (1 - f) * 0.9)}/>`);
+    }
+
+    for (const ring of sim.rings) {
+        const r = ringLook(ring, o);
+        if (!r) continue;
+        out.push(`<circle ${ADD} cx="${num(ring.node.x)}" cy="${num(ring.node.y)}" `
+            + `r="${num(r.radius)}" ${stroke(ring.color, r.alpha, 1.6)}/>`);
+    }
+
+    out.push('</g>');
+}
+
+function svgFloaters(out, defs, items, time, view, offsetFactor, rotFactor, zoomFactor) {
+    if (items.length === 0) return;
+    out.push(`<g transform="${svgCamera(view, offsetFactor, rotFactor, zoomFactor)}">`);
+    for (const f of items) {
+        const alpha = f.alpha * (0.75 + 0.25 * Math.sin(f.tw * time + f.twPhase));
+        out.push(`<circle ${ADD} cx="${num(f.x)}" cy="${num(f.y)}" r="${num(f.r)}" `
+            + `fill="${svgSprite(defs, 'halo', f.color || '#9fc1ff')}" opacity="${num(alpha)}"/>`);
+    }
+    out.push('</g>');
+}
+
+// The current frame as a standalone SVG document. `layers` are { spec,
+// sim } pairs, back to front like config.LAYERS: the background gradients,
+// each layer's particles and mesh with its light passes (a CSS blur
+// becomes an SVG filter) and the vignette. Needs no canvas, so it also
+// runs in workers and Node. The two-layer form from before LAYERS,
+// exportSVG(simMain, simDepth, view), still works: the sims are drawn as
+// the back layer and the interactive one.
+export function exportSVG(layers, view, ...rest) {
+    if (!Array.isArray(layers)) {
+        const back = config.LAYERS[0];
+        const front = config.LAYERS.find(l => l.interactive) || config.LAYERS.at(-1);
+        return exportSVG([{ spec: back, sim: view }, { spec: front, sim: layers }], rest[0]);
+    }
     const { w, h } = view;
-    ctx.clearRect(0, 0, w, h);
-
-    drawMesh(ctx, sim, view, {
-        offset: config.OFFSET_MAIN,
-        rot: config.ROT_MAIN,
-        edgeRgb: config.EDGE_RGB,
-        edgeAlpha: config.EDGE_ALPHA,
-        nodeAlpha: 1,
-        nodeScale: 1,
-        hover: true,
-        ringScale: 1,
-        haloColor: config.HALO_COLOR,
-        litScale: 1,
-    });
+    const defs = new Map();
+    const cx = w / 2, cy = h / 2;
+
+    defs.set('add', '<style>.add { mix-blend-mode: plus-lighter; }</style>');
+    defs.set('bg', `<linearGradient id="bg" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="0" `
+        + `y2="${num(h)}">${stop(0, config.BG_TOP, 1)}${stop(1, config.BG_BOTTOM, 1)}`
+        + '</linearGradient>');
+    defs.set('glow', `<radialGradient id="glow" gradientUnits="userSpaceOnUse" cx="${num(cx)}" `
+        + `cy="${num(h * 0.46)}" r="${num(Math.max(w, h) * 0.55)}">`
+        + `${stop(0, config.BG_CENTER_GLOW, 1)}${stop(1, '#000000', 0)}</radialGradient>`);
+    const vigR = Math.hypot(w, h) * 0.6;
+    defs.set('vignette', `<radialGradient id="vignette" gradientUnits="userSpaceOnUse" `
+        + `cx="${num(cx)}" cy="${num(cy)}" r="${num(vigR)}">`
+        + `${stop(Math.min(w, h) * 0.42 / vigR, '#000000', 0)}${stop(1, config.VIGNETTE, 1)}`
+        + '</radialGradient>');
+
+    const out = [];
+    for (const { spec, sim } of layers) {
+        const o = layerStyle(spec);
+        const body = [];
+        let group = 'style="isolation: isolate"';
+        if (o.blend !== 'lighter') {
+            defs.set('over', '<style>.over .add { mix-blend-mode: normal; }</style>');
+            group += ' class="over"';
+        }
+        if (spec.backdrop) {
+            body.push(`<rect width="${num(w)}" height="${num(h)}" fill="url(#bg)"/>`);
+            body.push(`<rect width="${num(w)}" height="${num(h)}" fill="url(#glow)"/>`);
+        }
+        if (sim.dust.length > 0) {
+            const camera = svgCamera(view, config.OFFSET_DUST, 0, config.ZOOM_DUST);
+            body.push(`<g transform="${camera}">`);
+            for (const d of sim.dust) {
+                const alpha = d.alpha * (0.7 + 0.3 * Math.sin(d.tw * sim.time + d.twPhase));
+                body.push(`<circle cx="${num(d.x)}" cy="${num(d.y)}" r="${num(d.r)}" `
+                    + `${fill(config.DUST_COLOR, alpha)}/>`);
+            }
+            body.push('</g>');
+        }
+        svgFloaters(body, defs, sim.bokeh, sim.time, view, config.OFFSET_DUST, 0,
+            config.ZOOM_DUST);
+        svgMesh(body, defs, sim, view, o);
+        svgFloaters(body, defs, sim.fgBokeh, sim.time, view, config.OFFSET_FG, spec.rot,
+            config.ZOOM_FG);
+        for (const s of sim.stars) {
+            if (!(s.fade > 0)) continue;
+            body.push(`<circle ${ADD} cx="${num(s.sx)}" cy="${num(s.sy)}" r="${num(s.size)}" `
+                + `${fill(s.color, s.alpha * s.fade)}/>`);
+        }
+        if (spec.vignette) {
+            body.push(`<rect width="${num(w)}" height="${num(h)}" fill="url(#vignette)"/>`);
+        }
 
-    drawBokeh(ctx, sim.fgBokeh, sim.time, view, config.OFFSET_FG, config.ROT_MAIN);
-    drawStars(ctx, sim.stars);
+        if (!spec.blur) {
+            out.push(`<g ${group}>`, ...body, '</g>');
+            continue;
+        }
+        const id = `blur-${spec.name}`;
+        defs.set(id, `<filter id="${id}" filterUnits="userSpaceOnUse" x="0" y="0" `
+            + `width="${num(w)}" height="${num(h)}">`
+            + `<feGaussianBlur stdDeviation="${num(spec.blur)}"/></filter>`);
+        out.push(`<g filter="url(#${id})" ${group}>`,
+            `<g transform="translate(${num(cx)} ${num(cy)}) scale(${BLUR_CSS_SCALE}) `
+                + `translate(${num(-cx)} ${num(-cy)})">`,
+            ...body, '</g>', '</g>');
+    }
 
-    // Soft vignette keeps the corners calm and the centre readable.
-    ctx.fillStyle = gradients(ctx, w, h).vig;
-    ctx.fillRect(0, 0, w, h);
+    return [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${num(w)}" height="${num(h)}" `
+            + `viewBox="0 0 ${num(w)} ${num(h)}">`,
+        `<defs>${[...defs.values()].join('')}</defs>`,
+        `<rect width="${num(w)}" height="${num(h)}" fill="${svgColor(config.BG_TOP).color}"/>`,
+        ...out,
+        '</svg>',
+    ].join('\n');
 }
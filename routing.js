@@ -0,0 +1,267 @@
+// routing.js
+// Routing strategies for signals, picked with SIGNAL_ROUTING.
+//
+// Every strategy starts at `from` and returns { path, edgeIdx } (node and
+// edge indices) or null. They share the rules of the original BFS: the
+// target must be on screen and SIGNAL_HOPS_MIN..MAX hops away, falling back
+// to any on-screen node at least two hops away when nothing is in range.
+// `ctx` carries the simulation's generator (`random`), the `onScreen(i)`
+// test and an optional `edgeOk(edge)` filter (used by shape tracing). Edges
+// that are fading out and dying nodes are never used. routeTo() finds the
+// fewest-hop detour to a given node, for signals whose route lost a node.
+
+import { config } from './config.js';
+
+// --- Helpers --------------------------------------------------------------------
+
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(value, key) {
+        const items = this.items;
+        items.push({ value, key });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].key <= items[i].key) break;
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const lastItem = items.pop();
+        if (items.length > 0) {
+            items[0] = lastItem;
+            let i = 0;
+            for (;;) {
+                const l = i * 2 + 1, r = l + 1;
+                let m = i;
+                if (l < items.length && items[l].key < items[m].key) m = l;
+                if (r < items.length && items[r].key < items[m].key) m = r;
+                if (m === i) break;
+                [items[m], items[i]] = [items[i], items[m]];
+                i = m;
+            }
+        }
+        return top.value;
+    }
+}
+
+// Edges fading out of a living topology, and dying nodes, take no new
+// signals.
+function usable(net, link, ctx) {
+    const e = net.edges[link.e];
+    return !e.dying && !net.nodes[link.n].dying && (!ctx.edgeOk || ctx.edgeOk(e));
+}
+
+// Walks the predecessor links back from `to` and resolves the edges.
+function tracePath(net, prev, from, to) {
+    const path = [to];
+    while (path[path.length - 1] !== from) {
+        path.push(prev[path[path.length - 1]]);
+    }
+    path.reverse();
+    return { path, edgeIdx: edgesAlong(net, path) };
+}
+
+function edgesAlong(net, path) {
+    const edgeIdx = [];
+    for (let i = 0; i < path.length - 1; i++) {
+        edgeIdx.push(net.adj[path[i]].find(l => l.n === path[i + 1]).e);
+    }
+    return edgeIdx;
+}
+
+// Targets whose hop count lies in the configured range, else any on-screen
+// node at least two hops away.
+function targets(net, hops, ctx) {
+    const candidates = [];
+    for (let i = 0; i < net.nodes.length; i++) {
+        if (hops[i] >= config.SIGNAL_HOPS_MIN && hops[i] <= config.SIGNAL_HOPS_MAX
+            && ctx.onScreen(i)) {
+            candidates.push(i);
+        }
+    }
+    if (candidates.length === 0) {
+        for (let i = 0; i < net.nodes.length; i++) {
+            if (hops[i] >= 2 && ctx.onScreen(i)) candidates.push(i);
+        }
+    }
+    return candidates;
+}
+
+function breadthFirst(net, from, ctx) {
+    const dist = new Int32Array(net.nodes.length).fill(-1);
+    const prev = new Int32Array(net.nodes.length).fill(-1);
+    const queue = [from];
+    dist[from] = 0;
+    for (let qi = 0; qi < queue.length; qi++) {
+        const u = queue[qi];
+        for (const link of net.adj[u]) {
+            if (dist[link.n] === -1 && usable(net, link, ctx)) {
+                dist[link.n] = dist[u] + 1;
+                prev[link.n] = u;
+                queue.push(link.n);
+            }
+        }
+    }
+    return { dist, prev };
+}
+
+// Dijkstra by Euclidean edge length. Tracks the hop count along each
+// shortest path too, and stops early once `to` is settled. Nodes and edges
+// in the `blocked` sets are skipped (for Yen's spur paths).
+function shortestPaths(net, from, ctx, to = -1, blockedNodes = null, blockedEdges = null) {
+    const n = net.nodes.length;
+    const cost = new Float64Array(n).fill(Infinity);
+    const hops = new Int32Array(n).fill(-1);
+    const prev = new Int32Array(n).fill(-1);
+    const done = new Uint8Array(n);
+    const heap = new MinHeap();
+    cost[from] = 0;
+    hops[from] = 0;
+    heap.push(from, 0);
+    while (heap.size > 0) {
+        const u = heap.pop();
+        if (done[u]) continue;
+        done[u] = 1;
+        if (u === to) break;
+        for (const link of net.adj[u]) {
+            if (done[link.n] || !usable(net, link, ctx)) continue;
+            if (blockedNodes && blockedNodes.has(link.n)) continue;
+            if (blockedEdges && blockedEdges.has(link.e)) continue;
+            const c = cost[u] + net.edges[link.e].len;
+            if (c < cost[link.n]) {
+                cost[link.n] = c;
+                hops[link.n] = hops[u] + 1;
+                prev[link.n] = u;
+                heap.push(link.n, c);
+            }
+        }
+    }
+    return { cost, hops, prev };
+}
+
+// --- Strategies -------------------------------------------------------------------
+
+// Fewest hops (the original behaviour).
+function bfs(net, from, ctx) {
+    const { dist, prev } = breadthFirst(net, from, ctx);
+    const candidates = targets(net, dist, ctx);
+    if (candidates.length === 0) return null;
+    return tracePath(net, prev, from, ctx.random.pick(candidates));
+}
+
+// Shortest on screen: straighter routes than fewest-hops, fewer zig-zags.
+function dijkstra(net, from, ctx) {
+    const { hops, prev } = shortestPaths(net, from, ctx);
+    const candidates = targets(net, hops, ctx);
+    if (candidates.length === 0) return null;
+    return tracePath(net, prev, from, ctx.random.pick(candidates));
+}
+
+// A self-avoiding random walk (so it never backtracks) of a random length in
+// the hop range. Dead ends and off-screen endings are retried a few times
+// before falling back to BFS.
+function walk(net, from, ctx) {
+    const { random } = ctx;
+    for (let attempt = 0; attempt < 8; attempt++) {
+        const want = config.SIGNAL_HOPS_MIN + Math.floor(
+            random.next() * (config.SIGNAL_HOPS_MAX - config.SIGNAL_HOPS_MIN + 1));
+        const path = [from];
+        const seen = new Set(path);
+        while (path.length - 1 < config.SIGNAL_HOPS_MAX) {
+            const here = path[path.length - 1];
+            if (path.length - 1 >= want && ctx.onScreen(here)) break;
+            const next = net.adj[here].filter(l => !seen.has(l.n) && usable(net, l, ctx));
+            if (next.length === 0) break;
+            const step = random.pick(next).n;
+            path.push(step);
+            seen.add(step);
+        }
+        const hops = path.length - 1;
+        if (hops >= config.SIGNAL_HOPS_MIN && ctx.onScreen(path[hops])) {
+            return { path, edgeIdx: edgesAlong(net, path) };
+        }
+    }
+    return bfs(net, from, ctx);
+}
+
+// Picks a target like BFS, then one of the ROUTE_K shortest simple paths to
+// it (Yen's algorithm, Euclidean lengths) at random. Detours longer than
+// SIGNAL_HOPS_MAX hops are skipped; if all of them are, the BFS route wins.
+function kshortest(net, from, ctx) {
+    const { dist, prev } = breadthFirst(net, from, ctx);
+    const candidates = targets(net, dist, ctx);
+    if (candidates.length === 0) return null;
+    const to = ctx.random.pick(candidates);
+    const maxHops = Math.max(config.SIGNAL_HOPS_MAX, dist[to]);
+
+    const spur = (start, blockedNodes, blockedEdges) => {
+        const sp = shortestPaths(net, start, ctx, to, blockedNodes, blockedEdges);
+        if (sp.cost[to] === Infinity) return null;
+        const { path, edgeIdx } = tracePath(net, sp.prev, start, to);
+        return { path, edgeIdx, cost: sp.cost[to] };
+    };
+    const first = spur(from, null, null);
+    if (!first) return null;
+    const found = [first];
+    const pending = [];
+    const keys = new Set([first.path.join()]);
+    while (found.length < config.ROUTE_K) {
+        const last = found[found.length - 1];
+        for (let i = 0; i < last.path.length - 1; i++) {
+            const root = last.path.slice(0, i + 1);
+            const rootKey = root.join();
+            const blockedEdges = new Set();
+            for (const p of found) {
+                if (p.path.length > i + 1 && p.path.slice(0, i + 1).join() === rootKey) {
+                    blockedEdges.add(p.edgeIdx[i]);
+                }
+            }
+            const tail = spur(root[i], new Set(root.slice(0, i)), blockedEdges);
+            if (!tail) continue;
+            const path = root.slice(0, i).concat(tail.path);
+            const key = path.join();
+            if (keys.has(key)) continue;
+            keys.add(key);
+            const edgeIdx = last.edgeIdx.slice(0, i).concat(tail.edgeIdx);
+            let cost = tail.cost;
+            for (let j = 0; j < i; j++) cost += net.edges[edgeIdx[j]].len;
+            pending.push({ path, edgeIdx, cost });
+        }
+        if (pending.length === 0) break;
+        pending.sort((p, q) => p.cost - q.cost);
+        found.push(pending.shift());
+    }
+    const choices = found.filter(p => p.path.length - 1 <= maxHops);
+    if (choices.length === 0) return tracePath(net, prev, from, to);
+    const { path, edgeIdx } = ctx.random.pick(choices);
+    return { path, edgeIdx };
+}
+
+export const ROUTERS = { bfs, dijkstra, walk, kshortest };
+
+// Fewest hops from `from` to `to`, or null when `to` is unreachable.
+export function routeTo(net, from, to, ctx = {}) {
+    const { dist, prev } = breadthFirst(net, from, ctx);
+    return dist[to] < 0 ? null : tracePath(net, prev, from, to);
+}
+
+export function route(name, net, from, ctx) {
+    const router = ROUTERS[name];
+    if (!router) {
+        throw new Error(`Unknown signal routing "${name}"; expected one of `
+            + Object.keys(ROUTERS).join(', '));
+    }
+    return router(net, from, ctx);
+}
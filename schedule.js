@@ -0,0 +1,226 @@
+// schedule.js
+// The looks of the 'schedule' theme, which follow the visitor's local time
+// and date: the part of the day (night, dawn, day, dusk) sets the
+// background and the nodes' lightness, the season the signal and bokeh
+// palettes and the nodes' hues, and a few holidays take the palettes over
+// for their dates. Between two looks every colour and number is
+// interpolated, so the engine re-applies the theme every
+// SCHEDULE_UPDATE_S and the colours drift without a visible step.
+
+import { config } from './config.js';
+
+// Each look holds from `from` to `to` (hours of the day, local time) and
+// blends into the next one in the gap. Night is config.js as written.
+export const DAYPARTS = [
+    { name: 'night', from: 22, to: 5, values: {} },
+    {
+        name: 'dawn', from: 6, to: 7.5,
+        values: {
+            BG_TOP: '#110d24',
+            BG_BOTTOM: '#33203d',
+            BG_CENTER_GLOW: 'rgba(255, 150, 120, 0.09)',
+            VIGNETTE: 'rgba(0, 0, 0, 0.34)',
+            NODE_HUE_LIGHT: 0.82,
+        },
+    },
+    {
+        name: 'day', from: 9.5, to: 16.5,
+        values: {
+            BG_TOP: '#0b1c36',
+            BG_BOTTOM: '#17375a',
+            BG_CENTER_GLOW: 'rgba(140, 200, 255, 0.1)',
+            VIGNETTE: 'rgba(0, 0, 0, 0.28)',
+            NODE_HUE_SAT: 0.6,
+            NODE_HUE_LIGHT: 0.84,
+        },
+    },
+    {
+        name: 'dusk', from: 18, to: 20,
+        values: {
+            BG_TOP: '#0c0a1e',
+            BG_BOTTOM: '#2b1530',
+            BG_CENTER_GLOW: 'rgba(255, 120, 90, 0.08)',
+            VIGNETTE: 'rgba(0, 0, 0, 0.4)',
+            NODE_HUE_LIGHT: 0.78,
+        },
+    },
+];
+
+// The same by date ('MM-DD', northern hemisphere; SCHEDULE_SOUTH shifts
+// them by half a year). Summer is config.js as written. Palettes keep
+// config.js's lengths, so signals and particles blend colour by colour.
+export const SEASONS = [
+    {
+        name: 'winter', from: '12-21', to: '02-10',
+        values: {
+            NODE_HUE_SAT: 0.4,
+            NODE_HUE_SHIFT: -40,
+            SIGNAL_COLORS: ['#bfe3ff', '#9fd0ff', '#7fb8ff', '#a9a4ff', '#d2b8ff',
+                '#e6f3ff', '#8ee6f0', '#b5c8ff', '#f0d9ff'],
+            BOKEH_COLORS: ['#cfe8ff', '#b8d8ff', '#a6c4ff', '#c4bcff', '#dccbff',
+                '#eef7ff', '#b2eef5', '#c8d6ff', '#f2e3ff'],
+        },
+    },
+    {
+        name: 'spring', from: '03-20', to: '05-10',
+        values: {
+            NODE_HUE_SHIFT: 30,
+            SIGNAL_COLORS: ['#ff8fb8', '#ffb3c7', '#ffe27a', '#9ef07a', '#5fe3a1',
+                '#7fe0ff', '#b3a6ff', '#ff9fe0', '#c8f57a'],
+            BOKEH_COLORS: ['#ffb8d0', '#ffd0dc', '#fff0a8', '#c4f5a8', '#98edc4',
+                '#aeeaff', '#cfc6ff', '#ffc2ea', '#dcf9a8'],
+        },
+    },
+    { name: 'summer', from: '06-21', to: '08-10', values: {} },
+    {
+        name: 'autumn', from: '09-22', to: '11-10',
+        values: {
+            NODE_HUE_SAT: 0.5,
+            NODE_HUE_SHIFT: -20,
+            SIGNAL_COLORS: ['#ff6b4a', '#ff9a3c', '#ffc94a', '#e8b04a', '#c7d65a',
+                '#ff7f6e', '#d98a5f', '#ffb36b', '#e86a8a'],
+            BOKEH_COLORS: ['#ff9c85', '#ffbe80', '#ffdc8a', '#f0cc8a', '#dbe595',
+                '#ffaea2', '#e8b195', '#ffcf9f', '#f2a0b5'],
+        },
+    },
+];
+
+// Dates ('MM-DD', both included) whose palettes win over the season's,
+// fading in and out over SCHEDULE_FADE_H. The first match wins.
+export const HOLIDAYS = [
+    {
+        name: 'valentine', from: '02-13', to: '02-14',
+        values: {
+            SIGNAL_COLORS: ['#ff4d8d', '#ff7aa8', '#ffa3c2', '#ff5e7a', '#ffc2d6',
+                '#e0457b', '#ff8fab', '#ffb3c6', '#ff6392'],
+        },
+    },
+    {
+        name: 'halloween', from: '10-29', to: '10-31',
+        values: {
+            SIGNAL_COLORS: ['#ff7a1a', '#a855f7', '#ffb020', '#7c3aed', '#ff9a3c',
+                '#c084fc', '#84cc16', '#f97316', '#9333ea'],
+            BOKEH_COLORS: ['#ffab6b', '#cfa0fa', '#ffcf70', '#ab8af2', '#ffbd80',
+                '#dab5fd', '#b5e06e', '#fbab73', '#bf85f2'],
+        },
+    },
+    {
+        name: 'winter holidays', from: '12-20', to: '01-01',
+        values: {
+            SIGNAL_COLORS: ['#ff4d5e', '#ffd166', '#3ddc84', '#ff8a5c', '#f5f5f5',
+                '#2ec27e', '#ffb347', '#e63946', '#a8e6a1'],
+            BOKEH_COLORS: ['#ff8a95', '#ffe0a3', '#8eeab5', '#ffb99c', '#ffffff',
+                '#7fd9ab', '#ffcf8f', '#f28b93', '#c9f0c4'],
+        },
+    },
+];
+
+// Every config key some look sets (themes.js restores them on leaving).
+export const SCHEDULED_KEYS = [...new Set([...DAYPARTS, ...SEASONS, ...HOLIDAYS]
+    .flatMap(look => Object.keys(look.values)))];
+
+const HOUR_MS = 3600 * 1000;
+const HEX = /^#[0-9a-f]{6}$/i;
+const RGBA = /^rgba?\(/;
+
+const mod = (v, n) => ((v % n) + n) % n;
+
+// [r, g, b, a] of a '#rrggbb' or 'rgba(...)' colour, or null.
+function channels(color) {
+    if (HEX.test(color)) {
+        return [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16)).concat(1);
+    }
+    if (!RGBA.test(color)) return null;
+    const [r, g, b, a = 1] = color.match(/[\d.]+/g).map(Number);
+    return [r, g, b, a];
+}
+
+// `a` turned `f` of the way into `b`: numbers and colours (hex stays hex)
+// are interpolated, lists of the same length entry by entry; anything else
+// switches halfway.
+export function mix(a, b, f) {
+    if (f <= 0 || a === b) return a;
+    if (f >= 1) return b;
+    if (typeof a === 'number' && typeof b === 'number') return a + (b - a) * f;
+    if (Array.isArray(a) && Array.isArray(b) && a.length === b.length) {
+        return a.map((v, i) => mix(v, b[i], f));
+    }
+    const p = typeof a === 'string' && channels(a);
+    const q = typeof b === 'string' && channels(b);
+    if (!p || !q) return f < 0.5 ? a : b;
+    const c = p.map((v, i) => v + (q[i] - v) * f);
+    if (HEX.test(a) && HEX.test(b)) {
+        return `#${c.slice(0, 3).map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+    }
+    const [r, g, bl] = c.map(Math.round);
+    return `rgba(${r}, ${g}, ${bl}, ${Number(c[3].toFixed(3))})`;
+}
+
+// Two looks' values mixed; keys only one of them sets come from `base`.
+function blend(a, b, f, base) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return Object.fromEntries([...keys].map(k => [k, mix(a[k] ?? base[k], b[k] ?? base[k], f)]));
+}
+
+// The values at `t` on a cycle of `period` (hours of a day, days of a
+// year) through `looks`, in order, each held from `from` to `to`.
+function along(looks, t, period, base) {
+    for (let i = 0; i < looks.length; i++) {
+        const look = looks[i];
+        const next = looks[(i + 1) % looks.length];
+        if (mod(t - look.from, period) <= mod(look.to - look.from, period)) return look.values;
+        const gap = mod(next.from - look.to, period);
+        const since = mod(t - look.to, period);
+        if (since < gap) return blend(look.values, next.values, since / gap, base);
+    }
+    return looks[0].values;
+}
+
+// 'MM-DD' in `year` as a local Date.
+function onDay(year, monthDay, extraDays = 0) {
+    const [month, day] = monthDay.split('-').map(Number);
+    return new Date(year, month - 1, day + extraDays);
+}
+
+// How much of a holiday shows at `date`: 0 outside its dates, 1 once it
+// has faded in.
+function holidayWeight({ from, to }, date) {
+    const fade = Math.max(1, config.SCHEDULE_FADE_H * HOUR_MS);
+    const wraps = to < from; // e.g. '12-20' to '01-01'
+    for (const year of [date.getFullYear() - 1, date.getFullYear()]) {
+        const start = onDay(year, from);
+        const end = onDay(wraps ? year + 1 : year, to, 1);
+        if (date >= start && date < end) {
+            return Math.min(1, (date - start) / fade, (end - date) / fade);
+        }
+    }
+    return 0;
+}
+
+// The theme's values at `date`: the part of the day, then the season and a
+// holiday over it. Keys a look leaves out blend from `base` (the values
+// config.js set), or from the part of the day where it sets them.
+export function scheduledLook(date, base) {
+    const hour = date.getHours() + date.getMinutes() / 60 + date.getSeconds() / 3600;
+    const daypart = along(DAYPARTS, hour, 24, base);
+    const under = { ...base, ...daypart };
+
+    const year = date.getFullYear();
+    const dayOf = (d) => (d - onDay(year, '01-01')) / (24 * HOUR_MS);
+    const days = Math.round(dayOf(onDay(year + 1, '01-01')));
+    const shift = config.SCHEDULE_SOUTH ? days / 2 : 0;
+    const seasons = SEASONS.map(s => ({
+        ...s, from: dayOf(onDay(year, s.from)), to: dayOf(onDay(year, s.to)),
+    }));
+    const season = along(seasons, mod(dayOf(date) + shift, days), days, under);
+    const values = { ...daypart, ...season };
+
+    const holiday = HOLIDAYS.find(h => holidayWeight(h, date) > 0);
+    if (holiday) {
+        const w = holidayWeight(holiday, date);
+        for (const [k, v] of Object.entries(holiday.values)) {
+            values[k] = mix(values[k] ?? under[k], v, w);
+        }
+    }
+    return values;
+}
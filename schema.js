@@ -0,0 +1,390 @@
+// schema.js
+// What a coherent config is: the type and range of every setting, the
+// rules between settings (each _MIN no larger than its _MAX, the hard
+// signal cap above every layer's limit, …) and the shape of the LAYERS
+// entries. validateConfig() lists every problem as a sentence naming the
+// setting; checkConfig() throws them all at once. script.js checks the
+// shipped config at startup, params.js every URL or ?tune override and
+// themes.js every preset it writes.
+
+import { config } from './config.js';
+import { LAYOUTS } from './layouts.js';
+import { ROUTERS } from './routing.js';
+
+// Each check returns why a value does not fit, or null.
+
+const show = (v) => (typeof v === 'string' ? `"${v}"` : JSON.stringify(v) ?? String(v));
+
+function number(min = -Infinity, max = Infinity) {
+    return (v) => {
+        if (typeof v !== 'number' || !Number.isFinite(v)) return `must be a number, got ${show(v)}`;
+        if (v < min) return `must be at least ${min}, got ${v}`;
+        if (v > max) return `must be at most ${max}, got ${v}`;
+        return null;
+    };
+}
+
+const any = number();
+const atLeast = (min) => number(min);
+const fraction = number(0, 1);
+
+const positive = (v) => any(v) ?? (v > 0 ? null : `must be above 0, got ${v}`);
+
+const whole = (min) => (v) => atLeast(min)(v)
+    ?? (Number.isInteger(v) ? null : `must be a whole number, got ${v}`);
+
+const bool = (v) => (typeof v === 'boolean' ? null : `must be true or false, got ${show(v)}`);
+const text = (v) => (typeof v === 'string' ? null : `must be a string, got ${show(v)}`);
+
+const oneOf = (values) => (v) => (values.includes(v)
+    ? null : `must be one of ${values.join(', ')}, got ${show(v)}`);
+
+// The renderers parse '#rrggbb' by hand (hexToRgba and friends), so short
+// or named colours would come out wrong rather than fail.
+const HEX = /^#[0-9a-f]{6}$/i;
+const hex = (v) => (typeof v === 'string' && HEX.test(v)
+    ? null : `must be a '#rrggbb' colour, got ${show(v)}`);
+
+// Gradient stops: '#rrggbb' or 'rgb(...)' / 'rgba(...)'.
+const RGBA = /^rgba?\(\s*[\d.]+\s*,\s*[\d.]+\s*,\s*[\d.]+\s*(,\s*[\d.]+\s*)?\)$/;
+const cssColor = (v) => (typeof v === 'string' && (HEX.test(v) || RGBA.test(v))
+    ? null : `must be a '#rrggbb' or 'rgba(r, g, b, a)' colour, got ${show(v)}`);
+
+function list(each, length = null) {
+    return (v) => {
+        if (!Array.isArray(v) || v.length === 0) return `must be a non-empty list, got ${show(v)}`;
+        if (length !== null && v.length !== length) {
+            return `must have ${length} entries, got ${v.length}`;
+        }
+        for (let i = 0; i < v.length; i++) {
+            const problem = each(v[i]);
+            if (problem) return `[${i}] ${problem}`;
+        }
+        return null;
+    };
+}
+
+const palette = list(hex);
+const rgb = list(number(0, 255), 3);
+
+const seed = (v) => (v === null || typeof v === 'string' || Number.isFinite(v)
+    ? null : `must be null, a number or a string, got ${show(v)}`);
+
+// Every config key, in config.js order (LAYERS is checked entry by entry).
+const SCHEMA = {
+    // Layout
+    SPACING_AREA_DIVISOR: positive,
+    SPACING_MIN: positive,
+    SPACING_MAX: positive,
+    LAYOUT: oneOf(Object.keys(LAYOUTS)),
+    JITTER: fraction,
+    POISSON_MIN_DIST: fraction,
+    LATTICE_JITTER: fraction,
+    EXTRA_EDGE_KEEP: fraction,
+    LONG_EDGE_FACTOR: positive,
+    RESIZE_INCREMENTAL: bool,
+    RESIZE_SPACING_TOLERANCE: atLeast(1),
+    RESIZE_FADE_S: atLeast(0),
+    // Shape mask
+    MASK_TEXT: text,
+    MASK_FONT: text,
+    MASK_PATH: text,
+    MASK_VIEWBOX: list(any, 4),
+    MASK_SIZE: positive,
+    MASK_INNER_SPACING: positive,
+    MASK_OUTLINE_KEEP: fraction,
+    MASK_SIGNAL_CHANCE: fraction,
+    // Node drift: a node and the ends of an edge drift at once, so with
+    // DRIFT_SAFETY at 1/2 or more they could use up the whole clearance
+    // between them and edges could cross (see measureRooms in network.js).
+    DRIFT_MAX_FRAC: fraction,
+    DRIFT_SAFETY: (v) => fraction(v)
+        ?? (v < 0.5 ? null : `must be below 0.5 to keep edges from crossing, got ${v}`),
+    DRIFT_FREQ_MIN: atLeast(0),
+    DRIFT_FREQ_MAX: atLeast(0),
+    // Living topology, node life
+    REWIRE_INTERVAL_S: atLeast(0),
+    REWIRE_FADE_S: positive,
+    LIFE_INTERVAL_S: atLeast(0),
+    LIFE_FADE_S: positive,
+    LIFE_BIRTH_GAP: positive,
+    // Colours
+    THEME: text, // themes.js falls back to 'dark' for unknown names
+    BG_TOP: cssColor,
+    BG_BOTTOM: cssColor,
+    BG_CENTER_GLOW: cssColor,
+    VIGNETTE: cssColor,
+    BG_ADDITIVE: bool,
+    EDGE_WIDTH: positive,
+    NODE_ALPHA_MIN: fraction,
+    NODE_ALPHA_MAX: fraction,
+    NODE_RADIUS_MIN: positive,
+    NODE_RADIUS_MAX: positive,
+    NODE_HUE_SPAN: number(0, 360),
+    NODE_HUE_JITTER: number(0, 180),
+    NODE_HUE_SHIFT: number(-360, 360),
+    NODE_HUE_SAT: fraction,
+    NODE_HUE_LIGHT: fraction,
+    NODE_GREY_LIGHT_MIN: fraction,
+    NODE_GREY_LIGHT_MAX: fraction,
+    HUB_DEGREE: whole(1),
+    HUB_GLOW_ALPHA: fraction,
+    HUB_BREATH_AMP: atLeast(0),
+    HUB_BREATH_FREQ: atLeast(0),
+    // Schedule
+    SCHEDULE_UPDATE_S: positive,
+    SCHEDULE_FADE_H: number(0, 24),
+    SCHEDULE_SOUTH: bool,
+    // Twinkle, edge shimmer
+    TWINKLE_FREQ_MIN: atLeast(0),
+    TWINKLE_FREQ_MAX: atLeast(0),
+    TWINKLE_DEPTH: fraction,
+    SHIMMER_DEPTH: fraction,
+    SHIMMER_WAVELENGTH: positive,
+    SHIMMER_SPEED: any,
+    SHIMMER_BUCKETS: whole(2),
+    // Signals
+    SIGNAL_MAX: whole(0),
+    SIGNAL_ROUTING: oneOf(Object.keys(ROUTERS)),
+    ROUTE_K: whole(1),
+    SIGNAL_SPAWN_MIN_S: positive,
+    SIGNAL_SPAWN_MAX_S: positive,
+    SIGNAL_SPEED_MIN: positive,
+    SIGNAL_SPEED_MAX: positive,
+    SIGNAL_HOPS_MIN: whole(1),
+    SIGNAL_HOPS_MAX: whole(1),
+    SIGNAL_COLORS: palette,
+    SIGNAL_LAUNCH_DELAY_S: atLeast(0),
+    SIGNAL_EASE: fraction,
+    SIGNAL_HARD_CAP: whole(0),
+    CASCADE_CHANCE: fraction,
+    CASCADE_MAX_GEN: whole(0),
+    EDGE_LIT_DECAY_S: positive,
+    NODE_LIT_DECAY_S: positive,
+    // Arrival effects
+    RING_DURATION_S: positive,
+    RING_RADIUS_FROM: atLeast(0),
+    RING_RADIUS_TO: atLeast(0),
+    RING_ALPHA: fraction,
+    RING_ECHO_DELAY_S: atLeast(0),
+    RING_ECHO_ALPHA_SCALE: fraction,
+    SPARK_COUNT: whole(0),
+    SPARK_SPEED: atLeast(0),
+    SPARK_DECEL: atLeast(0),
+    SPARK_DURATION_S: positive,
+    // Dust, bokeh, stars
+    DUST_AREA_PER_PARTICLE: positive,
+    DUST_COLOR: rgb,
+    DUST_SPEED_MIN: atLeast(0),
+    DUST_SPEED_MAX: atLeast(0),
+    BOKEH_AREA_PER: positive,
+    BOKEH_COLORS: palette,
+    BOKEH_R_MIN: positive,
+    BOKEH_R_MAX: positive,
+    BOKEH_ALPHA_MIN: fraction,
+    BOKEH_ALPHA_MAX: fraction,
+    BOKEH_DRIFT: atLeast(0),
+    FG_BOKEH_COUNT: whole(0),
+    FG_BOKEH_R_MIN: positive,
+    FG_BOKEH_R_MAX: positive,
+    FG_BOKEH_ALPHA_MIN: fraction,
+    FG_BOKEH_ALPHA_MAX: fraction,
+    STAR_AREA_PER: positive,
+    STAR_MAX: whole(0),
+    STAR_SPEED_MIN: atLeast(0),
+    STAR_SPEED_MAX: atLeast(0),
+    STAR_R_MIN: positive,
+    STAR_R_MAX: positive,
+    STAR_ALPHA_MIN: fraction,
+    STAR_ALPHA_MAX: fraction,
+    STAR_COLORS: palette,
+    LAYERS: (v) => (Array.isArray(v) && v.length > 0 ? null : 'must list at least one layer'),
+    // Camera
+    PARALLAX_PX: atLeast(0),
+    PARALLAX_EASE: positive,
+    SWAY_AMP: atLeast(0),
+    SWAY_FREQ: atLeast(0),
+    ROT_SPEED_DEG_S: any,
+    OFFSET_DUST: any,
+    OFFSET_FG: any,
+    ZOOM_MIN: (v) => positive(v) ?? number(0, 1)(v), // the rest zoom (1) must be in range
+    ZOOM_MAX: atLeast(1),
+    ZOOM_DUST: any,
+    ZOOM_FG: any,
+    ZOOM_BREATH_AMP: number(0, 0.5),
+    ZOOM_BREATH_FREQ: atLeast(0),
+    ZOOM_EASE: positive,
+    // Pointer, touch, keyboard
+    HOVER_RADIUS: atLeast(0),
+    HOVER_NODE_BOOST: atLeast(0),
+    CLICK_RADIUS: atLeast(0),
+    CLICK_BURST: whole(0),
+    DRAG_MIN_PX: atLeast(0),
+    DRAG_SAMPLE_PX: positive,
+    POINTER_FORCE: any,
+    POINTER_RADIUS: positive,
+    POINTER_STIFFNESS: atLeast(0),
+    POINTER_DAMPING: atLeast(0),
+    POINTER_MAX_FRAC: fraction,
+    TOUCH_RELEASE_EASE: positive,
+    KEY_NUDGE_PX: atLeast(0),
+    KEY_NUDGE_MAX_PX: number(0, 30), // the layers' spare margin beyond parallax and sway
+    // Sound
+    SOUND: bool,
+    SOUND_VOLUME: fraction,
+    SOUND_ROOT_HZ: positive,
+    SOUND_SCALE: list(any),
+    SOUND_ATTACK_S: atLeast(0),
+    SOUND_NOTE_S: positive,
+    SOUND_HOP_GAIN: atLeast(0),
+    SOUND_PAN_WIDTH: fraction,
+    SOUND_CHORD_STRUM_S: atLeast(0),
+    // Rendering
+    MAX_DPR: positive,
+    RENDERER: oneOf(['canvas2d', 'webgl']),
+    RENDER_IN_WORKER: bool,
+    SESSION_SNAPSHOT: bool,
+    SNAPSHOT_INTERVAL_S: positive,
+    SEED: seed,
+};
+
+// The keys a config.LAYERS entry may have (see the comment above LAYERS).
+const LAYER_SCHEMA = {
+    name: (v) => (typeof v === 'string' && v !== '' ? null : `must be a name, got ${show(v)}`),
+    offset: any,
+    rot: any,
+    zoom: any,
+    blur: atLeast(0),
+    resScale: positive,
+    redrawEvery: whole(1),
+    backdrop: bool,
+    vignette: bool,
+    interactive: bool,
+    mask: bool,
+    spacingScale: positive,
+    mono: bool,
+    palette,
+    signalMax: whole(0),
+    spawnMin: positive,
+    spawnMax: positive,
+    speedScale: positive,
+    dust: bool,
+    bokeh: bool,
+    fgBokeh: bool,
+    stars: bool,
+    bokehColors: palette,
+    bokehAlphaScale: atLeast(0),
+    edgeRgb: rgb,
+    edgeAlpha: fraction,
+    nodeScale: positive,
+    nodeAlpha: fraction,
+    haloColor: hex,
+    litScale: atLeast(0),
+    ringScale: atLeast(0),
+    soundGain: atLeast(0),
+};
+const LAYER_REQUIRED = ['name', 'offset', 'rot', 'zoom', 'edgeRgb', 'edgeAlpha', 'haloColor'];
+
+// `a` must not exceed `b`; both are checked keys of the same object.
+const atMost = (a, b) => (c) => (c[a] <= c[b]
+    ? null : `${a} (${c[a]}) must not exceed ${b} (${c[b]})`);
+const pair = (a, b) => ({ keys: [a, b], test: atMost(a, b) });
+
+// A problem as a sentence: 'SIGNAL_COLORS[2] must …', 'JITTER must …'.
+const named = (name, problem) => (problem.startsWith('[') ? name : `${name} `) + problem;
+
+// Rules between settings, each with the keys it reads: every _MIN key
+// with a matching _MAX key, plus the ones below.
+const RULES = [
+    ...Object.keys(SCHEMA)
+        .filter(k => k.includes('_MIN') && Object.hasOwn(SCHEMA, k.replace('_MIN', '_MAX')))
+        .map(k => pair(k, k.replace('_MIN', '_MAX'))),
+    pair('SIGNAL_MAX', 'SIGNAL_HARD_CAP'),
+    pair('KEY_NUDGE_PX', 'KEY_NUDGE_MAX_PX'),
+    pair('RING_RADIUS_FROM', 'RING_RADIUS_TO'),
+];
+
+function validateLayers(layers, cap, problems) {
+    const names = new Set();
+    let interactive = 0;
+    layers.forEach((layer, i) => {
+        if (!layer || typeof layer !== 'object') {
+            problems.push(`LAYERS[${i}] must be an object, got ${show(layer)}`);
+            return;
+        }
+        const at = typeof layer.name === 'string' && layer.name
+            ? `LAYERS.${layer.name}` : `LAYERS[${i}]`;
+        const bad = new Set();
+        for (const key of LAYER_REQUIRED) {
+            if (layer[key] === undefined) {
+                problems.push(`${at}.${key} is missing`);
+                bad.add(key);
+            }
+        }
+        for (const [key, v] of Object.entries(layer)) {
+            if (!Object.hasOwn(LAYER_SCHEMA, key)) {
+                problems.push(`${at}.${key} is not a layer setting`);
+            } else if (v !== undefined) {
+                const problem = LAYER_SCHEMA[key](v);
+                if (problem) {
+                    problems.push(named(`${at}.${key}`, problem));
+                    bad.add(key);
+                }
+            }
+        }
+        if (names.has(layer.name)) problems.push(`${at} is listed twice (names must be unique)`);
+        names.add(layer.name);
+        if (layer.interactive) interactive++;
+        if (!bad.has('spawnMin') && !bad.has('spawnMax')
+            && layer.spawnMin !== undefined && layer.spawnMax !== undefined) {
+            const problem = atMost('spawnMin', 'spawnMax')(layer);
+            if (problem) problems.push(`${at}: ${problem}`);
+        }
+        if (cap !== null && !bad.has('signalMax') && layer.signalMax > cap) {
+            problems.push(`${at}.signalMax (${layer.signalMax}) must not exceed `
+                + `SIGNAL_HARD_CAP (${cap})`);
+        }
+    });
+    if (interactive > 1) problems.push(`LAYERS may have one interactive layer, got ${interactive}`);
+}
+
+// Every problem with `cfg` (config by default), as readable sentences;
+// empty when it is coherent.
+export function validateConfig(cfg = config) {
+    const problems = [];
+    const bad = new Set();
+    for (const [key, check] of Object.entries(SCHEMA)) {
+        if (!Object.hasOwn(cfg, key)) {
+            problems.push(`${key} is missing`);
+            bad.add(key);
+            continue;
+        }
+        const problem = check(cfg[key]);
+        if (problem) {
+            problems.push(named(key, problem));
+            bad.add(key);
+        }
+    }
+    for (const key of Object.keys(cfg)) {
+        if (!Object.hasOwn(SCHEMA, key)) problems.push(`${key} is not a setting`);
+    }
+    for (const { keys, test } of RULES) {
+        if (keys.some(k => bad.has(k))) continue;
+        const problem = test(cfg);
+        if (problem) problems.push(problem);
+    }
+    if (!bad.has('LAYERS')) {
+        validateLayers(cfg.LAYERS, bad.has('SIGNAL_HARD_CAP') ? null : cfg.SIGNAL_HARD_CAP,
+            problems);
+    }
+    return problems;
+}
+
+// Throws one error listing every problem with `cfg`; `source` says where
+// the values came from ("config.js", "the light theme", …).
+export function checkConfig(cfg = config, source = 'config') {
+    const problems = validateConfig(cfg);
+    if (problems.length > 0) {
+        throw new Error(`Invalid ${source}:\n  ${problems.join('\n  ')}`);
+    }
+}
@@ -1,199 +1,453 @@
 // script.js
-// Bootstraps the background simulation: two canvases (blurred depth layer
-// behind a sharp main layer), camera sway/rotation, pointer tracking, click
-// bursts, the animation loop and reduced-motion handling.
+// Bootstraps the background: one canvas per config.LAYERS entry (by
+// default a blurred depth layer behind a sharp main layer) driven by the
+// engine, plus the page-side input: pointer tracking, click bursts and
+// drawn routes, button-hover flares, resizes, reduced-motion changes, the
+// theme presets and the opt-in sound toggle. With RENDER_IN_WORKER the
+// engine runs in worker.js on transferred OffscreenCanvases and these
+// calls become messages (worker-engine.js); without OffscreenCanvas or
+// module workers, or when the worker fails, it runs on the main thread.
+// With SESSION_SNAPSHOT a reload within the tab resumes the same meshes.
+// URL parameters override config (params.js); ?tune opens the live
+// tuning panel (tune.js).
 
+import { Sonifier } from './audio.js';
 import { config } from './config.js';
-import { Simulation } from './network.js';
-import { renderDepth, renderMain, screenToLayer } from './renderer.js';
+import { Engine, ENGINE_METHODS } from './engine.js';
+import {
+    applyOverrides, changedSettings, readFlags, readOverrides, settingsQuery,
+} from './params.js';
+import { checkConfig } from './schema.js';
+import { applyTheme, THEME_CHOICES } from './themes.js';
+import { workerEngine } from './worker-engine.js';
 
-const mainCanvas = document.getElementById('background-canvas');
-const depthCanvas = document.getElementById('background-canvas-depth');
-const mainCtx = mainCanvas.getContext('2d');
-const depthCtx = depthCanvas.getContext('2d');
+// A broken config.js stops here, with every problem listed; URL overrides
+// come next, so everything below sees them.
+checkConfig(config, 'config.js');
+const overrides = readOverrides(location.search, location.hash);
+for (const problem of overrides.problems) console.warn(`URL setting ignored: ${problem}`);
+for (const problem of applyOverrides(overrides.values)) console.warn(`URL setting ${problem}`);
+const urlConfigured = Object.keys(overrides.values).length > 0;
+
+// Back to front, so each canvas paints over the ones before it.
+const canvases = config.LAYERS.map((spec) => {
+    const canvas = document.createElement('canvas');
+    canvas.className = 'background-layer';
+    canvas.dataset.layer = spec.name;
+    if (spec.blur) {
+        canvas.classList.add('is-blurred');
+        canvas.style.filter = `blur(${spec.blur}px)`;
+    }
+    document.getElementById('background-layers').append(canvas);
+    return canvas;
+});
 const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
 
-const view = {
-    w: 0,
-    h: 0,
-    dpr: 1,
-    pointer: { x: 0, y: 0, strength: 0, targetStrength: 0 },
-    parallax: { x: 0, y: 0, tx: 0, ty: 0 },
-    offset: { x: 0, y: 0 },  // combined parallax + sway, in px
-    rot: 0,                  // camera rotation, radians
-};
+const SNAPSHOT_KEY = 'background-snapshot';
 
-let simMain = null;
-let simDepth = null;
-let rafId = null;
-let rebuildTimer = 0;
-let elapsed = 0;
-
-function fitCanvases() {
-    view.w = mainCanvas.clientWidth;
-    view.h = mainCanvas.clientHeight;
-    view.dpr = Math.min(window.devicePixelRatio || 1, config.MAX_DPR);
-    mainCanvas.width = Math.round(view.w * view.dpr);
-    mainCanvas.height = Math.round(view.h * view.dpr);
-    mainCtx.setTransform(view.dpr, 0, 0, view.dpr, 0, 0);
-    // The depth canvas renders at reduced resolution; CSS blur hides it.
-    const ds = config.DEPTH_RES_SCALE;
-    depthCanvas.width = Math.max(1, Math.round(view.w * ds));
-    depthCanvas.height = Math.max(1, Math.round(view.h * ds));
-    depthCtx.setTransform(ds, 0, 0, ds, 0, 0);
-}
-
-function renderBoth() {
-    renderDepth(depthCtx, simDepth, view);
-    renderMain(mainCtx, simMain, view);
-}
-
-function rebuild() {
-    fitCanvases();
-    if (simMain) {
-        simMain.rebuild(view.w, view.h);
-        simDepth.rebuild(view.w, view.h);
-    } else {
-        simMain = new Simulation(view.w, view.h, {
-            rotFactor: config.ROT_MAIN,
-            fgBokeh: true,
-            stars: true,
-        });
-        simDepth = new Simulation(view.w, view.h, {
-            spacingScale: config.DEPTH_SPACING_SCALE,
-            rotFactor: config.ROT_DEPTH,
-            signalMax: config.DEPTH_SIGNAL_MAX,
-            spawnMin: config.DEPTH_SPAWN_MIN_S,
-            spawnMax: config.DEPTH_SPAWN_MAX_S,
-            speedScale: config.DEPTH_SPEED_SCALE,
-            mono: true,
-            palette: config.DEPTH_SIGNAL_COLORS,
-            bokehColors: config.DEPTH_BOKEH_COLORS,
-            bokehAlphaScale: config.DEPTH_BOKEH_ALPHA_SCALE,
-            dust: true,
-            bokeh: true,
+// sessionStorage throws in some privacy modes and when the quota is full;
+// the snapshot is a nicety, so both just give up quietly.
+// A link with settings shows what it says, not the tab's previous meshes.
+function loadSnapshot() {
+    if (!config.SESSION_SNAPSHOT || urlConfigured) return null;
+    try {
+        return JSON.parse(sessionStorage.getItem(SNAPSHOT_KEY));
+    } catch {
+        return null;
+    }
+}
+
+function saveSnapshot(data) {
+    if (!data) return;
+    try {
+        sessionStorage.setItem(SNAPSHOT_KEY, JSON.stringify(data));
+    } catch {
+        // Not saved; the next load builds fresh meshes.
+    }
+}
+
+const canUseWorker = typeof Worker === 'function'
+    && typeof OffscreenCanvas === 'function'
+    && typeof canvases[0].transferControlToOffscreen === 'function';
+
+// With RENDER_IN_WORKER the engine is a stand-in for one in worker.js
+// (worker-engine.js), which hands over to a main-thread engine if the
+// worker fails. By then the canvases may be the worker's: fresh ones take
+// their place.
+function mainEngine(transferred, saved) {
+    if (transferred) {
+        canvases.forEach((canvas, i) => {
+            const fresh = canvas.cloneNode(false);
+            canvas.replaceWith(fresh);
+            canvases[i] = fresh;
         });
     }
-    if (reducedMotion.matches) renderBoth();
+    return new Engine(canvases, reducedMotion.matches, saved);
 }
 
+function startWorker(saved) {
+    let worker;
+    try {
+        worker = new Worker(new URL('./worker.js', import.meta.url), { type: 'module' });
+    } catch {
+        return mainEngine(false, saved);
+    }
+    const init = { reducedMotion: reducedMotion.matches, saved, overrides: overrides.values };
+    return workerEngine(worker, canvases, init, mainEngine, saveSnapshot);
+}
+
+const saved = loadSnapshot();
+const engine = config.RENDER_IN_WORKER && canUseWorker
+    ? startWorker(saved)
+    : new Engine(canvases, reducedMotion.matches, saved);
+
+let size = { w: 0, h: 0, dpr: 0 };
+
 function onResize() {
+    const w = canvases[0].clientWidth, h = canvases[0].clientHeight;
     const dpr = Math.min(window.devicePixelRatio || 1, config.MAX_DPR);
     // The canvases are sized with 100lvh, so mobile browser bars toggling the
     // window height do not change them; only genuine size changes get through.
-    if (mainCanvas.clientWidth === view.w && mainCanvas.clientHeight === view.h
-        && dpr === view.dpr) return;
-    fitCanvases();
-    if (simMain && !reducedMotion.matches) renderBoth();
-    clearTimeout(rebuildTimer);
-    rebuildTimer = setTimeout(rebuild, 180);
+    if (w === size.w && h === size.h && dpr === size.dpr) return;
+    size = { w, h, dpr };
+    engine.resize(w, h, dpr);
 }
 
-let last = 0;
-let depthPhase = false;
+window.addEventListener('resize', onResize);
 
-const TAU_SWAY = Math.PI * 2 * config.SWAY_FREQ;
-const ROT_SPEED = config.ROT_SPEED_DEG_S * Math.PI / 180;
+// Mouse and pen hover; touch is handled with the other touch gestures.
+window.addEventListener('pointermove', (ev) => {
+    if (ev.pointerType === 'touch') return;
+    engine.pointerMove(ev.clientX, ev.clientY);
+}, { passive: true });
 
-function frame(now) {
-    rafId = requestAnimationFrame(frame);
-    const dt = Math.min((now - last) / 1000, 0.1);
-    last = now;
-    elapsed += dt;
+// Click anywhere (except the links and buttons) pops the nearest node and
+// bursts a few signals out of it; dragging a mouse or pen instead draws a
+// route that one signal then travels.
+let dragging = null; // id of the pointer drawing a route
+const onControls = (ev) => ev.target && ev.target.closest
+    && ev.target.closest('a, button, .keyboard-help, .tune-panel');
 
-    const pointerEase = Math.min(1, 5 * dt);
-    view.pointer.strength +=
-        (view.pointer.targetStrength - view.pointer.strength) * pointerEase;
-    const parallaxEase = Math.min(1, config.PARALLAX_EASE * dt);
-    view.parallax.x += (view.parallax.tx - view.parallax.x) * parallaxEase;
-    view.parallax.y += (view.parallax.ty - view.parallax.y) * parallaxEase;
+window.addEventListener('pointerdown', (ev) => {
+    if (onControls(ev)) return;
+    if (ev.pointerType === 'touch') {
+        touchDown(ev);
+        return;
+    }
+    if (dragging !== null || !ev.isPrimary) return;
+    dragging = ev.pointerId;
+    engine.dragStart(ev.clientX, ev.clientY);
+}, { passive: true });
 
-    // Camera: eased pointer parallax plus a slow autonomous sway and a
-    // continuous slow rotation, so the scene keeps moving on its own.
-    view.offset.x = view.parallax.x * config.PARALLAX_PX
-        + Math.sin(TAU_SWAY * elapsed + 0.9) * config.SWAY_AMP;
-    view.offset.y = view.parallax.y * config.PARALLAX_PX
-        + Math.sin(TAU_SWAY * 0.8 * elapsed + 2.3) * config.SWAY_AMP * 0.7;
-    view.rot = (ROT_SPEED * elapsed) % (Math.PI * 2);
+window.addEventListener('pointermove', (ev) => {
+    if (ev.pointerType === 'touch') touchMove(ev);
+    else if (ev.pointerId === dragging) engine.dragMove(ev.clientX, ev.clientY);
+}, { passive: true });
 
-    simMain.update(dt);
-    simDepth.update(dt);
-    // The depth canvas sits behind a 5px blur, so redrawing it every other
-    // frame is invisible and roughly halves the total fill cost.
-    depthPhase = !depthPhase;
-    if (depthPhase) renderDepth(depthCtx, simDepth, view);
-    renderMain(mainCtx, simMain, view);
-}
+window.addEventListener('pointerup', (ev) => {
+    if (ev.pointerType === 'touch') {
+        touchUp(ev, false);
+        return;
+    }
+    if (ev.pointerId !== dragging) return;
+    dragging = null;
+    engine.dragEnd(ev.clientX, ev.clientY);
+}, { passive: true });
+
+// A cancelled pointer (the browser took over the gesture) does nothing.
+window.addEventListener('pointercancel', (ev) => {
+    if (ev.pointerType === 'touch') {
+        touchUp(ev, true);
+        return;
+    }
+    if (ev.pointerId !== dragging) return;
+    dragging = null;
+    engine.dragCancel();
+}, { passive: true });
+
+// Touch: one finger moves the parallax (and the hover) and draws a route
+// like a mouse drag (a tap that barely moved bursts), two fingers pinch to
+// zoom and twist to rotate. Everything eases back once the fingers lift.
+const touches = new Map(); // pointerId -> { x, y }, in touch order
+let touchDrawing = false;  // the only finger down is drawing a route
+let pinch = null;          // the first two fingers' start distance, last angle, twist so far
 
-function startLoop() {
-    if (rafId !== null) return;
-    last = performance.now();
-    rafId = requestAnimationFrame(frame);
+function twoFingers() {
+    const [a, b] = touches.values();
+    return { dist: Math.hypot(b.x - a.x, b.y - a.y), angle: Math.atan2(b.y - a.y, b.x - a.x) };
 }
 
-function stopLoop() {
-    if (rafId !== null) cancelAnimationFrame(rafId);
-    rafId = null;
+function startPinch() {
+    pinch = { ...twoFingers(), twist: 0 };
 }
 
-window.addEventListener('resize', onResize);
+function touchDown(ev) {
+    touches.set(ev.pointerId, { x: ev.clientX, y: ev.clientY });
+    if (touches.size === 1) {
+        touchDrawing = true;
+        engine.pointerMove(ev.clientX, ev.clientY);
+        engine.dragStart(ev.clientX, ev.clientY);
+        return;
+    }
+    if (touchDrawing) engine.dragCancel();
+    touchDrawing = false;
+    if (touches.size === 2) startPinch();
+}
 
-window.addEventListener('pointermove', (ev) => {
-    if (ev.pointerType === 'touch') return;
-    view.pointer.x = ev.clientX;
-    view.pointer.y = ev.clientY;
-    view.pointer.targetStrength = 1;
-    // The scene shifts slightly away from the cursor for a depth effect.
-    view.parallax.tx = (0.5 - ev.clientX / Math.max(1, view.w)) * 2;
-    view.parallax.ty = (0.5 - ev.clientY / Math.max(1, view.h)) * 2;
-}, { passive: true });
+function touchMove(ev) {
+    const t = touches.get(ev.pointerId);
+    if (!t) return;
+    t.x = ev.clientX;
+    t.y = ev.clientY;
+    if (pinch) {
+        // Summed move by move, so turning past half a circle does not jump.
+        const now = twoFingers();
+        const turn = now.angle - pinch.angle;
+        pinch.twist += Math.atan2(Math.sin(turn), Math.cos(turn));
+        pinch.angle = now.angle;
+        engine.pinch(now.dist / Math.max(1, pinch.dist), pinch.twist);
+    } else {
+        engine.pointerMove(t.x, t.y);
+        if (touchDrawing) engine.dragMove(t.x, t.y);
+    }
+}
 
-// Click or tap anywhere (except the links) pops the nearest node and
-// bursts a few signals out of it.
-window.addEventListener('pointerdown', (ev) => {
-    if (reducedMotion.matches || !simMain) return;
-    if (ev.target && ev.target.closest && ev.target.closest('a, button')) return;
-    const p = screenToLayer(view, config.OFFSET_MAIN, config.ROT_MAIN,
-        ev.clientX, ev.clientY);
-    simMain.burstAt(p.x, p.y);
-}, { passive: true });
+function touchUp(ev, cancelled) {
+    if (!touches.delete(ev.pointerId)) return;
+    if (pinch) {
+        // The gesture ends, or carries on from the remaining pair of fingers.
+        engine.pinchEnd();
+        pinch = null;
+        if (touches.size >= 2) startPinch();
+    }
+    if (touches.size > 0) return;
+    if (touchDrawing && cancelled) engine.dragCancel();
+    else if (touchDrawing) engine.dragEnd(ev.clientX, ev.clientY);
+    touchDrawing = false;
+    engine.pointerLeave();
+}
 
 // Hovering (or keyboard-focusing) any button fires flares from random
 // nodes, at most once every three seconds.
 let lastButtonFlares = -Infinity;
 const fireButtonFlares = () => {
-    if (reducedMotion.matches || !simMain) return;
+    if (reducedMotion.matches) return;
     const now = performance.now();
     if (now - lastButtonFlares < 3000) return;
     lastButtonFlares = now;
-    simMain.fireFlares(5);
+    engine.flares(5);
 };
 for (const button of document.querySelectorAll('.button')) {
     button.addEventListener('pointerenter', fireButtonFlares);
     button.addEventListener('focus', fireButtonFlares);
 }
 
-const resetPointer = () => {
-    view.pointer.targetStrength = 0;
-    view.parallax.tx = 0;
-    view.parallax.ty = 0;
-};
+const resetPointer = () => engine.pointerLeave();
 document.documentElement.addEventListener('mouseleave', resetPointer);
 window.addEventListener('blur', resetPointer);
 
+// Hiding the page (which a reload does first) saves the current state;
+// with a worker, its latest snapshot and then the fresh one it sends.
+if (config.SESSION_SNAPSHOT) {
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') saveSnapshot(engine.snapshot());
+    });
+}
+
+// Keyboard: B bursts from the node nearest the focused element (or the
+// screen centre), arrows nudge the camera, P pauses, T switches the theme,
+// L copies a link to the current settings and ? lists the keys.
+// Keys with modifiers and keys typed into form fields are left alone, and
+// Tab / Enter keep their usual link navigation.
+const help = document.getElementById('keyboard-help');
+const helpToggle = document.getElementById('help-toggle');
+const keyStatus = document.getElementById('keyboard-status');
+const NUDGES = {
+    ArrowLeft: [-1, 0], ArrowRight: [1, 0], ArrowUp: [0, -1], ArrowDown: [0, 1],
+};
+let paused = false;
+let helpReturn = null; // focused before the help opened
+
+function setHelp(open) {
+    if (open === !help.hidden) return;
+    help.hidden = !open;
+    helpToggle.setAttribute('aria-expanded', String(open));
+    if (open) {
+        helpReturn = document.activeElement;
+        help.querySelector('.keyboard-help-close').focus();
+    } else if (helpReturn && help.contains(document.activeElement)) {
+        helpReturn.focus();
+    }
+}
+
+function burstAtFocus() {
+    const el = document.activeElement;
+    if (el && el !== document.body && el.getBoundingClientRect) {
+        const r = el.getBoundingClientRect();
+        engine.burst(r.left + r.width / 2, r.top + r.height / 2);
+    } else {
+        engine.burst(window.innerWidth / 2, window.innerHeight / 2);
+    }
+}
+
+window.addEventListener('keydown', (ev) => {
+    if (ev.defaultPrevented || ev.ctrlKey || ev.metaKey || ev.altKey) return;
+    if (ev.target && ev.target.closest
+        && ev.target.closest('input, textarea, select, [contenteditable]')) return;
+    if (ev.key === '?') {
+        setHelp(help.hidden);
+    } else if (ev.key === 'Escape' && !help.hidden) {
+        setHelp(false);
+    } else if ((ev.key === 'b' || ev.key === 'B') && !ev.repeat) {
+        burstAtFocus();
+    } else if ((ev.key === 'p' || ev.key === 'P') && !ev.repeat) {
+        paused = !paused;
+        engine.setPaused(paused);
+        keyStatus.textContent = paused ? 'Animation paused' : 'Animation resumed';
+    } else if ((ev.key === 't' || ev.key === 'T') && !ev.repeat) {
+        cycleTheme();
+    } else if ((ev.key === 'l' || ev.key === 'L') && !ev.repeat) {
+        copySettingsLink();
+    } else if (NUDGES[ev.key]) {
+        // Not prevented: where the page scrolls, arrows still scroll it.
+        const [dx, dy] = NUDGES[ev.key];
+        engine.nudge(dx * config.KEY_NUDGE_PX, dy * config.KEY_NUDGE_PX);
+        return;
+    } else {
+        return;
+    }
+    ev.preventDefault();
+});
+
+helpToggle.addEventListener('click', () => setHelp(help.hidden));
+help.querySelector('.keyboard-help-close').addEventListener('click', () => setHelp(false));
+
+// Themes (themes.js): 'auto' follows the system's light / dark preference.
+// 'schedule' follows the time of day and the date (schedule.js). The
+// corner button and T cycle through all of them; the choice is remembered
+// in localStorage; config.THEME (or the URL's theme, which wins over the
+// remembered one) is the first visit's.
+const THEME_KEY = 'background-theme';
+const prefersLight = window.matchMedia('(prefers-color-scheme: light)');
+const themeToggle = document.getElementById('theme-toggle');
+const themeLabel = themeToggle.querySelector('.theme-label');
+const themeMeta = document.querySelector('meta[name="theme-color"]');
+
+function loadThemeChoice() {
+    if (Object.hasOwn(overrides.values, 'THEME')) return config.THEME;
+    try {
+        const stored = localStorage.getItem(THEME_KEY);
+        if (THEME_CHOICES.includes(stored)) return stored;
+    } catch {
+        // Storage blocked: the config default it is.
+    }
+    return config.THEME;
+}
+
+let themeChoice = loadThemeChoice();
+
+// Applies the current choice to the page (config here, the data-theme
+// attribute the stylesheet keys on, the browser bar colour) and to the
+// engine, which may keep its own config in the worker. Returns the preset.
+function showTheme() {
+    const auto = prefersLight.matches ? 'light' : 'dark';
+    const name = applyTheme(themeChoice === 'auto' ? auto : themeChoice);
+    engine.setTheme(name);
+    document.documentElement.dataset.theme = name;
+    if (themeMeta) themeMeta.content = config.BG_TOP;
+    themeLabel.textContent = themeChoice === 'auto' ? `Auto (${name})` : name;
+    return name;
+}
+
+function cycleTheme() {
+    const next = (THEME_CHOICES.indexOf(themeChoice) + 1) % THEME_CHOICES.length;
+    themeChoice = THEME_CHOICES[next];
+    try {
+        localStorage.setItem(THEME_KEY, themeChoice);
+    } catch {
+        // Not remembered; the next visit starts from config.THEME.
+    }
+    const name = showTheme();
+    keyStatus.textContent = themeChoice === 'auto'
+        ? `Theme: automatic (${name})` : `Theme: ${name}`;
+}
+
+themeToggle.addEventListener('click', cycleTheme);
+
+// The effective settings as a link: what the URL (or the ?tune panel)
+// changed and the theme in use. Copied to the clipboard where allowed, and
+// logged either way.
+function settingsURL() {
+    const query = settingsQuery({ ...changedSettings(), THEME: themeChoice });
+    return `${location.origin}${location.pathname}${query ? `?${query}` : ''}`;
+}
+
+function copySettingsLink() {
+    const url = settingsURL();
+    // Without the clipboard (or when it refuses, e.g. on an unfocused
+    // page) the console has the link.
+    const logIt = () => console.info(`Link to these settings: ${url}`);
+    if (!navigator.clipboard) {
+        logIt();
+        return;
+    }
+    navigator.clipboard.writeText(url).then(() => {
+        keyStatus.textContent = 'Link to these settings copied';
+    }, logIt);
+}
+if (typeof prefersLight.addEventListener === 'function') {
+    prefersLight.addEventListener('change', () => {
+        if (themeChoice === 'auto') showTheme();
+    });
+}
+showTheme();
+
+// Sound stays off until the visitor presses the toggle (which also satisfies
+// autoplay rules), and is not offered with reduced motion, where the mesh
+// sends no signals anyway.
+const soundToggle = document.getElementById('sound-toggle');
+const canSound = config.SOUND && soundToggle && typeof AudioContext === 'function';
+const sound = new Sonifier();
+const SOUND_EVENTS = ['hop', 'arrive', 'burst'];
+const playEvent = (ev) => sound.handle(ev, window.innerWidth);
+
+function setSound(on) {
+    if (on === sound.enabled) return;
+    if (on) {
+        // A browser that will not start the audio turns the toggle back off.
+        sound.enable().catch(() => setSound(false));
+        for (const type of SOUND_EVENTS) engine.on(type, playEvent);
+    } else {
+        sound.disable();
+        for (const type of SOUND_EVENTS) engine.off(type, playEvent);
+    }
+    soundToggle.setAttribute('aria-pressed', String(on));
+}
+
+function updateSoundToggle() {
+    if (!canSound) return;
+    if (reducedMotion.matches) setSound(false);
+    soundToggle.hidden = reducedMotion.matches;
+}
+
+if (canSound) {
+    soundToggle.addEventListener('click', () => setSound(!sound.enabled));
+    document.addEventListener('visibilitychange', () => {
+        sound.setHidden(document.visibilityState === 'hidden');
+    });
+    updateSoundToggle();
+}
+
 if (typeof reducedMotion.addEventListener === 'function') {
     reducedMotion.addEventListener('change', () => {
-        if (reducedMotion.matches) {
-            stopLoop();
-            view.offset.x = 0;
-            view.offset.y = 0;
-            view.rot = 0;
-            renderBoth();
-        } else {
-            startLoop();
-        }
+        engine.setReducedMotion(reducedMotion.matches);
+        updateSoundToggle();
     });
 }
 
-rebuild();
-if (!reducedMotion.matches) startLoop();
+// ?tune opens the live tuning panel, which is only loaded then.
+if (readFlags(location.search, location.hash).has('tune')) {
+    import('./tune.js').then(({ openTunePanel }) => openTunePanel(engine));
+}
+
+onResize();
@@ -0,0 +1,90 @@
+// test/fake-audio.mjs
+// A Web Audio stand-in for Node: just enough of AudioContext for audio.js.
+// Scheduled notes are kept in `voices` (frequency, gain, pan, start, stop);
+// currentTime only moves when a test sets it.
+
+class FakeParam {
+    constructor(value = 0) {
+        this.value = value;
+        this.events = [];
+    }
+
+    setValueAtTime(v, t) {
+        this.events.push(['set', v, t]);
+    }
+
+    linearRampToValueAtTime(v, t) {
+        this.events.push(['linear', v, t]);
+    }
+
+    exponentialRampToValueAtTime(v, t) {
+        this.events.push(['exp', v, t]);
+    }
+
+    // The highest value the automation reaches (the note's peak gain).
+    peak() {
+        return Math.max(...this.events.map(e => e[1]));
+    }
+}
+
+class FakeNode {
+    constructor(ctx) {
+        this.ctx = ctx;
+        this.output = null;
+    }
+
+    connect(node) {
+        this.output = node;
+        return node;
+    }
+}
+
+export class FakeAudioContext {
+    constructor() {
+        this.currentTime = 0;
+        this.state = 'suspended';
+        this.destination = new FakeNode(this);
+        this.voices = [];
+    }
+
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+
+    suspend() {
+        this.state = 'suspended';
+        return Promise.resolve();
+    }
+
+    createGain() {
+        const node = new FakeNode(this);
+        node.gain = new FakeParam(1);
+        return node;
+    }
+
+    createStereoPanner() {
+        const node = new FakeNode(this);
+        node.pan = new FakeParam(0);
+        return node;
+    }
+
+    createOscillator() {
+        const osc = new FakeNode(this);
+        osc.frequency = new FakeParam(440);
+        osc.start = (t) => {
+            osc.startAt = t;
+            this.voices.push(osc);
+        };
+        osc.stop = (t) => {
+            osc.stopAt = t;
+        };
+        return osc;
+    }
+}
+
+// The peak envelope gain and the pan a voice was routed through.
+export function voiceChain(osc) {
+    const env = osc.output, panner = env.output;
+    return { gain: env.gain.peak(), pan: panner.pan.value };
+}
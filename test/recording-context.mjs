@@ -0,0 +1,109 @@
+// test/recording-context.mjs
+// A CanvasRenderingContext2D stand-in for Node. Every call and state change
+// the renderer makes is logged as one line of text (numbers rounded to two
+// decimals), so a rendered frame can be compared against a golden file.
+// Only the subset of the Canvas2D API that renderer.js uses is provided.
+
+const fmt = (v) => {
+    if (typeof v === 'number') return String(Math.round(v * 100) / 100);
+    if (typeof v === 'string') return JSON.stringify(v);
+    if (v && typeof v.describe === 'function') return v.describe();
+    return String(v);
+};
+
+class RecordingGradient {
+    constructor(kind, args) {
+        this.kind = kind;
+        this.args = args;
+        this.stops = [];
+    }
+
+    addColorStop(offset, color) {
+        this.stops.push(`${fmt(offset)} ${color}`);
+    }
+
+    describe() {
+        return `${this.kind}(${this.args.map(fmt).join(', ')})[${this.stops.join(', ')}]`;
+    }
+}
+
+const STATE = {
+    fillStyle: '#000000',
+    strokeStyle: '#000000',
+    globalAlpha: 1,
+    globalCompositeOperation: 'source-over',
+    lineWidth: 1,
+    lineCap: 'butt',
+};
+
+export class RecordingContext {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.log = [];
+        this.state = { ...STATE };
+        this.stack = [];
+    }
+
+    record(op, args) {
+        this.log.push(`${op}(${args.map(fmt).join(', ')})`);
+    }
+
+    save() {
+        this.stack.push({ ...this.state });
+        this.record('save', []);
+    }
+
+    restore() {
+        if (this.stack.length > 0) this.state = this.stack.pop();
+        this.record('restore', []);
+    }
+
+    createLinearGradient(...args) {
+        return new RecordingGradient('linear', args);
+    }
+
+    createRadialGradient(...args) {
+        return new RecordingGradient('radial', args);
+    }
+
+    toString() {
+        return this.log.join('\n');
+    }
+}
+
+for (const name of Object.keys(STATE)) {
+    Object.defineProperty(RecordingContext.prototype, name, {
+        get() {
+            return this.state[name];
+        },
+        set(value) {
+            this.state[name] = value;
+            this.log.push(`${name} = ${fmt(value)}`);
+        },
+    });
+}
+
+for (const op of ['translate', 'rotate', 'scale', 'setTransform', 'beginPath', 'moveTo', 'lineTo',
+    'arc', 'fill', 'stroke', 'fillRect', 'clearRect', 'drawImage']) {
+    RecordingContext.prototype[op] = function (...args) {
+        this.record(op, args);
+    };
+}
+
+// A canvas whose 2D context records; sprites log under their cache key.
+export class RecordingCanvas {
+    constructor(width = 300, height = 150, label = 'canvas') {
+        this.width = width;
+        this.height = height;
+        this.label = label;
+        this.context = new RecordingContext(this);
+    }
+
+    getContext(type) {
+        return type === '2d' ? this.context : null;
+    }
+
+    describe() {
+        return `<${this.label}>`;
+    }
+}
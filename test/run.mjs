@@ -2,12 +2,33 @@
 // Headless checks for the background simulation. Run with: npm test
 //
 // Guards the core invariants: no crossing edges on either layer (also under
-// drift, clicks and flares), full coverage of the rotation circle, graph
-// connectivity, the monochrome depth palette, the rainbow main palette and
-// the hard signal cap.
+// drift, clicks, flares and rewiring), full coverage of the rotation circle,
+// graph connectivity, the monochrome depth palette, the rainbow main palette,
+// the hard signal cap, a config that passes its schema and exact
+// reproducibility of seeded runs. The renderer is drawn into recording
+// contexts and compared with golden files.
 
-import { Simulation } from '../network.js';
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { noteFreq, Sonifier } from '../audio.js';
+import { SIM_EVENTS, Simulation, SNAPSHOT_VERSION } from '../network.js';
 import { config } from '../config.js';
+import { Engine, ENGINE_METHODS, layerOptions } from '../engine.js';
+import { LAYOUTS } from '../layouts.js';
+import { createRandom } from '../random.js';
+import { configMask, maskFromImageData, maskFromPath, maskFromText } from '../masks.js';
+import { ROUTERS } from '../routing.js';
+import { checkConfig, validateConfig } from '../schema.js';
+import * as canvas2d from '../renderer.js';
+import { DAYPARTS, HOLIDAYS, SCHEDULED_KEYS, SEASONS } from '../schedule.js';
+import { applyTheme, pinConfig, THEME_CHOICES, THEMES } from '../themes.js';
+import {
+    applyOverrides, changedSettings, readFlags, readOverrides, settable, settingsQuery,
+} from '../params.js';
+import { configSections, configSource, rebuilds, sliderRange } from '../tune.js';
+import { FakeAudioContext, voiceChain } from './fake-audio.mjs';
+import { RecordingCanvas } from './recording-context.mjs';
+import * as webgl from '../renderer-gl.js';
+import { workerEngine } from '../worker-engine.js';
 
 function orient(ax, ay, bx, by, cx, cy) {
     return (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
@@ -35,6 +56,41 @@ function countCrossings(net) {
     return count;
 }
 
+// The same over what is drawn while a resize crossfades: edges past their
+// wait and the ghosts of removed ones.
+function countDrawnCrossings(net) {
+    const segs = net.edges.filter(e => e.fade > 0).map(e => [net.nodes[e.a], net.nodes[e.b]])
+        .concat(net.ghosts.map(g => [g.na, g.nb]));
+    let count = 0;
+    for (let i = 0; i < segs.length; i++) {
+        const [a, b] = segs[i];
+        for (let j = i + 1; j < segs.length; j++) {
+            const [c, d] = segs[j];
+            if (a === c || a === d || b === c || b === d) continue;
+            if (properCross(a, b, c, d)) count++;
+        }
+    }
+    return count;
+}
+
+function pointSegDist(px, py, ax, ay, bx, by) {
+    const dx = bx - ax, dy = by - ay;
+    const t = Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / (dx * dx + dy * dy)));
+    return Math.hypot(px - ax - t * dx, py - ay - t * dy);
+}
+
+// Every node's room plus the larger room of an edge's ends stays below
+// their home distance, over every edge that may be shown.
+function roomsHold(net) {
+    const { nodes } = net;
+    return net.edges.concat(net.spare).every(e => {
+        const a = nodes[e.a], b = nodes[e.b];
+        const reach = Math.max(a.room, b.room);
+        return nodes.every((p, i) => i === e.a || i === e.b
+            || p.room + reach < pointSegDist(p.hx, p.hy, a.hx, a.hy, b.hx, b.hy));
+    });
+}
+
 function connected(net) {
     const seen = new Set([0]);
     const queue = [0];
@@ -47,10 +103,29 @@ function connected(net) {
     return seen.size === net.nodes.length;
 }
 
-// Rotating layers must cover the viewport's circumcircle (sampled boundary).
-function coversCircle(net, w, h) {
+// The spanning tree alone links every node that is not dying (a dying
+// node's edges leave it, and the rim of its fan mends it).
+function treeSpans(net) {
+    const live = net.nodes.findIndex(n => !n.dying);
+    const seen = new Set([live]);
+    const queue = [live];
+    while (queue.length) {
+        const u = queue.pop();
+        for (const { n, e } of net.adj[u]) {
+            if (net.edges[e].tree && !net.nodes[n].dying && !seen.has(n)) {
+                seen.add(n);
+                queue.push(n);
+            }
+        }
+    }
+    return net.nodes.every((n, i) => n.dying || seen.has(i));
+}
+
+// Rotating layers must cover the viewport's circumcircle (sampled boundary),
+// as large as it gets at the layer's smallest zoom.
+function coversCircle(net, w, h, zoomFactor = 1) {
     const slack = config.PARALLAX_PX + config.SWAY_AMP + 30;
-    const R = Math.hypot(w, h) / 2 + slack - 2;
+    const R = Math.hypot(w, h) / 2 / config.ZOOM_MIN ** zoomFactor + slack - 2;
     const cellDiag = Math.hypot(
         w / Math.round(w / net.spacing), h / Math.round(h / net.spacing));
     for (let k = 0; k < 72; k++) {
@@ -72,21 +147,11 @@ function isGrey(colorStr) {
     return Math.max(r, g, b) - Math.min(r, g, b) <= 14;
 }
 
-const mainOpts = { rotFactor: config.ROT_MAIN, fgBokeh: true, stars: true };
-const depthOpts = {
-    spacingScale: config.DEPTH_SPACING_SCALE,
-    rotFactor: config.ROT_DEPTH,
-    signalMax: config.DEPTH_SIGNAL_MAX,
-    spawnMin: config.DEPTH_SPAWN_MIN_S,
-    spawnMax: config.DEPTH_SPAWN_MAX_S,
-    speedScale: config.DEPTH_SPEED_SCALE,
-    mono: true,
-    palette: config.DEPTH_SIGNAL_COLORS,
-    bokehColors: config.DEPTH_BOKEH_COLORS,
-    bokehAlphaScale: config.DEPTH_BOKEH_ALPHA_SCALE,
-    dust: true,
-    bokeh: true,
-};
+// The default layer stack's entries and the simulation options they make.
+const MAIN = config.LAYERS.find(l => l.name === 'main');
+const DEPTH = config.LAYERS.find(l => l.name === 'depth');
+const mainOpts = layerOptions(MAIN);
+const depthOpts = layerOptions(DEPTH);
 
 let failed = false;
 const check = (label, ok) => {
@@ -105,8 +170,1004 @@ for (const [w, h] of [[1440, 900], [390, 844], [3840, 2160]]) {
             + `${net.edges.length} edges, ${ms.toFixed(0)} ms)`;
         check(`${label}: planar`, countCrossings(net) === 0);
         check(`${label}: connected`, connected(net));
-        check(`${label}: covers rotation circle`, coversCircle(net, w, h));
+        check(`${label}: covers rotation circle`,
+            coversCircle(net, w, h, opts.zoomFactor));
+    }
+}
+
+// --- Alternative layout generators -----------------------------------------------
+for (const layout of Object.keys(LAYOUTS).filter(l => l !== 'grid')) {
+    for (const [w, h] of [[1440, 900], [390, 844]]) {
+        for (const [name, opts] of [['main', mainOpts], ['depth', depthOpts]]) {
+            const s = new Simulation(w, h, { ...opts, layout });
+            const net = s.net;
+            const label = `${layout} ${w}x${h} ${name} (${net.nodes.length} nodes)`;
+            check(`${label}: planar`, countCrossings(net) === 0);
+            check(`${label}: connected`, connected(net));
+            check(`${label}: covers rotation circle`,
+                coversCircle(net, w, h, opts.zoomFactor));
+            let drifted = 0;
+            for (let i = 0; i < 4; i++) {
+                s.update(1.7);
+                drifted += countCrossings(net);
+            }
+            check(`${label}: planar while drifting`, drifted === 0);
+        }
+    }
+}
+{
+    // Radial rings stay round: the jitter moves points along the radius
+    // only, within LATTICE_JITTER, and each ring keeps its even angles.
+    const f = { cx: 500, cy: 400, x0: 0, y0: 0, x1: 1000, y1: 800, crop: 2000, spacing: 100 };
+    const jitter = f.spacing * config.LATTICE_JITTER;
+    const rings = new Map(); // ring number -> angles of its points
+    const off = LAYOUTS.radial(f, createRandom(3)).slice(1).map(p => {
+        const r = Math.hypot(p.x - f.cx, p.y - f.cy);
+        const k = Math.round(r / f.spacing);
+        if (!rings.has(k)) rings.set(k, []);
+        rings.get(k).push(Math.atan2(p.y - f.cy, p.x - f.cx));
+        return Math.abs(r - k * f.spacing);
+    });
+    const evenAngles = [...rings].every(([k, angles]) => angles.every(a => {
+        const slots = (a - angles[0]) / (2 * Math.PI) * Math.round(2 * Math.PI * k);
+        return Math.abs(slots - Math.round(slots)) < 1e-6;
+    }));
+    check('radial jitter stays along the radius, within LATTICE_JITTER',
+        Math.max(...off) <= jitter + 1e-9 && evenAngles && rings.size > 3);
+}
+
+// --- Shape masks -------------------------------------------------------------------
+{
+    // A thick ring, as an RGBA bitmap like canvas ImageData.
+    const size = 64;
+    const data = new Uint8ClampedArray(size * size * 4);
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            const r = Math.hypot(x + 0.5 - size / 2, y + 0.5 - size / 2);
+            data[(y * size + x) * 4 + 3] = r >= 17 && r <= 30 ? 255 : 0;
+        }
+    }
+    const mask = maskFromImageData({ data, width: size, height: size });
+    const s = new Simulation(1440, 900, { ...mainOpts, mask, maskSignals: 1, seed: 3 });
+    const net = s.net;
+    const inside = net.nodes.filter(n => n.inMask);
+    const label = `masked 1440x900 (${inside.length} of ${net.nodes.length} nodes in the shape)`;
+    check(`${label}: planar`, countCrossings(net) === 0);
+    check(`${label}: connected`, connected(net));
+    check(`${label}: covers rotation circle`, coversCircle(net, 1440, 900));
+
+    // The ring covers pi * (30^2 - 17^2) / 64^2 of its fitted box.
+    const box = 900 * config.MASK_SIZE;
+    const ringArea = Math.PI * (30 * 30 - 17 * 17) / (size * size) * box * box;
+    const cropR = Math.hypot(1440, 900) / 2 / config.ZOOM_MIN ** MAIN.zoom;
+    const outsideArea = Math.PI * cropR ** 2 - ringArea;
+    const density = inside.length / ringArea;
+    const outsideDensity = (net.nodes.length - inside.length) / outsideArea;
+    check(`shape is denser inside (${(density / outsideDensity).toFixed(1)}x)`,
+        density > outsideDensity * 3);
+    check('outline edges are kept', net.edges.filter(e => e.outline).length > 40);
+
+    let traced = 0, offOutline = 0, crossingsMasked = 0;
+    for (let step = 0; step < 400; step++) {
+        s.update(0.05);
+        for (const g of s.signals) {
+            if (!g.traced) continue;
+            traced++;
+            if (g.edgeIdx.some(i => !net.edges[i].outline)) offOutline++;
+        }
+        if (step % 50 === 49) crossingsMasked += countCrossings(net);
+    }
+    check(`traced signals follow the outline (${traced} samples)`,
+        traced > 0 && offOutline === 0);
+    check('masked mesh stays planar while drifting', crossingsMasked === 0);
+
+    const plain = [1, 2].map(() => new Simulation(1440, 900,
+        { ...mainOpts, maskSignals: 1, seed: 4 }));
+    const from = plain[0].net.nodes.findIndex(n => n.deg >= 2);
+    plain[0]._spawnSignal(from, 0, null, null);
+    plain[1]._spawnSignal(from, 0, null, false);
+    check('unmasked meshes do not roll for traced signals',
+        plain[0].random.getState() === plain[1].random.getState());
+}
+{
+    // Paths and text are rasterised on an offscreen canvas; this one
+    // records the drawing and paints every pixel it is asked to fill.
+    const drawn = [];
+    class FakeContext {
+        constructor(canvas) {
+            this.canvas = canvas;
+            this.painted = false;
+        }
+        setTransform(...m) { drawn.push(`setTransform(${m.join(', ')})`); }
+        fill(path) {
+            drawn.push(`fill(${path.d})`);
+            this.painted = true;
+        }
+        measureText() {
+            drawn.push(`measureText(${this.font})`);
+            return {
+                actualBoundingBoxAscent: 30, actualBoundingBoxDescent: 10,
+                actualBoundingBoxLeft: 2, actualBoundingBoxRight: 58,
+            };
+        }
+        fillText(text, x, y) {
+            drawn.push(`fillText(${text}, ${x}, ${y}, ${this.font})`);
+            this.painted = true;
+        }
+        getImageData(x, y, width, height) {
+            const data = new Uint8ClampedArray(width * height * 4);
+            if (this.painted) data.fill(255);
+            return { data, width, height };
+        }
+    }
+    globalThis.OffscreenCanvas = class {
+        constructor(width, height) {
+            this.width = width;
+            this.height = height;
+        }
+        getContext() { return new FakeContext(this); }
+    };
+    globalThis.Path2D = class {
+        constructor(d) { this.d = d; }
+    };
+    const saved = { ...config };
+    try {
+        const path = maskFromPath('M0 0H64V32H0Z', [10, 20, 64, 32], 128);
+        check('maskFromPath() fills the path scaled into its viewBox',
+            path.aspect === 2 && path.sample(0.5, 0.5) === 1 && path.sample(1.2, 0.5) === 0
+                && drawn.join('|') === 'setTransform(2, 0, 0, 2, -20, -40)|fill(M0 0H64V32H0Z)');
+        drawn.length = 0;
+        const text = maskFromText('VH', 'bold 40px serif');
+        check('maskFromText() hugs the measured glyphs',
+            text.aspect === 60 / 40 && text.sample(0.5, 0.5) === 1
+                && drawn.join('|')
+                    === 'measureText(bold 40px serif)|fillText(VH, 2, 30, bold 40px serif)');
+        Object.assign(config, { MASK_TEXT: '', MASK_PATH: '' });
+        const none = configMask();
+        config.MASK_PATH = 'M0 0H1V1Z';
+        const fromPath = configMask();
+        config.MASK_TEXT = 'VH';
+        const fromText = configMask();
+        check('configMask() prefers MASK_TEXT over MASK_PATH',
+            none === null && fromPath.aspect === config.MASK_VIEWBOX[2] / config.MASK_VIEWBOX[3]
+                && fromText.aspect === 60 / 40);
+    } finally {
+        Object.assign(config, saved);
+        delete globalThis.OffscreenCanvas;
+        delete globalThis.Path2D;
+    }
+}
+
+// --- Routing strategies ------------------------------------------------------------
+for (const routing of Object.keys(ROUTERS)) {
+    const s = new Simulation(1440, 900, { ...mainOpts, routing, seed: 11 });
+    const net = s.net;
+    const onScreen = (i) => net.nodes[i].hx >= 0 && net.nodes[i].hx <= 1440
+        && net.nodes[i].hy >= 0 && net.nodes[i].hy <= 900;
+    const seen = new Set();
+    let bad = 0, cascades = 0;
+    const t0 = process.hrtime.bigint();
+    for (let step = 0; step < 600; step++) {
+        s.update(0.05);
+        if (step % 60 === 30) s.burstAt(200 + step, 450);
+        if (step % 65 === 40) s.fireFlares(5);
+        for (const g of s.signals) {
+            if (seen.has(g)) continue;
+            seen.add(g);
+            if (g.gen > 0) cascades++;
+            const hops = g.edgeIdx.length;
+            const linked = g.edgeIdx.every((ei, i) => {
+                const e = net.edges[ei];
+                return (e.a === g.path[i] && e.b === g.path[i + 1])
+                    || (e.b === g.path[i] && e.a === g.path[i + 1]);
+            });
+            if (!linked || hops < 2 || hops > config.SIGNAL_HOPS_MAX
+                || g.path.length !== hops + 1 || new Set(g.path).size !== g.path.length
+                || !onScreen(g.path[hops])) bad++;
+        }
+    }
+    const ms = Number(process.hrtime.bigint() - t0) / 1e6;
+    check(`${routing} routes are simple, in range and end on screen `
+        + `(${seen.size} signals, ${cascades} cascades, ${ms.toFixed(0)} ms)`,
+        seen.size > 50 && cascades > 0 && bad === 0);
+}
+
+// --- Incremental resize ------------------------------------------------------------
+for (const [name, opts] of [['main', mainOpts], ['depth', depthOpts]]) {
+    const s = new Simulation(1440, 900, { ...opts, seed: 5 });
+    for (let step = 0; step < 60; step++) s.update(0.05);
+    for (const [w, h] of [[1280, 800], [900, 1440], [1500, 1000]]) {
+        const before = new Set(s.net.nodes);
+        const inFlight = s.signals.length;
+        s.resize(w, h);
+        const net = s.net;
+        const reused = net.nodes.filter(n => before.has(n)).length;
+        const label = `${name} resized to ${w}x${h} (${reused} of ${net.nodes.length} nodes kept)`;
+        check(`${label}: planar`, countCrossings(net) === 0);
+        check(`${label}: connected`, connected(net));
+        check(`${label}: covers rotation circle`,
+            coversCircle(net, w, h, opts.zoomFactor));
+        check(`${label}: keeps most nodes`, reused > net.nodes.length * 0.5);
+        check(`${label}: signals survive (${s.signals.length} of ${inFlight})`,
+            inFlight === 0 || s.signals.length > 0);
+        const removed = [...before].filter(n => !net.nodes.includes(n));
+        check(`${label}: removed nodes fade out`,
+            removed.every(n => net.ghostNodes.includes(n)));
+        let resizeCrossings = countDrawnCrossings(net);
+        for (let step = 0; step < 40; step++) {
+            s.update(0.05);
+            if (step % 10 === 9) resizeCrossings += countDrawnCrossings(net);
+        }
+        check(`${label}: planar while crossfading, ghosts included`, resizeCrossings === 0);
+        // Births and deaths fade nodes of their own meanwhile.
+        check(`${label}: crossfade finished`, net.ghosts.length === 0
+            && net.ghostNodes.length === 0
+            && net.nodes.every(n => n.fade === 1 || n.dying || n.fadeS === config.LIFE_FADE_S));
+    }
+}
+{
+    const s = new Simulation(1440, 900, { ...mainOpts, seed: 5 });
+    s.resize(390, 844);
+    check('large density change falls back to a full rebuild',
+        countCrossings(s.net) === 0 && connected(s.net) && coversCircle(s.net, 390, 844));
+}
+
+// --- Living topology ---------------------------------------------------------------
+// Adjacency lists hold exactly the edge list, both ways round.
+function adjMatches(net) {
+    let links = 0;
+    net.adj.forEach((list, u) => {
+        for (const { n, e } of list) {
+            const edge = net.edges[e];
+            if (edge && ((edge.a === u && edge.b === n) || (edge.b === u && edge.a === n))) links++;
+        }
+    });
+    return links === net.edges.length * 2
+        && net.adj.every((list, u) => list.length === net.nodes[u].deg);
+}
+
+// Every remaining leg of every signal runs along a live edge.
+function signalsOnEdges(s) {
+    return s.signals.every(sig => sig.edgeIdx.every((ei, k) => {
+        if (k < sig.leg) return true;
+        const e = s.net.edges[ei], a = sig.path[k], b = sig.path[k + 1];
+        return e && ((e.a === a && e.b === b) || (e.a === b && e.b === a));
+    }));
+}
+
+for (const [name, opts] of [['main', mainOpts], ['depth', depthOpts]]) {
+    const s = new Simulation(1440, 900, { ...opts, seed: 8 });
+    const net = s.net;
+    const first = new Set(net.edges);
+    const tree = net.edges.filter(e => e.tree)
+        .map(e => ({ e, ends: [net.nodes[e.a], net.nodes[e.b]] }));
+    let rewireCrossings = 0, consistent = true, onEdges = true;
+    for (let step = 0; step < 30 * 20; step++) {
+        s.update(0.05);
+        if (step % 40 === 20) s.burstAt(Math.random() * 1440, Math.random() * 900);
+        if (step % 20 === 19) {
+            rewireCrossings += countCrossings(net);
+            consistent = consistent && adjMatches(net) && connected(net) && treeSpans(net);
+            onEdges = onEdges && signalsOnEdges(s);
+        }
+    }
+    const changed = net.edges.filter(e => !first.has(e)).length;
+    const dying = net.edges.filter(e => e.dying).length;
+    check(`${name} edges rewire (${changed} new, ${dying} fading out)`, changed > 0);
+    // Node life is on: a tree edge only goes with a node that dies.
+    check(`${name} tree edges are never rewired away`, tree.every(({ e, ends }) =>
+        net.edges.includes(e) || ends.some(n => n.dying || !net.nodes.includes(n))));
+    check(`${name} stays connected, spanned by its tree, with matching adjacency`,
+        consistent);
+    check(`${name} stays planar while rewiring`, rewireCrossings === 0);
+    check(`${name} signals only travel on live edges`, onEdges);
+    check(`${name} spare edges never cross the mesh`,
+        countCrossings({ nodes: net.nodes, edges: net.edges.concat(net.spare) }) === 0);
+}
+{
+    // (Node life is off: births and deaths bring and take edges too.)
+    const s = new Simulation(1440, 900, { ...mainOpts, seed: 8, rewire: 0, life: 0 });
+    const first = s.net.edges.slice();
+    for (let step = 0; step < 200; step++) s.update(0.05);
+    check('REWIRE_INTERVAL_S 0 freezes the edges',
+        s.net.edges.length === first.length && s.net.edges.every((e, i) => e === first[i]));
+}
+
+// --- Node life ---------------------------------------------------------------------
+for (const [name, opts] of [['main', mainOpts], ['depth', depthOpts]]) {
+    const s = new Simulation(1440, 900, { ...opts, seed: 9, life: 0.25 });
+    const clicks = createRandom(9);
+    const first = new Set(s.net.nodes);
+    const seen = new Set(first);
+    let born = 0, lifeCrossings = 0, whole = true, clear = true, imploded = false;
+    let retargeted = 0;
+    for (let step = 0; step < 40 * 20; step++) {
+        // Where each signal was bound (node objects, as indices shift).
+        const bound = new Map(s.signals.map(sig => [sig, sig.path.map(i => s.net.nodes[i])]));
+        s.update(0.05);
+        if (step % 30 === 10) s.burstAt(clicks.next() * 1440, clicks.next() * 900);
+        for (const n of s.net.nodes) if (!seen.has(n)) { seen.add(n); born++; }
+        for (const sig of s.signals) {
+            const was = bound.get(sig);
+            if (was && was.at(-1).dying && !was.includes(s.net.nodes[sig.path.at(-1)])) {
+                retargeted++;
+            }
+        }
+        // Nothing may still be routed through a dying node beyond the next hop.
+        clear = clear && s.signals.every(sig =>
+            sig.path.slice(sig.leg + 2).every(i => !s.net.nodes[i].dying));
+        imploded = imploded || s.rings.some(r => r.implode);
+        if (step % 20 === 19) {
+            const net = s.net;
+            lifeCrossings += countCrossings(net)
+                + countCrossings({ nodes: net.nodes, edges: net.edges.concat(net.spare) });
+            whole = whole && connected(net) && treeSpans(net) && adjMatches(net)
+                && signalsOnEdges(s) && coversCircle(net, 1440, 900);
+        }
+    }
+    const died = [...seen].filter(n => !s.net.nodes.includes(n)).length;
+    const label = `${name} node life (${born} born, ${died} died)`;
+    check(`${label}: nodes come and go`, born > 0 && died > 0);
+    check(`${label}: planar`, lifeCrossings === 0);
+    check(`${label}: connected, tree spanning, adjacency intact, rotation circle covered`,
+        whole);
+    check(`${label}: signals reroute around dying nodes (${retargeted} bound for one)`,
+        clear && retargeted > 0);
+    check(`${label}: dying nodes implode`, imploded);
+    check(`${label}: population stays steady (${s.net.nodes.length} of ${first.size})`,
+        Math.abs(s.net.nodes.length - first.size) <= first.size * 0.05);
+    // Rooms are only re-measured around each birth and death.
+    check(`${label}: node rooms still satisfy the no-crossing bound`, roomsHold(s.net));
+}
+
+// --- Simulation events ---------------------------------------------------------------
+{
+    const run = (listen) => {
+        const s = new Simulation(1440, 900, { ...mainOpts, seed: 6 });
+        const seen = Object.fromEntries(SIM_EVENTS.map(t => [t, []]));
+        let consistent = true;
+        const offs = listen ? SIM_EVENTS.map(t => s.on(t, (ev) => {
+            const n = s.net.nodes[ev.node];
+            consistent = consistent && ev.type === t && ev.layer === 'main' && !!n
+                && ev.x === n.x && ev.y === n.y && ev.time === s.time
+                && ev.color === config.SIGNAL_COLORS[ev.colorIdx % config.SIGNAL_COLORS.length]
+                && Number.isInteger(ev.gen);
+            if (t === 'hop') {
+                const e = s.net.edges[ev.edge];
+                consistent = consistent && !!e && ((e.a === ev.from && e.b === ev.node)
+                    || (e.b === ev.from && e.a === ev.node));
+            }
+            seen[t].push(ev);
+        })) : [];
+        for (let step = 0; step < 300; step++) {
+            s.update(0.05);
+            if (step === 100) s.burstAt(720, 450);
+            if (step === 150) s.fireFlares(3);
+        }
+        offs.forEach(off => off());
+        const before = SIM_EVENTS.map(t => seen[t].length).join();
+        for (let step = 0; step < 100; step++) s.update(0.05);
+        const after = SIM_EVENTS.map(t => seen[t].length).join();
+        return { s, seen, consistent, quiet: before === after };
+    };
+    const { s, seen, consistent, quiet } = run(true);
+    const counts = SIM_EVENTS.map(t => `${seen[t].length} ${t}`).join(', ');
+    check(`every event type fires (${counts})`,
+        SIM_EVENTS.every(t => seen[t].length > 0) && seen.burst.length === 1
+        && seen.flare.length <= 3);
+    check('events carry the node, its position, colour, generation and layer', consistent);
+    check('every arrival follows a hop to the same node',
+        seen.arrive.every(a => seen.hop.some(h => h.node === a.node && h.time === a.time)));
+    check('unsubscribed listeners hear nothing more', quiet);
+    check('listening does not change the run', fingerprint(s) === fingerprint(run(false).s));
+    let threw = false;
+    try {
+        s.on('explode', () => {});
+    } catch {
+        threw = true;
+    }
+    check('unknown event types are refused', threw);
+}
+
+// --- Pointer force field ---------------------------------------------------------------
+{
+    const s = new Simulation(1440, 900, { ...mainOpts, seed: 4 });
+    const { nodes } = s.net;
+    check('node rooms satisfy the no-crossing bound', roomsHold(s.net)
+        && nodes.every(n => n.room >= s.net.drift));
+
+    const away = (n) => Math.hypot(n.x - n.hx, n.y - n.hy);
+    const still = new Simulation(1440, 900, { ...mainOpts, seed: 4 }); // no pointer
+    const c = nodes.reduce((m, n) => (Math.hypot(n.hx - 720, n.hy - 450)
+        < Math.hypot(m.hx - 720, m.hy - 450) ? n : m));
+    const px = c.hx - 40, py = c.hy;
+    for (let step = 0; step < 40; step++) {
+        s.setPointer(px, py, 1);
+        s.update(0.05);
+        still.update(0.05);
+    }
+    const fromPointer = (n) => Math.hypot(n.x - px, n.y - py);
+    const near = nodes.map((n, i) => i)
+        .filter(i => fromPointer(nodes[i]) < config.POINTER_RADIUS / 2);
+    const pushed = near.filter(i => fromPointer(nodes[i]) > fromPointer(still.net.nodes[i]) + 1);
+    check(`nodes near the pointer make way (${pushed.length} of ${near.length})`,
+        near.length > 0 && pushed.length === near.length);
+    check('pushed nodes stay inside their room', nodes.every(n => away(n) <= n.room + 1e-9));
+    s.setPointer(0, 0, 0);
+    for (let step = 0; step < 100; step++) s.update(0.05);
+    check('nodes spring back home when the pointer leaves',
+        nodes.every(n => n.px === 0 && n.py === 0 && away(n) < s.net.drift));
+
+    // Aggressive pointer: a much stronger field, pushing and pulling, jumping
+    // about the screen. Every frame must stay planar.
+    const force = config.POINTER_FORCE;
+    const jumps = createRandom(15);
+    let crossed = 0, pulled = false;
+    try {
+        for (let step = 0; step < 400; step++) {
+            config.POINTER_FORCE = (step % 100 < 50 ? 1 : -1) * 400;
+            const x = step % 7 === 0 ? jumps.next() * 1440 : 720 + 500 * Math.sin(step * 0.3);
+            const y = step % 7 === 0 ? jumps.next() * 900 : 450 + 300 * Math.cos(step * 0.45);
+            s.setPointer(x, y, 1);
+            s.update(0.05);
+            crossed += countCrossings(s.net);
+            if (config.POINTER_FORCE < 0) {
+                pulled = pulled || s.net.nodes.some(n => Math.hypot(n.x - x, n.y - y)
+                    < Math.hypot(n.hx - x, n.hy - y) - s.net.drift);
+            }
+        }
+    } finally {
+        config.POINTER_FORCE = force;
+    }
+    check('a negative force pulls nodes in', pulled);
+    check('no crossings under an aggressive pointer', crossed === 0
+        && s.net.nodes.every(n => away(n) <= n.room + 1e-9));
+}
+
+// --- Drawn routes ----------------------------------------------------------------------
+{
+    // No ambient signals, so the drawn one has the route to itself.
+    const s = new Simulation(1440, 900,
+        { ...mainOpts, seed: 8, life: 0, signalMax: 0 });
+    const { nodes } = s.net;
+    // A pointer trail drawn on screen under a rotated camera, through three
+    // nodes far apart, sampled every few pixels like the engine does.
+    const view = { w: 1440, h: 900, rot: 1.1, offset: { x: 12, y: -7 } };
+    const nearest = (x, y) => nodes.reduce((m, n, i) => (Math.hypot(n.x - x, n.y - y)
+        < Math.hypot(nodes[m].x - x, nodes[m].y - y) ? i : m), 0);
+    const stops = [nearest(400, 300), nearest(900, 600), nearest(1100, 250)];
+    const screen = stops.map(i => canvas2d.layerToScreen(view, MAIN.offset,
+        MAIN.rot, nodes[i].x, nodes[i].y));
+    const trail = [];
+    for (let k = 0; k < screen.length - 1; k++) {
+        for (let t = 0; t < 1; t += 0.1) {
+            trail.push({ x: screen[k].x + (screen[k + 1].x - screen[k].x) * t,
+                y: screen[k].y + (screen[k + 1].y - screen[k].y) * t });
+        }
+    }
+    trail.push(screen[screen.length - 1]);
+    const points = trail.map(p => canvas2d.screenToLayer(view, MAIN.offset,
+        MAIN.rot, p.x, p.y));
+    const found = s.routeThrough(points);
+    const linked = found && found.edgeIdx.every((ei, k) => {
+        const e = s.net.edges[ei];
+        const [u, v] = [found.path[k], found.path[k + 1]];
+        return (e.a === u && e.b === v) || (e.a === v && e.b === u);
+    });
+    let order = 0;
+    for (const v of found ? found.path : []) if (v === stops[order]) order++;
+    check('a drawn trail snaps onto a connected route', linked);
+    check('the route visits the nodes under the trail in order (rotated camera)',
+        order === stops.length && found.path[0] === stops[0]
+        && found.path.at(-1) === stops.at(-1));
+    check('a trail over a single node draws no route', s.routeThrough(points.slice(0, 1)) === null);
+
+    const signal = s.sendAlong(points);
+    check('releasing the drag sends a signal along exactly that route', !!signal
+        && signal.path.join() === found.path.join() && signal.drawn);
+    let arrived = null, growing = true;
+    s.on('arrive', (ev) => {
+        if (arrived === null) arrived = ev.node;
+    });
+    for (let step = 0; step < 400 && arrived === null; step++) {
+        s.update(0.05);
+        growing = growing && signal.edgeIdx.slice(0, signal.leg)
+            .every(ei => s.net.edges[ei].lit === 1);
+    }
+    const colours = new Set(signal.edgeIdx.map(ei => s.net.edges[ei].color));
+    check(`its trail grows behind it in rainbow colours (${colours.size})`,
+        growing && colours.size >= Math.min(4, signal.edgeIdx.length));
+    check('the drawn signal arrives at the end of the trail', arrived === stops.at(-1));
+
+    // Rewiring (and so re-indexing the edges) while a drawn signal is in
+    // flight keeps the part it travelled lit.
+    s.opts.rewire = 0.05;
+    const rewired = s.sendAlong(points);
+    const travelled = [];
+    let remapped = 0, kept = true;
+    s.on('hop', (ev) => {
+        if (s.signals.includes(rewired)) travelled.push(s.net.edges[ev.edge]);
+    });
+    for (let step = 0; step < 400 && s.signals.includes(rewired); step++) {
+        const edges = s.net.edges;
+        s.update(0.05);
+        if (s.net.edges !== edges) remapped++;
+        kept = kept && travelled.every(e => e.lit === 1 || !s.net.edges.includes(e));
     }
+    check(`a drawn trail stays lit while the mesh rewires (${remapped} rewires, `
+        + `${travelled.length} hops)`, kept && remapped > 0 && travelled.length > 2);
+}
+
+// --- Sonification ------------------------------------------------------------------
+{
+    let created = 0;
+    const sound = new Sonifier(() => {
+        created++;
+        return new FakeAudioContext();
+    });
+    const ev = (type, sx, layer = 'main', colorIdx = 0) => ({ type, sx, layer, colorIdx });
+    sound.handle(ev('arrive', 100), 1000);
+    check('no audio context before the sound is turned on', created === 0);
+    sound.enable();
+    const ctx = sound.ctx;
+    check('turning the sound on starts the context', created === 1 && ctx.state === 'running');
+    sound.handle(ev('arrive', 100), 1000);
+    sound.handle(ev('arrive', 900), 1000);
+    sound.handle(ev('arrive', 900, 'depth'), 1000);
+    sound.handle(ev('hop', 900), 1000);
+    const [left, right, depth, hop] = ctx.voices.map(voiceChain);
+    check('notes pan with screen x', left.pan < 0 && right.pan > 0);
+    check('depth-layer notes and node passes are quieter than arrivals',
+        depth.gain < right.gain && hop.gain < right.gain);
+    ctx.currentTime = 10;
+    const before = ctx.voices.length;
+    sound.handle(ev('burst', 500, 'main', 2), 1000);
+    const chord = ctx.voices.slice(before);
+    check('a burst plays a strummed three-note chord', chord.length === 3
+        && chord[0].frequency.value < chord[1].frequency.value
+        && chord[1].frequency.value < chord[2].frequency.value
+        && chord[0].startAt < chord[2].startAt);
+    check('the scale climbs with the palette index',
+        [0, 1, 2, 3, 4, 5, 6, 7, 8].every(i => noteFreq(i + 1) > noteFreq(i)));
+    ctx.currentTime = 20;
+    const flood = ctx.voices.length;
+    for (let i = 0; i < 100; i++) sound.handle(ev('arrive', 500, 'main', i), 1000);
+    check(`at most SIGNAL_HARD_CAP notes ring at once (${ctx.voices.length - flood})`,
+        ctx.voices.length - flood === config.SIGNAL_HARD_CAP);
+    sound.disable();
+    sound.handle(ev('arrive', 500), 1000);
+    check('turning the sound off silences it', ctx.state === 'suspended'
+        && ctx.voices.length - flood === config.SIGNAL_HARD_CAP);
+
+    const view = { w: 1440, h: 900, rot: 0.7, offset: { x: 30, y: -12 } };
+    const p = canvas2d.layerToScreen(view, DEPTH.offset, DEPTH.rot, 300, 200);
+    const q = canvas2d.screenToLayer(view, DEPTH.offset, DEPTH.rot, p.x, p.y);
+    view.zoom = 1.7;
+    const z = canvas2d.layerToScreen(view, MAIN.offset, MAIN.rot, 300, 200);
+    const zq = canvas2d.screenToLayer(view, MAIN.offset, MAIN.rot, z.x, z.y);
+    check('layerToScreen inverts screenToLayer (also zoomed)',
+        Math.abs(q.x - 300) < 1e-9 && Math.abs(q.y - 200) < 1e-9
+        && Math.abs(zq.x - 300) < 1e-9 && Math.abs(zq.y - 200) < 1e-9);
+    check('zoom scales around the screen centre',
+        Math.abs(Math.hypot(z.x - 720 - 30, z.y - 450 + 12)
+            - 1.7 * Math.hypot(300 - 720, 200 - 450)) < 1e-9);
+    // Zooming in keeps what is under the focus point in place.
+    const still = { ...view, rot: 0, zoom: 1, focus: { x: 200, y: 150 } };
+    const under = canvas2d.screenToLayer(still, 1, 0, 200, 150);
+    still.zoom = 2.2;
+    const held = canvas2d.layerToScreen(still, 1, 0, under.x, under.y);
+    const inv = canvas2d.screenToLayer(still, 1, 0, held.x, held.y);
+    check('zooming in closes in on the focus point',
+        Math.hypot(held.x - 200, held.y - 150) < 1e-9
+        && Math.hypot(inv.x - under.x, inv.y - under.y) < 1e-9);
+    // Deeper layers zoom less: the depth layer scales by zoom^ZOOM_DEPTH.
+    const d = canvas2d.layerToScreen(view, 0, 0, 300, 200, DEPTH.zoom);
+    const dq = canvas2d.screenToLayer(view, 0, 0, d.x, d.y, DEPTH.zoom);
+    check('per-layer zoom factors (deeper layers zoom less)',
+        Math.abs(dq.x - 300) < 1e-9 && Math.abs(dq.y - 200) < 1e-9
+        && Math.abs(Math.hypot(d.x - 720, d.y - 450)
+            - 1.7 ** DEPTH.zoom * Math.hypot(300 - 720, 200 - 450)) < 1e-9);
+}
+
+// --- Engine API (worker messages, renderer backends) -----------------------------
+check('every worker message maps to a public engine method',
+    ENGINE_METHODS.every(m => !m.startsWith('_') && typeof Engine.prototype[m] === 'function'));
+{
+    // A paused engine never starts its loop, so no frame timer is left behind.
+    canvas2d.setSpriteFactory((size, key) => new RecordingCanvas(size, size, key));
+    const engine = new Engine(config.LAYERS.map(l => new RecordingCanvas(480, 320, l.name)));
+    engine.setPaused(true);
+    engine.resize(480, 320, 1);
+    check('a paused engine draws once and runs no loop',
+        engine.rafId === null && engine.layers.every(l => l.canvas.context.log.length > 0));
+    engine.nudge(config.KEY_NUDGE_PX, 0);
+    const first = engine.view.offset.x;
+    for (let i = 0; i < 20; i++) engine.nudge(config.KEY_NUDGE_PX, 0);
+    check('nudges shift the paused camera, up to KEY_NUDGE_MAX_PX',
+        engine.view.nudge.x === config.KEY_NUDGE_MAX_PX && Math.abs(engine.view.offset.x
+            - first - (config.KEY_NUDGE_MAX_PX - config.KEY_NUDGE_PX)) < 1e-9);
+    engine.setPaused(false);
+    const running = engine.rafId !== null;
+    engine.setPaused(true);
+    check('resuming restarts the loop, pausing stops it', running && engine.rafId === null);
+
+    const spin = engine.view.rot;
+    engine.pinch(10, 0.5);
+    const pinched = engine.view.zoom === config.ZOOM_MAX
+        && Math.abs(engine.view.rot - spin - 0.5) < 1e-9;
+    engine.pinchEnd();
+    engine.pinch(0.01, 0); // a new gesture starts from the current zoom
+    const floor = engine.view.zoom === config.ZOOM_MIN;
+    engine.pinch(0.5, -0.2); // relative to the same gesture's start
+    engine.pinchEnd();
+    check('pinches zoom (within ZOOM_MIN..ZOOM_MAX) and twists the camera', pinched && floor
+        && engine.view.zoom === config.ZOOM_MAX * 0.5);
+    // Frames driven by hand; pausing again clears the timer each one schedules.
+    for (let i = 1; i <= 80; i++) engine.frame(i * 100);
+    engine.setPaused(true);
+    check('zoom and twist ease back after the fingers lift',
+        Math.abs(engine.view.gesture.zoom - 1) < 1e-3
+            && Math.abs(engine.view.gesture.rot) < 1e-3);
+    const breathing = Math.abs(engine.view.zoom - 1) <= config.ZOOM_BREATH_AMP + 1e-9;
+
+    engine.zoomTo(100, 80, 2);
+    const aimed = engine.view.aim.zoom === 2 && engine.view.focus.x === 100;
+    engine.zoomTo(0, 0, 0.1);
+    const out = engine.view.aim.zoom === config.ZOOM_MIN && engine.view.focus.x === 240;
+    check('the zoom breathes gently and zoomTo() aims at a point (or recentres)',
+        breathing && aimed && out);
+    engine.zoomTo(100, 80, 2);
+    engine.setPaused(false);
+    engine.zoomTo(0, 0, 1); // a running engine glides there
+    engine.setPaused(true);
+    const t0 = engine.last;
+    for (let i = 1; i <= 10; i++) engine.frame(t0 + i * 100);
+    const gliding = engine.view.aim.zoom;
+    for (let i = 11; i <= 120; i++) engine.frame(t0 + i * 100);
+    engine.setPaused(true);
+    check('zoomTo() glides while running',
+        gliding > 1.05 && gliding < 1.95 && Math.abs(engine.view.aim.zoom - 1) < 1e-3);
+    canvas2d.setSpriteFactory();
+}
+{
+    // worker-engine.js against a fake worker: `emit` plays the worker's side,
+    // and main-thread engines taking over record their calls.
+    class FakeWorker {
+        constructor() {
+            this.sent = [];
+            this.handlers = {};
+            this.terminated = false;
+        }
+        postMessage(msg, transfer) { this.sent.push({ msg, transfer }); }
+        addEventListener(type, fn) { this.handlers[type] = fn; }
+        terminate() { this.terminated = true; }
+        emit(type, data) { this.handlers[type]({ data }); }
+    }
+    const recorder = () => {
+        const calls = [];
+        const local = { calls };
+        for (const name of [...ENGINE_METHODS, 'on', 'off', 'snapshot']) {
+            local[name] = (...args) => calls.push([name, ...args]);
+        }
+        return local;
+    };
+    const start = () => {
+        const worker = new FakeWorker();
+        const canvases = config.LAYERS.map(l => ({
+            name: l.name,
+            transferControlToOffscreen() {
+                this.given = true;
+                return { offscreen: this.name };
+            },
+        }));
+        const taken = [];
+        const mainEngine = (transferred, saved) => {
+            taken.push({ transferred, saved, local: recorder() });
+            return taken.at(-1).local;
+        };
+        const init = { reducedMotion: false, saved: 'saved', overrides: {} };
+        const stored = [];
+        const engine = workerEngine(worker, canvases, init, mainEngine, s => stored.push(s));
+        return { worker, canvases, taken, engine, stored };
+    };
+    // What worker.js posts: the snapshot as JSON bytes.
+    const snapshotBytes = (data) => new TextEncoder().encode(JSON.stringify(data)).buffer;
+
+    let run = start();
+    run.engine.resize(480, 320, 1);
+    run.engine.burst(10, 20);
+    const waited = run.worker.sent.length === 0 && !run.canvases.some(c => c.given);
+    run.worker.emit('message', { type: 'ready' });
+    const [first] = run.worker.sent;
+    check('the worker gets the canvases once it is ready, then the calls made meanwhile',
+        waited && run.worker.sent.map(s => s.msg.type).join() === 'init,resize,burst'
+        && first.transfer.length === config.LAYERS.length && first.msg.saved === 'saved');
+
+    // A browser without module workers: the worker fails to load.
+    run = start();
+    const heard = [];
+    run.engine.on('hop', ev => heard.push(ev));
+    run.engine.resize(480, 320, 1);
+    run.engine.setTheme('light');
+    run.engine.burst(10, 20);
+    run.worker.emit('error');
+    run.engine.flares(3);
+    let [taken] = run.taken;
+    const [, , fire] = taken.local.calls.find(c => c[0] === 'on');
+    fire({ type: 'hop' });
+    check('a worker that fails to load hands over to a main-thread engine',
+        run.worker.terminated && run.taken.length === 1 && !taken.transferred
+        && taken.saved === 'saved' && !run.canvases.some(c => c.given)
+        && taken.local.calls.map(c => c[0]).join() === 'resize,setTheme,on,flares'
+        && heard.length === 1);
+
+    // A worker that crashes after taking the canvases and sending a snapshot.
+    run = start();
+    run.engine.setPaused(true);
+    run.worker.emit('message', { type: 'ready' });
+    run.worker.emit('message', { type: 'snapshot', data: snapshotBytes('timed') });
+    const unsaved = run.stored.length === 0;
+    const latest = run.engine.snapshot();
+    const asked = run.worker.sent.filter(s => s.msg.type === 'snapshot').length;
+    run.worker.emit('message', { type: 'snapshot', data: snapshotBytes('fresh') });
+    check('snapshot() answers at once with the worker\'s latest snapshot',
+        unsaved && latest === 'timed');
+    check('and asks for a fresh one, saved when it arrives',
+        asked === 1 && run.stored.join() === 'fresh');
+    run.worker.emit('message', { type: 'snapshot', data: snapshotBytes('latest') });
+    run.worker.emit('messageerror');
+    run.worker.emit('error');
+    [taken] = run.taken;
+    check('a failing worker is replaced once, on fresh canvases, from its latest snapshot',
+        run.taken.length === 1 && taken.transferred && taken.saved === 'latest'
+        && taken.local.calls.map(c => c.join()).join() === 'setPaused,true');
+}
+{
+    // worker.js itself, with `self` and its snapshot timer faked.
+    const posted = [];
+    const timers = new Map(); // id -> callback
+    let nextTimer = 1;
+    const { setInterval: realSet, clearInterval: realClear } = globalThis;
+    globalThis.self = {
+        postMessage: (msg, transfer) => posted.push({ msg, transfer }),
+        addEventListener() {},
+    };
+    globalThis.setInterval = (fn) => {
+        timers.set(nextTimer, fn);
+        return nextTimer++;
+    };
+    globalThis.clearInterval = (id) => timers.delete(id);
+    canvas2d.setSpriteFactory((size, key) => new RecordingCanvas(size, size, key));
+    try {
+        await import('../worker.js');
+        const send = (data) => self.onmessage({ data });
+        const ready = posted.length === 1 && posted[0].msg.type === 'ready';
+        send({
+            type: 'init', reducedMotion: false, saved: null, overrides: {},
+            canvases: config.LAYERS.map(l => new RecordingCanvas(480, 320, l.name)),
+        });
+        const started = timers.size === 1;
+        for (const tick of timers.values()) tick();
+        check('the worker\'s snapshot timer sends nothing while no frame was drawn',
+            ready && started && posted.length === 1);
+        send({ type: 'setPaused', args: [true] });
+        check('pausing stops the worker\'s snapshot timer', timers.size === 0);
+        send({ type: 'resize', args: [480, 320, 1] });
+        send({ type: 'snapshot' });
+        const [{ msg, transfer }] = posted.slice(1);
+        const data = JSON.parse(new TextDecoder().decode(msg.data));
+        check('asked for a snapshot, the worker transfers it as JSON bytes',
+            msg.type === 'snapshot' && transfer[0] === msg.data
+                && config.LAYERS.every(l => data[l.name].net.nodes.length > 0));
+    } finally {
+        delete globalThis.self;
+        globalThis.setInterval = realSet;
+        globalThis.clearInterval = realClear;
+        canvas2d.setSpriteFactory();
+    }
+}
+{
+    // A shader that fails to compile (a driver bug, a missing feature) on
+    // the scratch canvas leaves the layer canvases untouched for Canvas2D.
+    class GLCanvas extends RecordingCanvas {
+        getContext(type) {
+            if (type === 'webgl2') this.askedGL = true;
+            return super.getContext(type);
+        }
+    }
+    const brokenGL = {
+        VERTEX_SHADER: 1, FRAGMENT_SHADER: 2, COMPILE_STATUS: 3,
+        createProgram: () => ({}), createShader: () => ({}), shaderSource() {}, compileShader() {},
+        getShaderParameter: () => false, getShaderInfoLog: () => 'syntax error',
+        getExtension: () => null,
+    };
+    const { RENDERER } = config;
+    const warn = console.warn;
+    const warnings = [];
+    config.RENDERER = 'webgl';
+    globalThis.OffscreenCanvas = class { getContext() { return brokenGL; } };
+    console.warn = (msg) => warnings.push(msg);
+    canvas2d.setSpriteFactory((size, key) => new RecordingCanvas(size, size, key));
+    try {
+        const engine = new Engine(config.LAYERS.map(l => new GLCanvas(480, 320, l.name)));
+        engine.setPaused(true);
+        engine.resize(480, 320, 1);
+        check('a WebGL shader that fails to compile leaves the layers to Canvas2D',
+            engine.layers.every(l => l.draw === canvas2d && !l.canvas.askedGL
+                && l.canvas.context.log.length > 0)
+            && warnings.length === config.LAYERS.length
+            && warnings[0].includes('syntax error'));
+    } finally {
+        config.RENDERER = RENDERER;
+        delete globalThis.OffscreenCanvas;
+        console.warn = warn;
+        canvas2d.setSpriteFactory();
+    }
+}
+check('the WebGL backend has the Canvas2D API',
+    ['createContext', 'fitContext', 'renderLayer', 'clearCaches']
+        .every(f => typeof canvas2d[f] === 'function' && typeof webgl[f] === 'function'));
+
+// --- Layer stack --------------------------------------------------------------------
+{
+    // A third, farther layer is a config change: the depth layer's look,
+    // less camera motion and a slower redraw.
+    const far = {
+        ...DEPTH, name: 'far', offset: 0.2, rot: -0.3, zoom: 0.25, spacingScale: 0.4,
+        redrawEvery: 3,
+    };
+    const defaults = config.LAYERS;
+    config.LAYERS = [far, { ...DEPTH, backdrop: false }, MAIN];
+    canvas2d.setSpriteFactory((size, key) => new RecordingCanvas(size, size, key));
+    try {
+        const canvases = () => config.LAYERS.map(l => new RecordingCanvas(480, 320, l.name));
+        const engine = new Engine(canvases());
+        engine.setPaused(true);
+        engine.resize(480, 320, 2);
+        check('the engine builds one simulation per configured layer',
+            engine.layers.map(l => l.sim.opts.layer).join() === 'far,depth,main'
+            && engine.simMain === engine.layers[2].sim
+            && engine.layers[0].sim.net.spacing < engine.layers[1].sim.net.spacing);
+        check('each layer canvas gets its resolution scale',
+            engine.layers[0].canvas.width === Math.round(480 * DEPTH.resScale)
+            && engine.layers[2].canvas.width === 960);
+
+        // A layer was drawn in a frame when its recording context grew.
+        const drawn = { far: 0, depth: 0, main: 0 };
+        const t0 = engine.last;
+        for (let i = 1; i <= 12; i++) {
+            const before = engine.layers.map(l => l.canvas.context.log.length);
+            engine.frame(t0 + i * 16);
+            engine.layers.forEach((l, k) => {
+                if (l.canvas.context.log.length > before[k]) drawn[l.spec.name]++;
+            });
+        }
+        engine.setPaused(true);
+        check(`layers redraw at their own cadence (${drawn.far}, ${drawn.depth}, ${drawn.main})`,
+            drawn.far === 4 && drawn.depth === 6 && drawn.main === 12);
+
+        const saved = engine.snapshot();
+        const resumed = new Engine(canvases(), false, saved);
+        resumed.setPaused(true);
+        resumed.resize(480, 320, 2);
+        check('snapshots keep every layer by name',
+            Object.keys(saved).join() === 'far,depth,main'
+            && resumed.layers.every((l, i) =>
+                l.sim.net.nodes.length === engine.layers[i].sim.net.nodes.length));
+    } finally {
+        config.LAYERS = defaults;
+        canvas2d.setSpriteFactory();
+    }
+}
+
+// --- SVG export --------------------------------------------------------------------
+{
+    const m = new Simulation(1440, 900, { ...mainOpts, seed: 3 });
+    const d = new Simulation(1440, 900, { ...depthOpts, seed: 4 });
+    for (let step = 0; step < 60; step++) {
+        m.update(0.05);
+        d.update(0.05);
+    }
+    m.burstAt(720, 450);
+    m.update(0.1);
+    const view = {
+        w: 1440, h: 900, dpr: 1,
+        pointer: { x: 720, y: 450, strength: 1 },
+        offset: { x: 4, y: -3 },
+        rot: 0.4,
+    };
+    const svg = canvas2d.exportSVG([{ spec: DEPTH, sim: d }, { spec: MAIN, sim: m }], view);
+    check('exportSVG(simMain, simDepth, view) still draws the two layers',
+        canvas2d.exportSVG(m, d, view) === svg);
+    const count = (re) => (svg.match(re) || []).length;
+    check('SVG export is a standalone document',
+        svg.startsWith('<svg xmlns="http://www.w3.org/2000/svg"') && svg.endsWith('</svg>')
+        && count(/<g[ >]/g) === count(/<\/g>/g) && !svg.includes('NaN'));
+    check('SVG export draws every node of both layers',
+        count(/<circle cx=[^>]*fill="rgb/g)
+            >= m.net.nodes.length + d.net.nodes.length);
+    check('SVG export blurs the depth layer and adds the vignette',
+        svg.includes('<feGaussianBlur') && svg.includes('fill="url(#vignette)"'));
+    check('SVG export applies both cameras',
+        svg.includes(`rotate(${Math.round(0.4 * 180 / Math.PI * 100) / 100} 720 450)`)
+        && svg.includes(
+            `rotate(${Math.round(0.4 * DEPTH.rot * 180 / Math.PI * 100) / 100}`));
+    check('SVG export includes trails, signal heads and rings',
+        svg.includes('url(#head-') && count(/stroke-width="3.4"/g) > 0
+        && count(/stroke-width="1.6"/g) > 0);
+
+    // Two colours whose digits run together the same way.
+    const twins = new Simulation(1440, 900,
+        { ...mainOpts, seed: 3, palette: ['rgb(1, 23, 4)', 'rgb(12, 3, 4)'] });
+    for (let i = 0; i < 12; i++) twins.burstAt(720, 450);
+    twins.update(0.1);
+    const heads = canvas2d.exportSVG([{ spec: MAIN, sim: twins }], view)
+        .match(/<radialGradient id="head-[^"]*">.*?<\/radialGradient>/g) || [];
+    check(`SVG sprite ids tell similar colours apart (${heads.length} head gradients)`,
+        heads.length === 2 && heads.some(h => h.includes('rgb(1, 23, 4)'))
+        && heads.some(h => h.includes('rgb(12, 3, 4)')));
+}
+
+// --- Renderer golden files ----------------------------------------------------------
+// Both layers of a seeded frame are drawn into recording contexts and
+// compared line by line with test/golden/. After an intended rendering
+// change, refresh them with: UPDATE_GOLDEN=1 npm test
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+
+// A missing golden file fails: only UPDATE_GOLDEN writes them.
+function matchesGolden(name, text) {
+    const file = new URL(name, GOLDEN_DIR);
+    if (process.env.UPDATE_GOLDEN) {
+        mkdirSync(GOLDEN_DIR, { recursive: true });
+        writeFileSync(file, text + '\n');
+        console.log(`info wrote golden file ${name}`);
+        return true;
+    }
+    if (!existsSync(file)) {
+        console.log(`     ${name} is missing; write it with UPDATE_GOLDEN=1 npm test`);
+        return false;
+    }
+    const want = readFileSync(file, 'utf8').trimEnd().split('\n');
+    const got = text.split('\n');
+    const at = want.findIndex((line, i) => line !== got[i]);
+    if (at < 0 && want.length === got.length) return true;
+    const i = at < 0 ? want.length : at;
+    console.log(`     ${name}:${i + 1}: expected ${want[i]}, got ${got[i]}`);
+    return false;
+}
+
+{
+    canvas2d.setSpriteFactory((size, key) => new RecordingCanvas(size, size, key));
+    const m = new Simulation(480, 320, { ...mainOpts, seed: 'golden-main' });
+    const d = new Simulation(480, 320, { ...depthOpts, seed: 'golden-depth' });
+    for (let step = 0; step < 40; step++) {
+        m.update(0.05);
+        d.update(0.05);
+        if (step === 30) m.burstAt(240, 160);
+    }
+    const view = {
+        w: 480, h: 320, dpr: 1,
+        pointer: { x: 250, y: 150, strength: 0.8 },
+        offset: { x: 2.5, y: -1.5 },
+        rot: 0.2,
+    };
+    const mainCanvas = new RecordingCanvas(480, 320, 'main');
+    const depthCanvas = new RecordingCanvas(480, 320, 'depth');
+    canvas2d.renderLayer(mainCanvas.getContext('2d'), m, view, MAIN);
+    canvas2d.renderLayer(depthCanvas.getContext('2d'), d, view, DEPTH);
+    const mainLog = mainCanvas.context.log, depthLog = depthCanvas.context.log;
+    canvas2d.setSpriteFactory();
+
+    check('main layer ends with the vignette',
+        mainLog.at(-2).startsWith('fillStyle = radial(')
+        && mainLog.at(-1) === 'fillRect(0, 0, 480, 320)');
+    check('depth camera translates, then rotates around the centre',
+        depthLog.join('\n').includes('translate(1, -0.6)\ntranslate(240, 160)\n'
+            + `rotate(${Math.round(0.2 * DEPTH.rot * 100) / 100})\ntranslate(-240, -160)`));
+    check('main frame matches its golden file',
+        matchesGolden('main.txt', mainCanvas.context.toString()));
+    check('depth frame matches its golden file',
+        matchesGolden('depth.txt', depthCanvas.context.toString()));
 }
 
 // --- Palette checks -------------------------------------------------------------
@@ -116,9 +1177,479 @@ check('depth nodes are grey', simD.net.nodes.every(n => isGrey(n.colorStr)));
 check('main nodes are colourful',
     sim.net.nodes.filter(n => !isGrey(n.colorStr)).length > sim.net.nodes.length * 0.6);
 check('depth bokeh uses the grey palette',
-    simD.bokeh.every(b => config.DEPTH_BOKEH_COLORS.includes(b.color)));
+    simD.bokeh.every(b => DEPTH.bokehColors.includes(b.color)));
+
+// --- Themes ------------------------------------------------------------------------
+try {
+    const dark = { top: config.BG_TOP, signals: config.SIGNAL_COLORS, edge: MAIN.edgeRgb };
+    check('applyTheme() writes a preset into config and the layer looks',
+        applyTheme('light') === 'light' && config.BG_TOP === THEMES.light.BG_TOP
+            && MAIN.edgeRgb === THEMES.light.layers.main.edgeRgb
+            && DEPTH.palette === THEMES.light.layers.depth.palette);
+    applyTheme('mono');
+    check('presets do not mix: another one restores what it leaves out',
+        config.BG_TOP === dark.top && DEPTH.palette !== THEMES.light.layers.depth.palette
+            && MAIN.edgeRgb === THEMES.mono.layers.main.edgeRgb);
+    check('unknown themes fall back to dark',
+        applyTheme('sepia') === 'dark' && config.SIGNAL_COLORS === dark.signals
+            && MAIN.edgeRgb === dark.edge);
+
+    // Recolouring keeps everything but the colours: the random stream,
+    // the mesh and each item's place in its palette.
+    const a = new Simulation(1440, 900, { ...mainOpts, seed: 5 });
+    const b = new Simulation(1440, 900, { ...mainOpts, seed: 5 });
+    for (let step = 0; step < 60; step++) {
+        a.update(0.05);
+        b.update(0.05);
+    }
+    applyTheme('light');
+    b.recolor(MAIN);
+    const light = new Simulation(1440, 900, { ...layerOptions(MAIN), seed: 5 });
+    check('recolor() gives nodes the colours a fresh mesh gets',
+        b.net.nodes.slice(0, 50).every((n, i) => n.colorStr === light.net.nodes[i].colorStr)
+            && b.net.nodes.some((n, i) => n.colorStr !== a.net.nodes[i].colorStr));
+    check('recolor() tints signals and particles by their palette index',
+        b.signals.length > 0 && b.signals.every(sig => config.SIGNAL_COLORS.includes(sig.color))
+            && b.bokeh.every((f, i) => f.color === config.BOKEH_COLORS[a.bokeh[i].tone])
+            && b.stars.every(st => config.STAR_COLORS.includes(st.color)));
+    a.update(0.05);
+    b.update(0.05);
+    check('recolor() leaves the run in step',
+        b.random.getState() === a.random.getState()
+            && b.net.nodes.every((n, i) => n.x === a.net.nodes[i].x && n.y === a.net.nodes[i].y));
+    const mono = new Simulation(1440, 900, { ...depthOpts, seed: 5 });
+    mono.recolor(DEPTH);
+    check('mono layers recolour to the theme greys',
+        mono.net.nodes.every(n => isGrey(n.colorStr))
+            && mono.signals.every(sig => DEPTH.palette.includes(sig.color)));
 
-// --- Soak: 60 simulated seconds with clicks and button flares --------------------
+    // The engine drops its cached gradients and repaints a paused frame.
+    applyTheme('dark');
+    canvas2d.setSpriteFactory((size, key) => new RecordingCanvas(size, size, key));
+    const engine = new Engine(config.LAYERS.map(l => new RecordingCanvas(480, 320, l.name)));
+    engine.setPaused(true);
+    engine.resize(480, 320, 1);
+    const back = engine.layers[0].canvas.context;
+    const front = engine.layers[engine.layers.length - 1].canvas.context;
+    const added = (log) => log.includes('globalCompositeOperation = "lighter"');
+    const addedOnDark = added(back.log);
+    back.log.length = 0;
+    front.log.length = 0;
+    engine.setTheme('light');
+    check('setTheme() repaints a paused engine with the new background',
+        back.log.some(line => line.includes(THEMES.light.BG_TOP))
+            && !back.log.some(line => line.includes(dark.top)));
+    check('setTheme() recolours every layer',
+        engine.simMain.opts.palette === THEMES.light.SIGNAL_COLORS
+            && engine.layers[0].sim.opts.palette === THEMES.light.layers.depth.palette);
+    // Adding light to the paper backdrop would wash it out to white.
+    check('the light theme lays the backdrop canvas\'s light passes on top',
+        addedOnDark && !added(back.log) && added(front.log)
+            && back.log.includes('globalCompositeOperation = "source-over"'));
+    const paper = canvas2d.exportSVG(engine.layers, engine.view);
+    check('so does its SVG export',
+        (paper.match(/class="over"/g) || []).length === 1 && paper.includes('.over .add'));
+    const resumed = new Engine(config.LAYERS.map(l => new RecordingCanvas(480, 320, l.name)),
+        false, JSON.parse(JSON.stringify(engine.snapshot())));
+    resumed.setPaused(true);
+    applyTheme('contrast');
+    resumed.resize(480, 320, 1);
+    check('a snapshot taken under another theme resumes in the current one',
+        resumed.simMain.opts.palette === THEMES.contrast.SIGNAL_COLORS);
+} finally {
+    applyTheme('dark');
+    canvas2d.setSpriteFactory();
+}
+
+// --- Scheduled palettes ------------------------------------------------------------
+{
+    const at = (...parts) => applyTheme('schedule', new Date(...parts));
+    const look = () => Object.fromEntries(SCHEDULED_KEYS.map(k => [k, config[k]]));
+    // The largest step between two looks: colour channels, numbers x 100.
+    const channels = (c) => (c.startsWith('#')
+        ? [1, 3, 5].map(i => parseInt(c.slice(i, i + 2), 16)) : c.match(/[\d.]+/g).map(Number));
+    const step = (a, b) => {
+        if (Array.isArray(a)) return Math.max(...a.map((v, i) => step(v, b[i])));
+        if (typeof a === 'number') return Math.abs(a - b) * 100;
+        return Math.max(...channels(a).map((v, i) => Math.abs(v - channels(b)[i])));
+    };
+    const largestStep = (from, minutes, count) => {
+        let prev = null;
+        let largest = 0;
+        for (let i = 0; i <= count; i++) {
+            at(from.getTime() + i * minutes * 60000);
+            const now = look();
+            if (prev) {
+                largest = Math.max(largest, ...SCHEDULED_KEYS.map(k => step(prev[k], now[k])));
+            }
+            prev = now;
+        }
+        return largest;
+    };
+    const dayparts = DAYPARTS.map(part => part.values);
+    const warn = console.warn;
+    try {
+        applyTheme('dark');
+        const dark = look();
+        check('"schedule" is a theme choice', THEME_CHOICES.includes('schedule')
+            && readOverrides('?theme=schedule').values.THEME === 'schedule');
+        check('summer nights are the dark theme',
+            at(2026, 6, 15, 2) === 'schedule'
+                && JSON.stringify(look()) === JSON.stringify(dark));
+        at(2026, 6, 15, 12);
+        const noon = look();
+        at(2026, 6, 15, 7);
+        check('the background follows the time of day',
+            noon.BG_TOP !== dark.BG_TOP && config.BG_TOP !== noon.BG_TOP
+                && config.SIGNAL_COLORS === dark.SIGNAL_COLORS);
+        at(2026, 0, 20, 12);
+        const winter = SEASONS.find(s => s.name === 'winter').values;
+        check('the palettes follow the season',
+            JSON.stringify(config.SIGNAL_COLORS) === JSON.stringify(winter.SIGNAL_COLORS)
+                && config.NODE_HUE_SHIFT === winter.NODE_HUE_SHIFT
+                && config.BG_TOP === noon.BG_TOP);
+        at(2026, 11, 25, 12);
+        check('holidays take the palettes over',
+            JSON.stringify(config.SIGNAL_COLORS)
+                === JSON.stringify(HOLIDAYS.find(h => h.name === 'winter holidays').values
+                    .SIGNAL_COLORS));
+        config.SCHEDULE_SOUTH = true;
+        at(2026, 0, 20, 12);
+        check('SCHEDULE_SOUTH turns the seasons around',
+            JSON.stringify(config.SIGNAL_COLORS) === JSON.stringify(dark.SIGNAL_COLORS));
+        config.SCHEDULE_SOUTH = false;
+
+        // Minute by minute through a whole day, and through the days where
+        // the holidays fade in over the season's blend into winter.
+        check('colours change smoothly through the day',
+            largestStep(new Date(2026, 3, 30), 1, 24 * 60) < 6);
+        check('colours change smoothly across seasons and holidays',
+            largestStep(new Date(2026, 11, 19), 1, 3 * 24 * 60) < 6);
+
+        // The engine re-applies the theme on a timer; the meshes stay.
+        canvas2d.setSpriteFactory((size, key) => new RecordingCanvas(size, size, key));
+        const engine = new Engine(config.LAYERS.map(l => new RecordingCanvas(480, 320, l.name)));
+        engine.setPaused(true);
+        engine.resize(480, 320, 1);
+        const sims = engine.layers.map(l => l.sim);
+        const nodes = engine.simMain.net.nodes.map(n => `${n.hx},${n.hy}`).join();
+        engine.setTheme('schedule');
+        check('setTheme("schedule") recolours on a timer and keeps the meshes',
+            engine.scheduleTimer !== 0 && engine.layers.every((l, i) => l.sim === sims[i])
+                && engine.simMain.net.nodes.map(n => `${n.hx},${n.hy}`).join() === nodes);
+        globalThis.document = { hidden: true };
+        config.BG_TOP = '#010203';
+        engine._scheduleTick();
+        check('a hidden page skips the schedule\'s ticks', config.BG_TOP === '#010203');
+        globalThis.document.hidden = false;
+        engine._scheduleTick();
+        check('a visible one catches up', config.BG_TOP !== '#010203');
+
+        // Every part of the day made invalid: the tick falls back to dark.
+        for (const part of DAYPARTS) part.values = { ...part.values, BG_TOP: 'navy' };
+        const warnings = [];
+        console.warn = (msg) => warnings.push(msg);
+        engine._scheduleTick();
+        check('a scheduled look that breaks the schema falls back to dark',
+            engine.scheduleTimer === 0 && config.BG_TOP === dark.BG_TOP
+                && warnings.length === 1 && warnings[0].includes('BG_TOP'));
+        for (const [i, part] of DAYPARTS.entries()) part.values = dayparts[i];
+        engine.setTheme('schedule');
+        engine.setTheme('dark');
+        check('leaving the schedule stops its timer', engine.scheduleTimer === 0);
+    } finally {
+        console.warn = warn;
+        delete globalThis.document;
+        for (const [i, part] of DAYPARTS.entries()) part.values = dayparts[i];
+        config.SCHEDULE_SOUTH = false;
+        applyTheme('dark');
+        canvas2d.setSpriteFactory();
+    }
+}
+
+// --- URL overrides ------------------------------------------------------------------
+{
+    const { values, problems } = readOverrides(
+        '?SIGNAL_MAX=14&rot_speed_deg_s=0&theme=mono&seed=42&SOUND=false&DUST_COLOR=1,2,3',
+        '#SIGNAL_MAX=12&SIGNAL_COLORS=%23ff0000,%2300ff00&LAYOUT=hex');
+    check('URL overrides are typed like the defaults (the hash wins)',
+        JSON.stringify(values) === JSON.stringify({
+            SIGNAL_MAX: 12, ROT_SPEED_DEG_S: 0, THEME: 'mono', SEED: '42', SOUND: false,
+            DUST_COLOR: [1, 2, 3], SIGNAL_COLORS: ['#ff0000', '#00ff00'], LAYOUT: 'hex',
+        }) && problems.length === 0);
+    const bad = readOverrides(
+        '?NOPE=1&SIGNAL_MAX=lots&SOUND=maybe&LAYOUT=spiral&DUST_COLOR=1,2&LAYERS=x&JITTER=');
+    check('unknown keys and invalid values are reported and skipped',
+        Object.keys(bad.values).length === 0 && bad.problems.length === 7
+            && bad.problems[0] === 'NOPE: unknown setting');
+    const anchored = readOverrides('?seed=4', '#section');
+    check('a hash without "=" is a page anchor, not settings',
+        anchored.problems.length === 0 && anchored.values.SEED === '4');
+    const query = settingsQuery({ ...values, SPACING_MIN: config.SPACING_MIN });
+    const back = readOverrides(query).values;
+    check('settings export to a query string that reads back the same',
+        Object.keys(back).length === Object.keys(values).length
+            && Object.keys(values).every(k => JSON.stringify(back[k]) === JSON.stringify(values[k]))
+            && query.includes('theme=mono&SIGNAL_MAX=12') && !query.includes('SPACING_MIN'));
+
+    const saved = { ...config };
+    try {
+        applyOverrides({ SIGNAL_COLORS: ['#ff0000'], SIGNAL_MAX: 3 });
+        applyTheme('light');
+        check('colours set by the URL survive theme switches',
+            config.SIGNAL_COLORS[0] === '#ff0000' && config.BG_TOP === THEMES.light.BG_TOP
+                && config.SIGNAL_MAX === 3);
+        // A set that breaks a rule is retried key by key; every colour
+        // that applies stays pinned, not just the last one.
+        const retried = applyOverrides({
+            SIGNAL_COLORS: ['#00ff00'], BOKEH_COLORS: ['#0000ff'], SIGNAL_MAX: -1,
+        });
+        applyTheme('mono');
+        check('colours applied key by key all survive theme switches',
+            retried.length === 1 && config.SIGNAL_COLORS[0] === '#00ff00'
+                && config.BOKEH_COLORS[0] === '#0000ff');
+        config.SEED = 42;
+        const a = new Simulation(1440, 900, layerOptions(MAIN));
+        const b = new Simulation(1440, 900, layerOptions(MAIN));
+        check('SEED seeds every layer, each differently',
+            fingerprint(a) === fingerprint(b) && layerOptions(MAIN).seed === '42/main'
+                && layerOptions(DEPTH).seed === '42/depth');
+    } finally {
+        pinConfig(null);
+        Object.assign(config, saved);
+        applyTheme('dark');
+    }
+}
+
+// --- Tuning panel ------------------------------------------------------------------
+{
+    check('?tune is a page flag, not a setting',
+        readFlags('?tune&SIGNAL_MAX=3').has('tune') && readFlags('', '#tune').has('tune')
+            && readOverrides('?tune').problems.length === 0);
+
+    const source = readFileSync(new URL('../config.js', import.meta.url), 'utf8');
+    const sections = configSections(source);
+    const listed = sections.flatMap(sec => sec.keys.map(k => k.key));
+    const titles = sections.map(sec => sec.title);
+    check('the panel groups every config key under its section comment',
+        listed.length === Object.keys(config).length
+            && Object.keys(config).every(k => listed.includes(k))
+            && ['Layout', 'Colours', 'Signals', 'Stars', 'Camera'].every(t => titles.includes(t))
+            && sections[0].keys[0].key === 'SPACING_AREA_DIVISOR');
+    check('section comments become hints',
+        sections.find(sec => sec.title === 'Camera').keys
+            .find(k => k.key === 'SWAY_FREQ').hint === 'Hz');
+    const sectionOf = (key) => sections.find(sec => sec.keys.some(k => k.key === key)).title;
+    check('settings a mesh is built with rebuild it; colours do not',
+        ['SPACING_MIN', 'DRIFT_SAFETY', 'NODE_RADIUS_MAX', 'DUST_AREA_PER_PARTICLE',
+            'FG_BOKEH_COUNT', 'STAR_MAX'].every(k => rebuilds(sectionOf(k), k))
+            && !rebuilds(sectionOf('BG_TOP'), 'BG_TOP')
+            && !rebuilds(sectionOf('SIGNAL_MAX'), 'SIGNAL_MAX'));
+    const safety = sliderRange('DRIFT_SAFETY', config.DRIFT_SAFETY);
+    const force = sliderRange('POINTER_FORCE', config.POINTER_FORCE);
+    check('sliders keep DRIFT_SAFETY below 1/2 and let POINTER_FORCE pull',
+        safety.min > 0 && safety.max < 0.5 && force.min < 0 && force.max > config.POINTER_FORCE
+            && sliderRange('SIGNAL_MAX', 6).min === 0);
+
+    check('exporting without changes reproduces config.js', configSource(source, {}) === source);
+    const changes = {
+        SIGNAL_MAX: 14, ROT_SPEED_DEG_S: 0, MASK_FONT: "italic 200px 'Fira Sans'",
+        SIGNAL_COLORS: ['#ff0000', '#00ff00', '#0000ff', '#ffffff', '#000000', '#123456',
+            '#654321', '#abcdef', '#fedcba', '#111111'],
+    };
+    const exported = configSource(source, changes);
+    const url = `data:text/javascript,${encodeURIComponent(exported)}`;
+    const { config: reread } = await import(url);
+    check('the exported config.js has the changes and nothing else',
+        Object.keys(config).every(k => JSON.stringify(reread[k])
+            === JSON.stringify(Object.hasOwn(changes, k) ? changes[k] : config[k])));
+    check('the exported config.js keeps its comments and line length',
+        exported.includes('    ROT_SPEED_DEG_S: 0,        // continuous rotation')
+            && exported.split('\n').every(line => line.length <= 100));
+    check('LAYERS stays a config.js edit', !settable('LAYERS') && settable('SEED'));
+
+    // Live changes reach the running simulations.
+    const saved = { ...config };
+    canvas2d.setSpriteFactory((size, key) => new RecordingCanvas(size, size, key));
+    try {
+        config.SEED = 'tune';
+        const engine = new Engine(config.LAYERS.map(l => new RecordingCanvas(960, 640, l.name)));
+        engine.setPaused(true);
+        engine.resize(960, 640, 1);
+        const net = engine.simMain.net;
+        engine.setConfig({ SIGNAL_MAX: 3, SIGNAL_ROUTING: 'walk' });
+        check('setConfig() hot-applies without a rebuild',
+            engine.simMain.opts.signalMax === 3 && engine.simMain.opts.routing === 'walk'
+                && engine.layers[0].sim.opts.signalMax === DEPTH.signalMax
+                && engine.simMain.net === net);
+        engine.setConfig({ BG_TOP: '#123456' });
+        check('setConfig() repaints colour changes',
+            engine.layers[0].canvas.context.log.some(line => line.includes('#123456')));
+        engine.setConfig({ SPACING_MIN: 40, SPACING_MAX: 60 }, true);
+        // Edges run about one spacing, a little more across cell diagonals.
+        const rebuilt = engine.simMain.net;
+        const meanEdge = rebuilt.edges.reduce((sum, e) => sum
+            + Math.hypot(rebuilt.nodes[e.a].x - rebuilt.nodes[e.b].x,
+                rebuilt.nodes[e.a].y - rebuilt.nodes[e.b].y), 0) / rebuilt.edges.length;
+        check('layout changes rebuild the meshes',
+            rebuilt !== net && rebuilt.spacing >= 40 && rebuilt.spacing <= 60
+                && meanEdge >= 40 && meanEdge <= 60 * 1.2);
+        const changed = changedSettings();
+        check('tuned settings export (theme colours aside)',
+            changed.SIGNAL_MAX === 3 && changed.BG_TOP === '#123456' && changed.SPACING_MIN === 40
+                && !Object.hasOwn(changed, 'LAYERS'));
+        applyTheme('light');
+        const themed = changedSettings();
+        check('theme colours are not exported as settings',
+            !Object.hasOwn(themed, 'SIGNAL_COLORS') && themed.BG_TOP === '#123456');
+    } finally {
+        pinConfig(null);
+        Object.assign(config, saved);
+        applyTheme('dark');
+        canvas2d.setSpriteFactory();
+    }
+}
+
+// --- Config schema -----------------------------------------------------------------
+{
+    check('the shipped config passes the schema', validateConfig().length === 0);
+    const themed = Object.keys(THEMES).filter(name => {
+        try {
+            applyTheme(name);
+            return validateConfig().length === 0;
+        } catch {
+            return false;
+        } finally {
+            applyTheme('dark');
+        }
+    });
+    check('every theme preset passes the schema', themed.length === Object.keys(THEMES).length);
+
+    const broken = {
+        ...config,
+        SIGNAL_HARD_CAP: 6,
+        SIGNAL_HOPS_MIN: 12,
+        SPACING_MIN: 200,
+        SIGNAL_COLORS: ['#ff5d6c', 'orange'],
+        DRIFT_SAFETY: 0.6,
+    };
+    const problems = validateConfig(broken);
+    check('incoherent settings are each reported by name', problems.length === 5
+        && problems.includes('SIGNAL_MAX (8) must not exceed SIGNAL_HARD_CAP (6)')
+        && problems.includes('SIGNAL_HOPS_MIN (12) must not exceed SIGNAL_HOPS_MAX (9)')
+        && problems.includes('SPACING_MIN (200) must not exceed SPACING_MAX (150)')
+        && problems.includes(`SIGNAL_COLORS[1] must be a '#rrggbb' colour, got "orange"`)
+        && problems.some(p => p.startsWith('DRIFT_SAFETY must be below 0.5')));
+    check('types, unknown keys and layer entries are checked',
+        validateConfig({ ...config, JITTER: '0.3', NOPE: 1 }).join('|')
+            === 'JITTER must be a number, got "0.3"|NOPE is not a setting'
+        && validateConfig({ ...config, LAYERS: [...config.LAYERS, { ...MAIN, zoom: 0 }] })
+            .includes('LAYERS.main is listed twice (names must be unique)'));
+    let message = '';
+    try {
+        checkConfig(broken, 'config.js');
+    } catch (err) {
+        message = err.message;
+    }
+    check('checkConfig() throws every problem at once',
+        message.startsWith('Invalid config.js:\n  ') && message.split('\n').length === 6);
+
+    const saved = { ...config };
+    THEMES.broken = { BG_TOP: 'navy' };
+    try {
+        const rejected = applyOverrides({ SIGNAL_MAX: 20, JITTER: 0.2 });
+        check('overrides that break the schema are left out, the rest applied',
+            rejected.length === 1 && rejected[0].startsWith('SIGNAL_MAX ignored: SIGNAL_MAX (20)')
+                && config.SIGNAL_MAX === saved.SIGNAL_MAX && config.JITTER === 0.2);
+        let threw = false;
+        try {
+            applyTheme('broken');
+        } catch (err) {
+            threw = err.message.includes('BG_TOP must be');
+        }
+        check('a theme preset that breaks the schema is refused', threw);
+    } finally {
+        delete THEMES.broken;
+        pinConfig(null);
+        Object.assign(config, saved);
+        applyTheme('dark');
+    }
+}
+
+// --- Seeded runs are reproducible --------------------------------------------------
+// Everything a frame depends on: node positions and state, edge trails,
+// signals, arrival effects and particles.
+function fingerprint(s) {
+    return JSON.stringify([
+        s.time,
+        s.net.nodes.map(n => [n.x, n.y, n.lit, n.colorStr, n.r]),
+        s.net.edges.map(e => [e.a, e.b, e.lit, e.color]),
+        s.signals.map(g => [g.path, g.leg, g.t, g.wait, g.colorIdx, g.gen]),
+        s.rings.map(r => [r.t, r.color]),
+        s.sparks.map(p => [p.angle, p.t]),
+        s.dust.map(d => [d.x, d.y]),
+        s.bokeh.map(b => [b.x, b.y, b.color]),
+        s.stars.map(t => [t.z, t.ux, t.uy]),
+    ]);
+}
+
+function seededRun(seed, opts) {
+    const s = new Simulation(1440, 900, { ...opts, seed });
+    for (let step = 0; step < 200; step++) {
+        s.update(0.05);
+        if (step === 50) s.burstAt(720, 450);
+        if (step === 120) s.fireFlares(5);
+    }
+    return fingerprint(s);
+}
+
+check('same seed gives the same main run',
+    seededRun(42, mainOpts) === seededRun(42, mainOpts));
+check('same seed gives the same depth run',
+    seededRun('nice', depthOpts) === seededRun('nice', depthOpts));
+check('different seeds give different runs',
+    seededRun(42, mainOpts) !== seededRun(43, mainOpts));
+{
+    const a = new Simulation(800, 600, { ...mainOpts, seed: 7 });
+    const b = new Simulation(800, 600, { ...mainOpts, seed: 7 });
+    a.rebuild(1024, 768);
+    b.rebuild(1024, 768);
+    check('seeded rebuilds stay in step', fingerprint(a) === fingerprint(b));
+}
+
+// --- Snapshots ---------------------------------------------------------------------
+{
+    const a = new Simulation(1440, 900, { ...mainOpts, seed: 11 });
+    for (let step = 0; step < 100; step++) {
+        a.update(0.05);
+        if (step === 40) a.burstAt(720, 450);
+    }
+    a.resize(1280, 800); // leaves fading ghost edges behind
+    a.update(0.05);
+    const json = JSON.stringify(a);
+    const b = Simulation.fromJSON(json);
+    check('a snapshot restores the exact state', fingerprint(b) === fingerprint(a));
+    check('a restored snapshot rebuilds the adjacency',
+        b.net.adj.every((links, i) => links.length === a.net.adj[i].length) && connected(b.net));
+    for (let step = 0; step < 100; step++) {
+        a.update(0.05);
+        b.update(0.05);
+        if (step === 30) { a.burstAt(600, 400); b.burstAt(600, 400); }
+    }
+    check('a restored seeded run continues in step', fingerprint(b) === fingerprint(a));
+    check('snapshots survive a second round trip',
+        JSON.stringify(Simulation.fromJSON(JSON.parse(JSON.stringify(b)))) === JSON.stringify(b));
+    const old = { ...JSON.parse(json), version: SNAPSHOT_VERSION + 1 };
+    let refused = false;
+    try {
+        Simulation.fromJSON(old);
+    } catch {
+        refused = true;
+    }
+    check('snapshots of another version are refused', refused);
+}
+
+// --- Soak: 60 simulated seconds with clicks, button flares and the pointer -------
 let crossings = 0, maxSignals = 0;
 const mainTrail = new Set(), depthTrail = new Set();
 for (let step = 0; step < 60 * 20; step++) {
@@ -126,6 +1657,9 @@ for (let step = 0; step < 60 * 20; step++) {
     simD.update(0.05);
     if (step % 60 === 30) sim.burstAt(Math.random() * 1440, Math.random() * 900);
     if (step % 65 === 40) sim.fireFlares(5);
+    // The pointer sweeps fast, jumps and comes and goes.
+    sim.setPointer(720 + 600 * Math.sin(step * 0.2), 450 + 380 * Math.sin(step * 0.13),
+        step % 90 < 70 ? 1 : 0);
     maxSignals = Math.max(maxSignals, sim.signals.length);
     for (const e of sim.net.edges) if (e.color) mainTrail.add(e.color);
     for (const e of simD.net.edges) if (e.color) depthTrail.add(e.color);
@@ -136,7 +1670,7 @@ check(`signal hard cap respected (max seen ${maxSignals})`,
     maxSignals > 0 && maxSignals <= config.SIGNAL_HARD_CAP);
 check(`main trails span the rainbow (${mainTrail.size} colours)`, mainTrail.size >= 6);
 check('depth trails stay monochrome',
-    depthTrail.size > 0 && [...depthTrail].every(c => config.DEPTH_SIGNAL_COLORS.includes(c)));
+    depthTrail.size > 0 && [...depthTrail].every(c => DEPTH.palette.includes(c)));
 check('stars stay in a valid state',
     sim.stars.length > 0 && sim.stars.every(s => s.z > 0.05 && s.z <= 1.05 && s.fade >= 0));
 
@@ -150,5 +1684,25 @@ const perFrame = Number(process.hrtime.bigint() - t0) / 1e6 / 600;
 console.log(`info update cost, both layers: ${perFrame.toFixed(3)} ms/frame`);
 check('update cost under 1 ms/frame', perFrame < 1);
 
+// Births and deaths repair and re-measure the mesh locally, one repair per
+// frame, so their frames stay short even on a full-HD depth layer (the
+// densest mesh). With a birth or death every few frames the mean stays
+// low; a full re-measure there takes well over 100 ms, and the worst-frame
+// bound leaves room for a garbage-collection pause landing on the frame.
+const living = new Simulation(1920, 1080, { ...depthOpts, seed: 11, life: 0.05 });
+for (let i = 0; i < 300; i++) living.update(1 / 60);
+let worstLife = 0, totalLife = 0;
+for (let i = 0; i < 600; i++) {
+    const start = performance.now();
+    living.update(1 / 60);
+    const took = performance.now() - start;
+    worstLife = Math.max(worstLife, took);
+    totalLife += took;
+}
+console.log(`info frame cost with node life, depth layer: mean ${(totalLife / 600).toFixed(2)}`
+    + ` ms, worst ${worstLife.toFixed(1)} ms`);
+check('mean frame with node life under 3 ms', totalLife / 600 < 3);
+check('worst frame with node life under 50 ms', worstLife < 50);
+
 console.log(failed ? '\nFAILED' : '\nALL OK');
 process.exit(failed ? 1 : 0);
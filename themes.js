@@ -0,0 +1,136 @@
+// themes.js
+// Named looks for the background: each preset overrides config's colours
+// (and, under `layers`, the looks of config.LAYERS entries by name).
+// applyTheme() first restores the values config.js set, so presets never
+// mix; Engine.setTheme() then drops the renderers' caches and recolours
+// the simulations. 'schedule' is a theme too: its values come from the
+// local time and date (schedule.js).
+
+import { config } from './config.js';
+import { SCHEDULED_KEYS, scheduledLook } from './schedule.js';
+import { checkConfig } from './schema.js';
+
+export const THEMES = {
+    // config.js as written: deep blue night, pastel rainbow signals.
+    dark: {},
+
+    // Paper: warm off-white, ink-coloured mesh and deeper signal colours.
+    light: {
+        BG_TOP: '#f7f4ee',
+        BG_BOTTOM: '#e9e3d7',
+        BG_CENTER_GLOW: 'rgba(255, 255, 255, 0.6)',
+        VIGNETTE: 'rgba(92, 76, 52, 0.16)',
+        BG_ADDITIVE: false,
+        NODE_HUE_SAT: 0.5,
+        NODE_HUE_LIGHT: 0.42,
+        NODE_GREY_LIGHT_MIN: 0.38,
+        NODE_GREY_LIGHT_MAX: 0.55,
+        DUST_COLOR: [122, 112, 98],
+        SIGNAL_COLORS: ['#d62839', '#e0701b', '#c29500', '#3a9d35', '#119c86',
+            '#1b8fc4', '#3967d6', '#7a4fd8', '#c4379c'],
+        BOKEH_COLORS: ['#e8a3ad', '#ecc08a', '#e6d58a', '#a6d3a0', '#94d4c6',
+            '#9cc9e4', '#a9b8ea', '#c4ace8', '#e6a6d2'],
+        STAR_COLORS: ['#6d7f99', '#8a7d6b', '#a0637a', '#5f8a6a', '#9a8440'],
+        layers: {
+            depth: {
+                edgeRgb: [118, 112, 102],
+                palette: ['#6f7782', '#8e959f', '#535a63'],
+                bokehColors: ['#c2bbaf', '#d6cfc3', '#aca598'],
+                haloColor: '#8d8579',
+            },
+            main: {
+                edgeRgb: [64, 80, 118],
+                haloColor: '#4d6fb0',
+            },
+        },
+    },
+
+    // Greys only, on the dark background.
+    mono: {
+        BG_CENTER_GLOW: 'rgba(150, 150, 150, 0.06)',
+        NODE_HUE_SAT: 0,
+        SIGNAL_COLORS: ['#ffffff', '#e3e6eb', '#c6cad2', '#aab0ba'],
+        BOKEH_COLORS: ['#e8ecf2', '#ffffff', '#c5cad2'],
+        STAR_COLORS: ['#eef1f6', '#ffffff', '#d5d9e0'],
+        layers: {
+            main: {
+                edgeRgb: [172, 177, 187],
+                haloColor: '#c8ccd4',
+            },
+        },
+    },
+
+    // Black background, a brighter mesh and fully saturated signals.
+    contrast: {
+        BG_TOP: '#000000',
+        BG_BOTTOM: '#000000',
+        BG_CENTER_GLOW: 'rgba(0, 0, 0, 0)',
+        VIGNETTE: 'rgba(0, 0, 0, 0)',
+        NODE_HUE_SAT: 0.9,
+        NODE_HUE_LIGHT: 0.65,
+        SIGNAL_COLORS: ['#ff2e45', '#ff8a00', '#ffe100', '#2eff4a', '#00ffd0',
+            '#00c8ff', '#4d7dff', '#a05bff', '#ff3ed2'],
+        layers: {
+            depth: {
+                edgeAlpha: 0.18,
+                nodeAlpha: 0.8,
+            },
+            main: {
+                edgeRgb: [200, 222, 255],
+                edgeAlpha: 0.42,
+                haloColor: '#9fd0ff',
+            },
+        },
+    },
+};
+
+// What the THEME setting and the page's theme button offer.
+export const THEME_CHOICES = ['auto', ...Object.keys(THEMES), 'schedule'];
+
+// Every config key and layer key some preset (or the schedule) overrides,
+// with the values config.js set (layers are remembered per entry, on
+// first use).
+const themedKeys = new Set(SCHEDULED_KEYS);
+const layerKeys = new Set();
+for (const { layers = {}, ...values } of Object.values(THEMES)) {
+    Object.keys(values).forEach(k => themedKeys.add(k));
+    Object.values(layers).forEach(look => Object.keys(look).forEach(k => layerKeys.add(k)));
+}
+const defaults = Object.fromEntries([...themedKeys].map(k => [k, config[k]]));
+const layerDefaults = new WeakMap();
+let pinned = {};
+let active = {}; // the flat values of the preset in use
+
+// Config values that win over every preset (params.js pins the colours a
+// URL or the ?tune panel sets, so switching themes keeps them). `null`
+// unpins everything.
+export function pinConfig(values) {
+    pinned = values ? { ...pinned, ...values } : {};
+}
+
+// The config values the preset in use decides (pinned ones aside), which
+// are not settings of their own when exporting (params.changedSettings).
+export function themeValues() {
+    return Object.fromEntries(Object.entries(active).filter(([k]) => !Object.hasOwn(pinned, k)));
+}
+
+// Writes the preset `name` into config (unknown names get 'dark') and
+// returns the name applied. 'schedule' writes the look for `date` over the
+// dark theme. Throws if the preset breaks the schema.
+export function applyTheme(name, date = new Date()) {
+    const scheduled = name === 'schedule';
+    const applied = scheduled || Object.hasOwn(THEMES, name) ? name : 'dark';
+    const { layers = {}, ...values } = scheduled
+        ? scheduledLook(date, defaults) : THEMES[applied];
+    Object.assign(config, defaults, values, pinned);
+    active = values;
+    for (const layer of config.LAYERS) {
+        if (!layerDefaults.has(layer)) {
+            layerDefaults.set(layer,
+                Object.fromEntries([...layerKeys].map(k => [k, layer[k]])));
+        }
+        Object.assign(layer, layerDefaults.get(layer), layers[layer.name]);
+    }
+    checkConfig(config, `config under the ${applied} theme`);
+    return applied;
+}
@@ -0,0 +1,297 @@
+// tune.js
+// The live tuning panel that ?tune opens: every config.js setting, grouped
+// under its section comment, with sliders, colour pickers, toggles and
+// text fields. Changes apply at once through engine.setConfig() (settings
+// that only shape a new mesh or its particles build fresh meshes), and
+// "Copy as config.js" writes config.js back out with the changed values.
+
+import { config } from './config.js';
+import {
+    applyOverrides, changedSettings, CHOICES, parseSetting, settable,
+} from './params.js';
+
+const SECTION_LINE = /^ {4}\/\/ --- (.+?) -*$/;
+const KEY_LINE = /^ {4}([A-Z][A-Z0-9_]*): /;
+const HEX = /^#[0-9a-f]{6}$/i;
+const MAX_LINE = 100;
+
+// Sections whose settings only shape a new mesh, and other such settings
+// (node sizes and particle counts are drawn when a mesh is built).
+const REBUILD_SECTIONS = ['Layout', 'Shape mask', 'Node drift'];
+const REBUILD_KEYS = ['NODE_RADIUS_MIN', 'NODE_RADIUS_MAX', 'DUST_AREA_PER_PARTICLE',
+    'BOKEH_AREA_PER', 'FG_BOKEH_COUNT', 'STAR_AREA_PER', 'STAR_MAX'];
+// Settings config.js starts positive that may go negative, and slider
+// ranges the schema narrows.
+const SIGNED_KEYS = ['POINTER_FORCE']; // negative pulls nodes in
+const RANGES = { DRIFT_SAFETY: { min: 0.01, max: 0.49, step: 0.01 } }; // below 1/2
+// Read once at startup: changes show after a reload (or a copied link).
+const RELOAD_KEYS = ['THEME', 'SEED', 'SOUND', 'RENDERER', 'RENDER_IN_WORKER', 'SESSION_SNAPSHOT'];
+
+// One line of source split into code and trailing comment, with the
+// bracket depth the code opens (or closes); quotes are respected.
+function scanLine(line) {
+    let quote = null, depth = 0;
+    for (let i = 0; i < line.length; i++) {
+        const c = line[i];
+        if (quote) {
+            if (c === '\\') i++;
+            else if (c === quote) quote = null;
+        } else if (c === "'" || c === '"') {
+            quote = c;
+        } else if (c === '/' && line[i + 1] === '/') {
+            return { code: line.slice(0, i), comment: line.slice(i), commentCol: i, depth };
+        } else if ('[{('.includes(c)) {
+            depth++;
+        } else if (']})'.includes(c)) {
+            depth--;
+        }
+    }
+    return { code: line, comment: '', commentCol: -1, depth };
+}
+
+// The config entry starting on line `i`, if one does: its key, last line
+// and the comment on that line.
+function readEntry(lines, i) {
+    const m = lines[i].match(KEY_LINE);
+    if (!m) return null;
+    let end = i;
+    let scan = scanLine(lines[i]);
+    let depth = scan.depth;
+    while (depth > 0 && end + 1 < lines.length) {
+        scan = scanLine(lines[++end]);
+        depth += scan.depth;
+    }
+    return { key: m[1], start: i, end, comment: scan.comment, commentCol: scan.commentCol };
+}
+
+// The sections of config.js source, in order: { title, note, keys }, where
+// each key has the `hint` from its trailing comment. A header like
+// "--- Stars: very subtle particles ---" has the title "Stars".
+export function configSections(source) {
+    const lines = source.split('\n');
+    const sections = [];
+    for (let i = 0; i < lines.length; i++) {
+        const head = lines[i].match(SECTION_LINE);
+        if (head) {
+            const title = head[1].split(/ \(|: /)[0];
+            const note = head[1].slice(title.length).replace(/^ \(|^: /, '').replace(/\)$/, '');
+            sections.push({ title, note, keys: [] });
+            continue;
+        }
+        const entry = readEntry(lines, i);
+        if (!entry) continue;
+        const hint = entry.comment.replace(/^\/\/ */, '');
+        if (sections.length > 0) sections.at(-1).keys.push({ key: entry.key, hint });
+        i = entry.end;
+    }
+    return sections;
+}
+
+function literal(v) {
+    if (typeof v === 'string') return `'${v.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+    if (Array.isArray(v)) return `[${v.map(literal).join(', ')}]`;
+    return String(v);
+}
+
+// An entry's lines with a new value: long lists wrap like config.js's own,
+// and the comment keeps its column where it still fits.
+function entryLines({ key, comment, commentCol }, value) {
+    let lines = [`    ${key}: ${literal(value)},`];
+    if (lines[0].length > MAX_LINE && Array.isArray(value)) {
+        lines = [`    ${key}: [`];
+        value.forEach((v, i) => {
+            const piece = literal(v) + (i < value.length - 1 ? ',' : '],');
+            const last = lines.length - 1;
+            const sep = lines[last].endsWith('[') ? '' : ' ';
+            if (lines[last].length + sep.length + piece.length > MAX_LINE) {
+                lines.push(`        ${piece}`);
+            } else {
+                lines[last] += sep + piece;
+            }
+        });
+    }
+    if (comment) {
+        const last = lines.length - 1;
+        lines[last] = lines[last].length < commentCol
+            ? lines[last].padEnd(commentCol) + comment
+            : `${lines[last]} ${comment}`;
+    }
+    return lines;
+}
+
+// config.js source with the entries in `values` rewritten; every other line
+// (comments, layout, LAYERS) stays as it was.
+export function configSource(source, values) {
+    const lines = source.split('\n');
+    const out = [];
+    for (let i = 0; i < lines.length; i++) {
+        const entry = readEntry(lines, i);
+        if (!entry) {
+            out.push(lines[i]);
+            continue;
+        }
+        if (Object.hasOwn(values, entry.key)) {
+            out.push(...entryLines(entry, values[entry.key]));
+        } else {
+            out.push(...lines.slice(entry.start, entry.end + 1));
+        }
+        i = entry.end;
+    }
+    return out.join('\n');
+}
+
+function el(tag, props = {}, ...children) {
+    const node = Object.assign(document.createElement(tag), props);
+    node.append(...children);
+    return node;
+}
+
+// Whether changing `key` (in the config.js section titled `section`)
+// needs fresh meshes to show.
+export function rebuilds(section, key) {
+    return REBUILD_SECTIONS.includes(section) || REBUILD_KEYS.includes(key);
+}
+
+// The slider range for `key`: around its value `v` unless RANGES has one.
+export function sliderRange(key, v) {
+    if (RANGES[key]) return RANGES[key];
+    const span = v === 0 ? 1 : Math.abs(v) * 3;
+    const step = Number.isInteger(v) && Math.abs(v) >= 3 ? 1 : span / 300;
+    return { min: v < 0 || SIGNED_KEYS.includes(key) ? -span : 0, max: span, step };
+}
+
+// The input(s) for `key`; apply(value, final) is called with every change
+// (`final` once a slider is let go).
+function control(key, apply) {
+    const value = config[key];
+    const id = `tune-${key}`;
+    if (typeof value === 'boolean') {
+        const box = el('input', { type: 'checkbox', id, checked: value });
+        box.addEventListener('change', () => apply(box.checked, true));
+        return [box];
+    }
+    if (typeof value === 'number') {
+        const slider = el('input', { type: 'range', ...sliderRange(key, value), value, id });
+        const exact = el('input', { type: 'number', value, step: 'any' });
+        exact.setAttribute('aria-label', `${key} value`);
+        slider.addEventListener('input', () => {
+            exact.value = slider.value;
+            apply(Number(slider.value), false);
+        });
+        slider.addEventListener('change', () => apply(Number(slider.value), true));
+        exact.addEventListener('change', () => {
+            if (exact.value === '') return;
+            slider.value = exact.value;
+            apply(Number(exact.value), true);
+        });
+        return [slider, exact];
+    }
+    if (CHOICES[key]) {
+        const select = el('select', { id },
+            ...CHOICES[key].map(c => el('option', { value: c, textContent: c })));
+        select.value = value;
+        select.addEventListener('change', () => apply(select.value, true));
+        return [select];
+    }
+    if (typeof value === 'string' && HEX.test(value)) {
+        const picker = el('input', { type: 'color', value, id });
+        picker.addEventListener('input', () => apply(picker.value, false));
+        picker.addEventListener('change', () => apply(picker.value, true));
+        return [picker];
+    }
+    if (Array.isArray(value) && value.length > 0 && value.every(v => HEX.test(v))) {
+        const pickers = value.map((c, i) => {
+            const picker = el('input', { type: 'color', value: c });
+            picker.setAttribute('aria-label', `${key} ${i + 1}`);
+            return picker;
+        });
+        pickers[0].id = id;
+        const read = () => pickers.map(p => p.value);
+        for (const picker of pickers) {
+            picker.addEventListener('input', () => apply(read(), false));
+            picker.addEventListener('change', () => apply(read(), true));
+        }
+        return pickers;
+    }
+    const text = el('input', {
+        type: 'text', id, value: Array.isArray(value) ? value.join(', ') : String(value ?? ''),
+    });
+    text.addEventListener('change', () => {
+        try {
+            apply(parseSetting(key, text.value), true);
+            text.removeAttribute('aria-invalid');
+            text.title = '';
+        } catch (err) {
+            text.setAttribute('aria-invalid', 'true');
+            text.title = err.message;
+        }
+    });
+    return [text];
+}
+
+// Builds the panel for `engine` (an Engine or script.js's worker proxy).
+// Without config.js's source (e.g. a failed fetch) the settings are listed
+// in one section and the export is unavailable.
+export async function openTunePanel(engine) {
+    let source = null;
+    let sections;
+    try {
+        const res = await fetch(new URL('./config.js', import.meta.url));
+        if (!res.ok) throw new Error(res.statusText);
+        source = await res.text();
+        sections = configSections(source);
+    } catch {
+        sections = [{
+            title: 'Settings', note: '', keys: Object.keys(config).map(key => ({ key, hint: '' })),
+        }];
+    }
+
+    const status = el('p', { className: 'tune-status' });
+    status.setAttribute('aria-live', 'polite');
+    const panel = el('details', { className: 'tune-panel', open: true },
+        el('summary', { textContent: 'Tune' }));
+    for (const { title, note, keys } of sections) {
+        const rows = keys.filter(({ key }) => settable(key)).map(({ key, hint }) => {
+            const row = el('div', { className: 'tune-row' });
+            const rebuild = rebuilds(title, key);
+            const apply = (value, final) => {
+                if (rebuild && !final) return; // rebuilding on every slider step is too slow
+                // This page's config first (the exports read it); values
+                // that break the schema stop here.
+                const problems = applyOverrides({ [key]: value });
+                row.classList.toggle('is-invalid', problems.length > 0);
+                status.textContent = problems.join('; ');
+                if (problems.length === 0) engine.setConfig({ [key]: value }, rebuild);
+            };
+            const label = el('label', { htmlFor: `tune-${key}`, textContent: key });
+            const reload = RELOAD_KEYS.includes(key) ? ' (applies on reload)' : '';
+            label.title = hint + reload;
+            row.append(label, ...control(key, apply));
+            return row;
+        });
+        if (rows.length === 0) continue;
+        const summary = el('summary', { textContent: title });
+        if (note) summary.title = note;
+        panel.append(el('details', { className: 'tune-section' }, summary, ...rows));
+    }
+
+    const copy = el('button', { type: 'button', textContent: 'Copy as config.js' });
+    copy.disabled = source === null;
+    copy.addEventListener('click', () => {
+        const text = configSource(source, changedSettings());
+        const logIt = () => {
+            console.info(text);
+            status.textContent = 'Not copied; config.js is in the console';
+        };
+        if (!navigator.clipboard) {
+            logIt();
+            return;
+        }
+        navigator.clipboard.writeText(text).then(() => {
+            status.textContent = `config.js copied (the theme's colours left out)`;
+        }, logIt);
+    });
+    panel.append(el('div', { className: 'tune-actions' }, copy, status));
+    document.body.append(panel);
+    return panel;
+}
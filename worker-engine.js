@@ -0,0 +1,116 @@
+// worker-engine.js
+// The engine as script.js sees it with RENDER_IN_WORKER: a stand-in with
+// the engine's methods that posts each call to worker.js. The canvases are
+// only transferred once the worker reports that it loaded (a browser
+// without module workers never does), and a worker that fails to load,
+// crashes or sends a message that cannot be read is replaced by an engine
+// on the main thread, so the page keeps animating either way.
+
+import { ENGINE_METHODS } from './engine.js';
+
+// Engine methods whose latest call is state rather than an action; an
+// engine taking over from the worker gets them replayed. (setConfig()
+// values are in this thread's config already.)
+const STATE_METHODS = ['resize', 'setPaused', 'setReducedMotion', 'setTheme'];
+
+// `worker` runs worker.js; `canvases` are the layer canvases it draws on
+// once ready. `init` is { reducedMotion, saved, overrides } for its first
+// message. `mainEngine(transferred, saved)` builds the main-thread engine
+// that takes over (`transferred`: the canvases are the worker's by then
+// and need replacing). snapshot() returns the latest one the worker sent,
+// so a page being hidden can save it at once, and asks the worker for a
+// fresh one, which goes to `save(snapshot)` when it arrives. Snapshots come
+// as JSON bytes and are only parsed when asked for. on()/off() ask the
+// worker to forward an event type while anyone listens.
+export function workerEngine(worker, canvases, init, mainEngine, save = () => {}) {
+    const listeners = new Map(); // event type -> Set of listeners
+    const state = new Map();     // state method -> its latest arguments
+    let queue = [];              // messages sent before the worker is ready
+    let local = null;            // the main-thread engine, once it took over
+    let transferred = false;
+    let latest = init.saved;     // the worker's latest snapshot, parsed
+    let bytes = null;            // or still as it came, when newer
+    let asked = false;           // whether the next snapshot is for save()
+
+    const latestSnapshot = () => {
+        if (bytes) {
+            latest = JSON.parse(new TextDecoder().decode(bytes));
+            bytes = null;
+        }
+        return latest;
+    };
+
+    const fire = (event) => {
+        for (const fn of [...(listeners.get(event.type) || [])]) fn(event);
+    };
+    const send = (msg) => {
+        if (queue) queue.push(msg);
+        else worker.postMessage(msg);
+    };
+    const watch = (type, on) => {
+        if (!local) send({ type: 'listen', event: type, on });
+        else if (on) local.on(type, fire);
+        else local.off(type, fire);
+    };
+
+    const takeOver = () => {
+        if (local) return;
+        worker.terminate();
+        queue = null;
+        local = mainEngine(transferred, latestSnapshot());
+        for (const [name, args] of state) local[name](...args);
+        for (const [type, fns] of listeners) {
+            if (fns.size > 0) local.on(type, fire);
+        }
+    };
+
+    worker.addEventListener('message', (ev) => {
+        if (local) return;
+        const msg = ev.data;
+        if (msg.type === 'ready' && queue) {
+            const offscreen = canvases.map(c => c.transferControlToOffscreen());
+            transferred = true;
+            worker.postMessage({ type: 'init', canvases: offscreen, ...init }, offscreen);
+            for (const queued of queue) worker.postMessage(queued);
+            queue = null;
+        } else if (msg.type === 'snapshot') {
+            bytes = msg.data;
+            if (asked) save(latestSnapshot());
+            asked = false;
+        } else if (msg.type === 'event') {
+            fire(msg.event);
+        }
+    });
+    worker.addEventListener('error', takeOver);
+    worker.addEventListener('messageerror', takeOver);
+
+    const proxy = {};
+    for (const name of ENGINE_METHODS) {
+        proxy[name] = (...args) => {
+            if (STATE_METHODS.includes(name)) state.set(name, args);
+            if (local) local[name](...args);
+            else send({ type: name, args });
+        };
+    }
+    proxy.snapshot = () => {
+        if (local) return local.snapshot();
+        if (!queue) {
+            asked = true;
+            worker.postMessage({ type: 'snapshot' });
+        }
+        return latestSnapshot();
+    };
+    proxy.off = (type, fn) => {
+        const fns = listeners.get(type);
+        if (!fns || !fns.delete(fn) || fns.size > 0) return;
+        watch(type, false);
+    };
+    proxy.on = (type, fn) => {
+        if (!listeners.has(type)) listeners.set(type, new Set());
+        const fns = listeners.get(type);
+        if (fns.size === 0) watch(type, true);
+        fns.add(fn);
+        return () => proxy.off(type, fn);
+    };
+    return proxy;
+}
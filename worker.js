@@ -0,0 +1,66 @@
+// worker.js
+// Module worker for RENDER_IN_WORKER: runs the engine on the layer
+// canvases script.js transferred, so simulation and drawing stay off the
+// main thread. Once loaded it posts { type: 'ready' }, and script.js
+// transfers the canvases. The first message is { type: 'init', canvases,
+// reducedMotion, saved, overrides } (overrides: the page's URL settings,
+// which this worker's own copy of config needs too); every later one is
+// { type: <engine method>, args }. { type: 'listen', event, on } starts or
+// stops forwarding one simulation event type as { type: 'event', event }.
+// With SESSION_SNAPSHOT it posts { type: 'snapshot', data } (the snapshot
+// as JSON bytes in a transferred ArrayBuffer, so the page only pays for
+// parsing one it saves) when asked with { type: 'snapshot' }, and every
+// SNAPSHOT_INTERVAL_S while frames are being drawn, for a reload that
+// hides the page too late to ask. A paused engine, reduced motion or an
+// error stops that timer; a hidden page draws no frames, so sends nothing.
+
+import { config } from './config.js';
+import { Engine, ENGINE_METHODS } from './engine.js';
+import { applyOverrides } from './params.js';
+
+let engine = null;
+const forwarding = new Map(); // event type -> unsubscribe
+const forward = (event) => self.postMessage({ type: 'event', event });
+let snapshotTimer = 0;
+let sentFrame = 0; // engine.frameNo at the last snapshot sent
+
+function postSnapshot() {
+    sentFrame = engine.frameNo;
+    const data = new TextEncoder().encode(JSON.stringify(engine.snapshot())).buffer;
+    self.postMessage({ type: 'snapshot', data }, [data]);
+}
+
+function watchSnapshots() {
+    clearInterval(snapshotTimer);
+    snapshotTimer = 0;
+    if (!config.SESSION_SNAPSHOT || engine.paused || engine.reducedMotion) return;
+    snapshotTimer = setInterval(() => {
+        if (engine.frameNo !== sentFrame) postSnapshot();
+    }, config.SNAPSHOT_INTERVAL_S * 1000);
+}
+
+self.onmessage = (ev) => {
+    const msg = ev.data;
+    if (msg.type === 'init') {
+        applyOverrides(msg.overrides || {});
+        engine = new Engine(msg.canvases, msg.reducedMotion, msg.saved);
+        watchSnapshots();
+    } else if (engine && msg.type === 'snapshot') {
+        postSnapshot();
+    } else if (engine && msg.type === 'listen') {
+        if (msg.on && !forwarding.has(msg.event)) {
+            forwarding.set(msg.event, engine.on(msg.event, forward));
+        } else if (!msg.on && forwarding.has(msg.event)) {
+            forwarding.get(msg.event)();
+            forwarding.delete(msg.event);
+        }
+    } else if (engine && ENGINE_METHODS.includes(msg.type)) {
+        engine[msg.type](...msg.args);
+        if (msg.type === 'setPaused' || msg.type === 'setReducedMotion') watchSnapshots();
+    }
+};
+
+// The page replaces a worker that fails (worker-engine.js).
+self.addEventListener('error', () => clearInterval(snapshotTimer));
+
+self.postMessage({ type: 'ready' });